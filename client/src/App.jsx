@@ -8,10 +8,17 @@ import Login from './pages/Login';
 import Register from './pages/Register';
 import PatientDashboard from './pages/PatientDashboard';
 import AdminDashboardPage from './pages/AdminDashboard'; // Fixed import name
+import Sessions from './pages/Sessions';
+import AcceptInvite from './pages/AcceptInvite';
+import StaffInvitesPage from './pages/StaffInvites';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import VerifyEmail from './pages/VerifyEmail';
+import EmailSettingsPage from './pages/EmailSettings';
 
 // Protected Route Component
-const ProtectedRoute = ({ children, adminOnly = false }) => {
-  const { isAuthenticated, isAdmin, loading } = useAuth();
+const ProtectedRoute = ({ children, adminOnly = false, staffOnly = false }) => {
+  const { isAuthenticated, isAdmin, isStaff, loading } = useAuth();
 
   if (loading) {
     return (
@@ -25,16 +32,20 @@ const ProtectedRoute = ({ children, adminOnly = false }) => {
     return <Navigate to="/login" />;
   }
 
-  if (adminOnly && !isAdmin) {
+  if (staffOnly && !isStaff) {
     return <Navigate to="/patient" />;
   }
 
+  if (adminOnly && !isAdmin) {
+    return <Navigate to={isStaff ? '/admin' : '/patient'} />;
+  }
+
   return children;
 };
 
 // Main App Component
 function AppContent() {
-  const { isAuthenticated, isAdmin, isPatient } = useAuth();
+  const { isAuthenticated, isStaff, isPatient } = useAuth();
 
   return (
     <Layout>
@@ -43,7 +54,7 @@ function AppContent() {
         <Route 
           path="/login" 
           element={isAuthenticated ? (
-            isAdmin ? <Navigate to="/admin" /> : <Navigate to="/patient" />
+            isStaff ? <Navigate to="/admin" /> : <Navigate to="/patient" />
           ) : (
             <Login />
           )} 
@@ -51,11 +62,27 @@ function AppContent() {
         <Route 
           path="/register" 
           element={isAuthenticated ? (
-            isAdmin ? <Navigate to="/admin" /> : <Navigate to="/patient" />
+            isStaff ? <Navigate to="/admin" /> : <Navigate to="/patient" />
           ) : (
             <Register />
           )} 
         />
+        <Route 
+          path="/accept-invite" 
+          element={isAuthenticated ? <Navigate to="/" /> : <AcceptInvite />} 
+        />
+        <Route 
+          path="/forgot-password" 
+          element={isAuthenticated ? <Navigate to="/" /> : <ForgotPassword />} 
+        />
+        <Route 
+          path="/reset-password" 
+          element={<ResetPassword />} 
+        />
+        <Route 
+          path="/verify-email" 
+          element={<VerifyEmail />} 
+        />
 
         {/* Protected Routes */}
         <Route 
@@ -69,18 +96,42 @@ function AppContent() {
         <Route 
           path="/admin" 
           element={
-            <ProtectedRoute adminOnly={true}>
+            <ProtectedRoute staffOnly={true}>
               <AdminDashboardPage />
             </ProtectedRoute>
           } 
         />
+        <Route 
+          path="/admin/invites" 
+          element={
+            <ProtectedRoute adminOnly={true}>
+              <StaffInvitesPage />
+            </ProtectedRoute>
+          } 
+        />
+        <Route 
+          path="/emails" 
+          element={
+            <ProtectedRoute>
+              <EmailSettingsPage />
+            </ProtectedRoute>
+          } 
+        />
+        <Route 
+          path="/sessions" 
+          element={
+            <ProtectedRoute>
+              <Sessions />
+            </ProtectedRoute>
+          } 
+        />
 
         {/* Default Route */}
         <Route 
           path="/" 
           element={
             isAuthenticated ? (
-              isAdmin ? <Navigate to="/admin" /> : <Navigate to="/patient" />
+              isStaff ? <Navigate to="/admin" /> : <Navigate to="/patient" />
             ) : (
               <Navigate to="/login" />
             )
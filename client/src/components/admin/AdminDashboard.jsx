@@ -1,58 +1,196 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import { submissionsAPI } from '../../services/api';
+import { useAuth } from '../../context/AuthContext';
 import SubmissionDetail from './SubmissionDetail';
+import DatasetExport from './DatasetExport';
+import StoredImage from '../shared/StoredImage';
+import { STATUS_LABELS, getStatusBadge } from '../../lib/statuses';
+import { useServerEvents } from '../../lib/events';
+
+const SORT_OPTIONS = {
+  newest: 'Newest first',
+  oldest: 'Oldest first',
+  updated: 'Recently updated',
+  patient: 'Patient name'
+};
+
+const NO_FILTERS = { status: '', from: '', to: '', patient: '', sort: 'newest' };
 
 const AdminDashboard = () => {
+  const { user, isAdmin } = useAuth();
   const [submissions, setSubmissions] = useState([]);
   const [selectedSubmission, setSelectedSubmission] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
+  // Dentists start on their own queue, clinic admins on every case
+  const [assignee, setAssignee] = useState(isAdmin ? 'all' : 'me');
+  const [dentists, setDentists] = useState([]);
+  // Unread patient messages per submission id
+  const [unread, setUnread] = useState({});
+  const [filters, setFilters] = useState(NO_FILTERS);
+  // What's typed in the search box, and the search actually sent once typing pauses
+  const [searchText, setSearchText] = useState('');
+  const [search, setSearch] = useState('');
+  // Cursor for the next page, and how many cases match in all
+  const [nextCursor, setNextCursor] = useState(null);
+  const [total, setTotal] = useState(0);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const sentinelRef = useRef(null);
+  // Only the latest request may fill the list when filters change quickly
+  const requestRef = useRef(0);
+
+  // Query for the first page; only the filters that are set are sent
+  const params = useMemo(() => Object.fromEntries(
+    Object.entries({ assignee, ...filters, q: search }).filter(([, value]) => value)
+  ), [assignee, filters, search]);
 
-  const fetchSubmissions = async () => {
+  const fetchSubmissions = async (query) => {
+    const request = ++requestRef.current;
     try {
       setLoading(true);
-      const response = await submissionsAPI.getAll();
+      setError('');
+      const response = await submissionsAPI.getAll(query);
+      if (request !== requestRef.current) return;
       setSubmissions(response.data.submissions);
+      setNextCursor(response.data.nextCursor);
+      setTotal(response.data.total);
     } catch (error) {
-      setError('Failed to fetch submissions');
+      if (request === requestRef.current) {
+        setError(error.response?.data?.message || 'Failed to fetch submissions');
+      }
+    } finally {
+      if (request === requestRef.current) setLoading(false);
+    }
+  };
+
+  const fetchMore = async (query, cursor) => {
+    const request = requestRef.current;
+    try {
+      setLoadingMore(true);
+      const response = await submissionsAPI.getAll({ ...query, cursor });
+      if (request !== requestRef.current) return;
+      setSubmissions(current => [...current, ...response.data.submissions]);
+      setNextCursor(response.data.nextCursor);
+    } catch {
+      setError('Failed to fetch more submissions');
     } finally {
-      setLoading(false);
+      setLoadingMore(false);
+    }
+  };
+
+  const fetchUnread = async () => {
+    try {
+      const response = await submissionsAPI.getUnreadMessages();
+      setUnread(response.data.submissions);
+    } catch {
+      setError('Failed to fetch messages');
+    }
+  };
+
+  const fetchDentists = async () => {
+    try {
+      const response = await submissionsAPI.getDentists();
+      setDentists(response.data.dentists);
+    } catch {
+      setError('Failed to fetch dentists');
     }
   };
 
   useEffect(() => {
-    fetchSubmissions();
+    fetchSubmissions(params);
+  }, [params]);
+
+  useEffect(() => {
+    fetchUnread();
   }, []);
 
-  const handleRefresh = () => {
-    fetchSubmissions();
+  useEffect(() => {
+    if (isAdmin) fetchDentists();
+  }, [isAdmin]);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setSearch(searchText.trim()), 300);
+    return () => clearTimeout(timer);
+  }, [searchText]);
+
+  // Load the next page as the end of the list scrolls into view
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !nextCursor || loading || loadingMore) return;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) fetchMore(params, nextCursor);
+    }, { rootMargin: '400px' });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [params, nextCursor, loading, loadingMore]);
+
+  const updateFilter = (key, value) => {
+    setFilters(current => ({ ...current, [key]: value }));
   };
 
-  const getStatusBadge = (status) => {
-    const badges = {
-      uploaded: 'bg-blue-100 text-blue-800',
-      annotated: 'bg-yellow-100 text-yellow-800',
-      reported: 'bg-green-100 text-green-800',
-    };
-    return badges[status] || 'bg-gray-100 text-gray-800';
+  const hasFilters = Boolean(filters.status || filters.from || filters.to || filters.patient || search);
+
+  const clearFilters = () => {
+    setFilters(NO_FILTERS);
+    setSearchText('');
+    setSearch('');
   };
 
-  const getStatusText = (status) => {
-    const texts = {
-      uploaded: 'New Upload',
-      annotated: 'Annotated',
-      reported: 'Report Generated',
-    };
-    return texts[status] || status;
+  // Whether a case belongs in the queue and status being shown
+  const inQueue = (submission) => {
+    if (filters.status && submission.status !== filters.status) return false;
+    if (assignee === 'all') return true;
+    if (assignee === 'me') return submission.assignedTo === user?.id;
+    if (assignee === 'unassigned') return !submission.assignedTo;
+    return submission.assignedTo === assignee;
   };
 
-  if (loading) {
-    return (
-      <div className="flex justify-center items-center min-h-64">
-        <div className="text-lg">Loading submissions...</div>
-      </div>
-    );
-  }
+  // Keep the cards current as cases change elsewhere. Events only say which
+  // case changed, its status and dentist; the card itself is loaded when shown.
+  // Cases not already listed are only added on top of an unfiltered
+  // newest- or updated-first list.
+  useServerEvents((type, data) => {
+    if (type === 'submission') {
+      const id = data.submissionId;
+      const known = submissions.some(item => item._id === id);
+      if (!inQueue(data)) {
+        if (known) {
+          setSubmissions(current => current.filter(item => item._id !== id));
+          setTotal(current => current - 1);
+        }
+      } else if (known || (!hasFilters && ['newest', 'updated'].includes(filters.sort))) {
+        submissionsAPI.getOne(id)
+          .then(response => {
+            const updated = response.data.submission;
+            setSubmissions(current => (current.some(item => item._id === id)
+              ? current.map(item => (item._id === id ? updated : item))
+              : [updated, ...current]));
+            if (!known) setTotal(current => current + 1);
+          })
+          .catch(() => {});
+      }
+      if (isAdmin) fetchDentists();
+    } else if (type === 'message' && data.sender !== user?.id) {
+      setUnread(current => ({ ...current, [data.submissionId]: (current[data.submissionId] || 0) + 1 }));
+    }
+  });
+
+  const handleAssign = async (submissionId, dentistId) => {
+    try {
+      setError('');
+      const response = await submissionsAPI.assign(submissionId, dentistId || null);
+      setSubmissions(current => current.map(item => (item._id === submissionId ? response.data.submission : item)));
+      fetchDentists();
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to assign case');
+    }
+  };
+
+  const handleRefresh = () => {
+    fetchSubmissions(params);
+    fetchUnread();
+  };
 
   if (selectedSubmission) {
     return (
@@ -70,12 +208,24 @@ const AdminDashboard = () => {
     <div className="space-y-6">
       <div className="flex justify-between items-center">
         <div>
-          <h1 className="text-3xl font-bold text-gray-900">Admin Dashboard</h1>
+          <h1 className="text-3xl font-bold text-gray-900">{isAdmin ? 'Admin Dashboard' : 'Dentist Dashboard'}</h1>
           <p className="text-gray-600">Review and annotate patient submissions</p>
         </div>
-        <button onClick={handleRefresh} className="btn-secondary">
-          Refresh
-        </button>
+        <div className="flex gap-2">
+          <select value={assignee} onChange={(e) => setAssignee(e.target.value)} className="input-field w-auto" title="Queue">
+            {!isAdmin && <option value="me">My queue</option>}
+            <option value="all">All cases</option>
+            <option value="unassigned">Unassigned</option>
+            {dentists.map(dentist => (
+              <option key={dentist._id} value={dentist._id}>
+                {dentist.name} ({dentist.openCases} open)
+              </option>
+            ))}
+          </select>
+          <button onClick={handleRefresh} className="btn-secondary">
+            Refresh
+          </button>
+        </div>
       </div>
 
       {error && (
@@ -84,6 +234,65 @@ const AdminDashboard = () => {
         </div>
       )}
 
+      {isAdmin && <DatasetExport />}
+
+      <div className="card">
+        <div className="flex flex-wrap gap-4 items-end text-sm">
+          <label className="flex flex-col gap-1 flex-1 min-w-48">
+            <span className="font-medium text-gray-700">Search</span>
+            <input
+              type="search"
+              value={searchText}
+              onChange={(e) => setSearchText(e.target.value)}
+              placeholder="Patient name, ID or email"
+              className="input-field"
+            />
+          </label>
+          <label className="flex flex-col gap-1">
+            <span className="font-medium text-gray-700">Patient ID</span>
+            <input
+              type="text"
+              value={filters.patient}
+              onChange={(e) => updateFilter('patient', e.target.value)}
+              className="input-field w-32"
+            />
+          </label>
+          <label className="flex flex-col gap-1">
+            <span className="font-medium text-gray-700">Status</span>
+            <select value={filters.status} onChange={(e) => updateFilter('status', e.target.value)} className="input-field w-auto">
+              <option value="">Any</option>
+              {Object.entries(STATUS_LABELS).map(([status, label]) => (
+                <option key={status} value={status}>{label}</option>
+              ))}
+            </select>
+          </label>
+          <label className="flex flex-col gap-1">
+            <span className="font-medium text-gray-700">Uploaded from</span>
+            <input type="date" value={filters.from} onChange={(e) => updateFilter('from', e.target.value)} className="input-field w-auto" />
+          </label>
+          <label className="flex flex-col gap-1">
+            <span className="font-medium text-gray-700">Uploaded to</span>
+            <input type="date" value={filters.to} onChange={(e) => updateFilter('to', e.target.value)} className="input-field w-auto" />
+          </label>
+          <label className="flex flex-col gap-1">
+            <span className="font-medium text-gray-700">Sort</span>
+            <select value={filters.sort} onChange={(e) => updateFilter('sort', e.target.value)} className="input-field w-auto">
+              {Object.entries(SORT_OPTIONS).map(([sort, label]) => (
+                <option key={sort} value={sort}>{label}</option>
+              ))}
+            </select>
+          </label>
+          {hasFilters && (
+            <button onClick={clearFilters} className="btn-secondary">
+              Clear filters
+            </button>
+          )}
+        </div>
+        <p className="text-sm text-gray-500 mt-3">
+          {loading ? 'Loading submissions...' : `Showing ${submissions.length} of ${total} case(s)`}
+        </p>
+      </div>
+
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
         {submissions.map((submission) => (
           <div key={submission._id} className="card hover:shadow-lg transition-shadow cursor-pointer">
@@ -95,40 +304,79 @@ const AdminDashboard = () => {
                 <p className="text-sm text-gray-600">ID: {submission.patientId}</p>
               </div>
               <span className={`px-2 py-1 rounded-full text-xs font-medium ${getStatusBadge(submission.status)}`}>
-                {getStatusText(submission.status)}
+                {STATUS_LABELS[submission.status] || submission.status}
               </span>
             </div>
 
             <div className="space-y-2 text-sm text-gray-600 mb-4">
               <p><strong>Email:</strong> {submission.email}</p>
               <p><strong>Uploaded:</strong> {new Date(submission.createdAt).toLocaleDateString()}</p>
+              {!isAdmin && (
+                <p><strong>Dentist:</strong> {submission.assignedToName || 'Unassigned'}</p>
+              )}
               {submission.note && (
                 <p><strong>Notes:</strong> {submission.note}</p>
               )}
+              {unread[submission._id] > 0 && (
+                <p className="text-blue-700 font-medium">💬 {unread[submission._id]} new message(s)</p>
+              )}
             </div>
 
          
-            {submission.originalImageUrl && (
-              <img
-                src={submission.originalImageUrl}
-                alt="Patient dental image"
-                className="w-full h-32 object-cover rounded border"
-              />
+            {submission.views?.length > 0 && (
+              <div className="flex gap-2 mb-4">
+                {submission.views.map(entry => (
+                  <StoredImage
+                    key={entry.view}
+                    src={entry.originalImageUrl}
+                    alt={`Patient dental image (${entry.view})`}
+                    title={entry.view}
+                    className="flex-1 min-w-0 h-32 object-cover rounded border"
+                  />
+                ))}
+              </div>
+            )}
+
+            {isAdmin && (
+              <label className="flex gap-2 items-center text-sm mb-4">
+                <span className="font-medium text-gray-700">Dentist:</span>
+                <select
+                  value={submission.assignedTo || ''}
+                  onChange={(e) => handleAssign(submission._id, e.target.value)}
+                  className="flex-1 border border-gray-300 rounded px-2 py-1"
+                >
+                  <option value="">Unassigned</option>
+                  {dentists.map(dentist => (
+                    <option key={dentist._id} value={dentist._id}>{dentist.name}</option>
+                  ))}
+                  <option value="round-robin">Next in rotation</option>
+                </select>
+              </label>
             )}
 
             <button
               onClick={() => setSelectedSubmission(submission)}
               className="w-full btn-primary"
             >
-              {submission.status === 'uploaded' ? 'Review & Annotate' : 'View Details'}
+              {['submitted', 'in_review'].includes(submission.status) ? 'Review & Annotate' : 'View Details'}
             </button>
           </div>
         ))}
       </div>
 
-      {submissions.length === 0 && (
+      {nextCursor && (
+        <div ref={sentinelRef} className="text-center py-4 text-sm text-gray-500">
+          {loadingMore ? 'Loading more submissions...' : ''}
+        </div>
+      )}
+
+      {!loading && submissions.length === 0 && (
         <div className="text-center py-12 text-gray-500">
-          <p>No submissions to review yet.</p>
+          <p>
+            {hasFilters
+              ? 'No cases match these filters.'
+              : assignee === 'me' ? 'No cases are assigned to you.' : 'No submissions to review yet.'}
+          </p>
         </div>
       )}
     </div>
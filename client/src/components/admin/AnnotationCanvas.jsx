@@ -1,15 +1,87 @@
-import React, { useRef, useEffect, useState } from 'react';
+import React, { useRef, useEffect, useMemo, useState } from 'react';
+import {
+  COORDINATE_SPACE,
+  buildDragShape,
+  createShapeId,
+  distance,
+  drawCalibration,
+  drawSelection,
+  drawShape,
+  findHandleAt,
+  findShapeAt,
+  formatLength,
+  formatRulerLength,
+  getMmPerPixel,
+  moveShape,
+  polygonArea,
+  resizeShape,
+  scaleShape
+} from '../../lib/annotations';
+import { DEFAULT_ADJUSTMENTS, createAdjustedImage, isDefaultAdjustments } from '../../lib/imageAdjust';
+import { EMPTY_HISTORY, nextRedoLabel, nextUndoLabel, recordAction, redoAction, undoAction } from '../../lib/history';
 
-const AnnotationCanvas = ({ imageUrl, existingAnnotations, onSave, disabled }) => {
+// Clicking this close to the first vertex closes a polygon (screen pixels)
+const CLOSE_DISTANCE = 10;
+
+// Callout text height on screen when created; stored in image pixels
+const LABEL_FONT_SIZE = 16;
+const MAX_LABEL_LENGTH = 200;
+
+const MIN_ZOOM = 1;
+const MAX_ZOOM = 8;
+
+// Touches this soon after the pen was last seen are a resting palm, not input
+const PEN_GRACE_MS = 800;
+
+const AnnotationCanvas = ({ imageUrl, existingAnnotations, conditions = [], severities = [], onSave, disabled }) => {
   const canvasRef = useRef(null);
   const [isDrawing, setIsDrawing] = useState(false);
   const [currentTool, setCurrentTool] = useState('rectangle');
-  const [currentColor, setCurrentColor] = useState('#FF0000');
+  const [currentFinding, setCurrentFinding] = useState(null);
+  const [currentSeverity, setCurrentSeverity] = useState(null);
   const [annotations, setAnnotations] = useState(existingAnnotations?.shapes || []);
   const [startPos, setStartPos] = useState({ x: 0, y: 0 });
+  // Shape being drawn, shown as a live preview until it is committed
+  const [draftShape, setDraftShape] = useState(null);
+  const [hoverPos, setHoverPos] = useState(null);
+  const [selectedIndex, setSelectedIndex] = useState(null);
+  // Move/resize in progress with the select tool: { mode, handleId, start, original }
+  const dragRef = useRef(null);
+  // Zoom factor on top of fit-to-canvas, and where the image's top-left sits (canvas pixels)
+  const [viewport, setViewport] = useState({ zoom: 1, x: 0, y: 0 });
+  const panRef = useRef(null);
+  const pinchRef = useRef(null);
+  // Pointers pressed on the canvas (pointerId → { pos, type }) and the one driving the current gesture
+  const pointersRef = useRef(new Map());
+  const primaryRef = useRef(null);
+  const lastPenRef = useRef(0);
+  const [adjustments, setAdjustments] = useState(DEFAULT_ADJUSTMENTS);
+  // Reference line of known length mapping image pixels to millimetres
+  const [calibration, setCalibration] = useState(existingAnnotations?.calibration || null);
+  const mmPerPixel = getMmPerPixel(calibration);
+  // Undo/redo stacks of { label, before, after } document snapshots
+  const [history, setHistory] = useState(EMPTY_HISTORY);
+  const [showShortcuts, setShowShortcuts] = useState(false);
   const [image, setImage] = useState(null);
   const [canvasSize, setCanvasSize] = useState({ width: 800, height: 600 }); // ✅ This was missing!
 
+  // Display pixels per source-image pixel at the current zoom; shapes are kept in image pixels
+  const fitScale = image ? canvasSize.width / image.naturalWidth : 1;
+  const viewScale = fitScale * viewport.zoom;
+
+  // Brightness/contrast/gamma only change what is shown, never the stored original
+  const adjusted = useMemo(
+    () => (image ? createAdjustedImage(image, adjustments) : { source: null, error: null }),
+    [image, adjustments]
+  );
+
+  const selectedShape = selectedIndex !== null ? annotations[selectedIndex] : undefined;
+
+  // New shapes are tagged with the selected finding and drawn in its legend colour
+  const activeCondition = conditions.find(condition => condition.id === currentFinding) || conditions[0];
+  const activeSeverity = currentSeverity || severities[Math.floor(severities.length / 2)];
+  const currentColor = activeCondition?.color || '#FF0000';
+
   // Just use the URL directly (no API endpoint needed)
   useEffect(() => {
     const img = new Image();
@@ -34,13 +106,18 @@ const AnnotationCanvas = ({ imageUrl, existingAnnotations, onSave, disabled }) =
       const newCanvasSize = { width: Math.floor(width), height: Math.floor(height) };
       setCanvasSize(newCanvasSize);
 
+      // Annotations saved before coordinates were image-relative are in canvas pixels
+      if (existingAnnotations?.shapes?.length && existingAnnotations.coordinateSpace !== COORDINATE_SPACE) {
+        const savedWidth = existingAnnotations.imageSize?.width || newCanvasSize.width;
+        const factor = img.naturalWidth / savedWidth;
+        setAnnotations(existingAnnotations.shapes.map(shape => scaleShape(shape, factor)));
+      }
+
       console.log('Image loaded:', {
         original: { width: img.width, height: img.height },
         canvas: newCanvasSize
       });
 
-      // Draw canvas after state is updated
-      setTimeout(() => drawCanvas(img, annotations), 100);
     };
 
     img.onerror = (error) => {
@@ -52,9 +129,86 @@ const AnnotationCanvas = ({ imageUrl, existingAnnotations, onSave, disabled }) =
 
   useEffect(() => {
     if (image && canvasSize.width > 0) {
-      drawCanvas(image, annotations);
+      drawCanvas(adjusted.source, annotations);
     }
-  }, [annotations, image, canvasSize]);
+  }, [annotations, draftShape, hoverPos, selectedIndex, calibration, image, adjusted, viewport, canvasSize]);
+
+  // Wheel (and trackpad pinch, which arrives as ctrl+wheel) zooms around the cursor.
+  // Registered natively because React's wheel listener is passive.
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !image) return;
+
+    const handleWheel = (e) => {
+      e.preventDefault();
+      const factor = Math.exp(-e.deltaY * (e.ctrlKey ? 0.01 : 0.002));
+      setViewport(current => zoomAt(current, factor, getCanvasPos(e)));
+    };
+
+    canvas.addEventListener('wheel', handleWheel, { passive: false });
+    return () => canvas.removeEventListener('wheel', handleWheel);
+  });
+
+  // Keyboard shortcuts, unless the user is typing in a field
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName)) return;
+
+      if (showShortcuts) {
+        if (e.key === 'Escape' || e.key === '?') setShowShortcuts(false);
+        return;
+      }
+
+      const key = e.key.toLowerCase();
+
+      if (e.ctrlKey || e.metaKey) {
+        if (key === 'z' || key === 'y' || key === 's') {
+          e.preventDefault();
+        }
+        if (disabled) return;
+
+        if (key === 'z' && !e.shiftKey) {
+          handleUndo();
+        } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+          handleRedo();
+        } else if (key === 's' && annotations.length > 0) {
+          handleSave();
+        }
+        return;
+      }
+      if (e.altKey) return;
+
+      if (e.key === '?') {
+        setShowShortcuts(true);
+      } else if (e.key === 'Enter' && draftShape?.type === 'polygon') {
+        finishPolygon(draftShape.points);
+      } else if (e.key === 'Escape') {
+        // Abandon an open polygon first, otherwise drop the selection
+        if (draftShape?.type === 'polygon') {
+          setDraftShape(null);
+        } else {
+          setSelectedIndex(null);
+        }
+      } else if ((e.key === 'Delete' || e.key === 'Backspace') && selectedShape && !disabled) {
+        e.preventDefault();
+        deleteAnnotation(selectedIndex);
+      } else if (e.key === '+' || e.key === '=') {
+        zoomFromCenter(1.25);
+      } else if (e.key === '-') {
+        zoomFromCenter(1 / 1.25);
+      } else if (e.key === '0') {
+        resetView();
+      } else if (/^[1-9]$/.test(e.key) && conditions[Number(e.key) - 1] && !disabled) {
+        chooseFinding(conditions[Number(e.key) - 1].id);
+      } else {
+        const tool = tools.find(item => item.key === key);
+        if (tool && !disabled) selectTool(tool.id);
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
 
   const drawCanvas = (img, shapes = []) => {
     const canvas = canvasRef.current;
@@ -69,47 +223,40 @@ const AnnotationCanvas = ({ imageUrl, existingAnnotations, onSave, disabled }) =
     // Clear canvas
     ctx.clearRect(0, 0, canvas.width, canvas.height);
 
-    // Draw image
-    ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+    // Image and shapes share one transform: pan offset, then image pixels to canvas pixels
+    ctx.save();
+    ctx.translate(viewport.x, viewport.y);
+    ctx.scale(viewScale, viewScale);
+
+    // Draw image (possibly a brightness/contrast-adjusted copy)
+    ctx.drawImage(img, 0, 0, image.naturalWidth, image.naturalHeight);
+
+    if (calibration) {
+      drawCalibration(ctx, calibration, viewScale);
+    }
 
     // Draw existing annotations
-    shapes.forEach(shape => {
-      ctx.strokeStyle = shape.color;
-      ctx.lineWidth = 3;
-      ctx.lineCap = 'round';
-      ctx.lineJoin = 'round';
-
-      ctx.beginPath();
-
-      if (shape.type === 'rectangle') {
-        ctx.rect(shape.x, shape.y, shape.width, shape.height);
-      } else if (shape.type === 'circle') {
-        ctx.arc(shape.x, shape.y, shape.radius, 0, 2 * Math.PI);
-      } else if (shape.type === 'arrow') {
-        // Draw arrow line
-        ctx.moveTo(shape.startX, shape.startY);
-        ctx.lineTo(shape.endX, shape.endY);
-
-        // Draw arrowhead
-        const angle = Math.atan2(shape.endY - shape.startY, shape.endX - shape.startX);
-        const headLength = 15;
-        ctx.moveTo(shape.endX, shape.endY);
-        ctx.lineTo(
-          shape.endX - headLength * Math.cos(angle - Math.PI / 6),
-          shape.endY - headLength * Math.sin(angle - Math.PI / 6)
-        );
-        ctx.moveTo(shape.endX, shape.endY);
-        ctx.lineTo(
-          shape.endX - headLength * Math.cos(angle + Math.PI / 6),
-          shape.endY - headLength * Math.sin(angle + Math.PI / 6)
-        );
-      }
+    shapes.forEach(shape => drawShape(ctx, shape, { scale: viewScale, mmPerPixel }));
 
-      ctx.stroke();
-    });
+    if (selectedIndex !== null && shapes[selectedIndex]) {
+      drawSelection(ctx, shapes[selectedIndex], viewScale);
+    }
+
+    // Live preview of the shape in progress; polygons get a rubber band to the cursor
+    if (draftShape?.type === 'polygon') {
+      const points = hoverPos ? [...draftShape.points, hoverPos] : draftShape.points;
+      drawShape(ctx, { ...draftShape, points }, { open: true, scale: viewScale });
+    } else if (draftShape?.type === 'calibrate') {
+      drawCalibration(ctx, { ...draftShape, lengthMm: '?' }, viewScale);
+    } else if (draftShape) {
+      drawShape(ctx, draftShape, { scale: viewScale, mmPerPixel });
+    }
+
+    ctx.restore();
   };
 
-  const getMousePos = (e) => {
+  // Position in canvas pixels (accounts for CSS scaling of the canvas element)
+  const getCanvasPos = (e) => {
     const canvas = canvasRef.current;
     const rect = canvas.getBoundingClientRect();
 
@@ -123,225 +270,695 @@ const AnnotationCanvas = ({ imageUrl, existingAnnotations, onSave, disabled }) =
     };
   };
 
-  const handleMouseDown = (e) => {
+  // Position in source-image pixels, undoing pan and zoom
+  const getMousePos = (e) => {
+    const pos = getCanvasPos(e);
+    return {
+      x: (pos.x - viewport.x) / viewScale,
+      y: (pos.y - viewport.y) / viewScale
+    };
+  };
+
+  // Keep the zoomed image covering the whole canvas
+  const clampViewport = ({ zoom, x, y }) => {
+    const clampedZoom = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, zoom));
+    const minX = canvasSize.width * (1 - clampedZoom);
+    const minY = canvasSize.height * (1 - clampedZoom);
+    return {
+      zoom: clampedZoom,
+      x: Math.min(0, Math.max(minX, x)),
+      y: Math.min(0, Math.max(minY, y))
+    };
+  };
+
+  // Zoom by `factor`, keeping the image point under `anchor` (canvas pixels) in place
+  const zoomAt = (current, factor, anchor) => {
+    const zoom = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, current.zoom * factor));
+    const ratio = zoom / current.zoom;
+    return clampViewport({
+      zoom,
+      x: anchor.x - (anchor.x - current.x) * ratio,
+      y: anchor.y - (anchor.y - current.y) * ratio
+    });
+  };
+
+  const zoomFromCenter = (factor) => {
+    setViewport(current => zoomAt(current, factor, { x: canvasSize.width / 2, y: canvasSize.height / 2 }));
+  };
+
+  const resetView = () => setViewport({ zoom: 1, x: 0, y: 0 });
+
+  const updateAdjustment = (key, value) => {
+    setAdjustments(current => ({ ...current, [key]: Number(value) }));
+  };
+
+  const tagShape = (shape) => ({
+    id: createShapeId(),
+    ...shape,
+    color: currentColor,
+    finding: activeCondition.id,
+    severity: activeSeverity,
+    comment: ''
+  });
+
+  // Every edit to the shapes or calibration goes through here so it can be undone
+  const applyChange = (label, { shapes = annotations, calibration: nextCalibration = calibration }, mergeKey) => {
+    setHistory(current => recordAction(current, {
+      label,
+      mergeKey,
+      before: { shapes: annotations, calibration },
+      after: { shapes, calibration: nextCalibration }
+    }));
+    setAnnotations(shapes);
+    setCalibration(nextCalibration);
+  };
+
+  const addAnnotation = (newShape) => {
+    applyChange(`Add ${newShape.type}`, { shapes: [...annotations, newShape] });
+    console.log('Added annotation:', newShape);
+  };
+
+  const finishPolygon = (points) => {
+    if (points.length >= 3) {
+      addAnnotation(tagShape({ type: 'polygon', points, area: polygonArea(points) }));
+    }
+    setDraftShape(null);
+  };
+
+  // Select tool: grab a handle of the selected shape, or pick the topmost shape under the cursor
+  const startSelectDrag = (pos) => {
+    const handle = selectedShape && findHandleAt(selectedShape, pos, 8 / viewScale);
+    if (handle) {
+      dragRef.current = { mode: 'resize', handleId: handle.id, start: pos, original: selectedShape, before: annotations };
+      return;
+    }
+
+    const index = findShapeAt(annotations, pos, 6 / viewScale);
+    setSelectedIndex(index >= 0 ? index : null);
+    dragRef.current = index >= 0 ? { mode: 'move', start: pos, original: annotations[index], before: annotations } : null;
+  };
+
+  // Palm rejection: while a pen is in use, touches are the hand resting on the screen
+  const isPalm = (e) => e.pointerType === 'touch' && Date.now() - lastPenRef.current < PEN_GRACE_MS;
+
+  const touchPointers = () => [...pointersRef.current.values()].filter(pointer => pointer.type === 'touch');
+
+  const readPinch = ([a, b]) => ({
+    spread: distance(a.pos, b.pos),
+    center: { x: (a.pos.x + b.pos.x) / 2, y: (a.pos.y + b.pos.y) / 2 }
+  });
+
+  // Two fingers zoom around their midpoint and pan as it moves
+  const updatePinch = () => {
+    const start = pinchRef.current;
+    const { spread, center } = readPinch(touchPointers());
+    const zoomed = zoomAt(start.viewport, spread / start.spread, start.center);
+    setViewport(clampViewport({
+      ...zoomed,
+      x: zoomed.x + center.x - start.center.x,
+      y: zoomed.y + center.y - start.center.y
+    }));
+  };
+
+  // Drop the gesture in progress: a move snaps back, a half-drawn shape is discarded
+  const cancelGesture = () => {
+    if (dragRef.current) {
+      const { original } = dragRef.current;
+      setAnnotations(annotations.map((shape, index) => (index === selectedIndex ? original : shape)));
+    }
+    primaryRef.current = null;
+    panRef.current = null;
+    dragRef.current = null;
+    setIsDrawing(false);
+    if (draftShape?.type !== 'polygon') {
+      setDraftShape(null);
+    }
+  };
+
+  // Freehand points keep the pen's pressure; mouse and touch have none worth storing
+  const strokePoint = (e, pos) => (
+    e.pointerType === 'pen' ? { ...pos, pressure: Math.round(e.pressure * 100) / 100 } : pos
+  );
+
+  const handlePointerDown = (e) => {
+    if (e.pointerType === 'pen') lastPenRef.current = Date.now();
+    if (isPalm(e)) return;
+    // Primary button draws, middle button pans; anything else is ignored
+    if (e.pointerType === 'mouse' && e.button !== 0 && e.button !== 1) return;
+
+    e.currentTarget.setPointerCapture(e.pointerId);
+    pointersRef.current.set(e.pointerId, { pos: getCanvasPos(e), type: e.pointerType });
+
+    // A second finger turns whatever the first one started into a pinch
+    const touches = touchPointers();
+    if (touches.length >= 2) {
+      cancelGesture();
+      pinchRef.current = { ...readPinch(touches), viewport };
+      return;
+    }
+
+    if (pinchRef.current || primaryRef.current !== null) return;
+    primaryRef.current = e.pointerId;
+
+    // Pan tool or middle button drags the view, even while saving
+    if (currentTool === 'pan' || e.button === 1) {
+      e.preventDefault();
+      panRef.current = { start: getCanvasPos(e), origin: viewport };
+      return;
+    }
+
     if (disabled) return;
 
     const pos = getMousePos(e);
+
+    if (currentTool === 'select') {
+      startSelectDrag(pos);
+      return;
+    }
+
+    // Everything but calibration is tagged with a finding; polygon vertices are placed on release
+    if ((!activeCondition && currentTool !== 'calibrate') || currentTool === 'polygon') return;
+
     setIsDrawing(true);
     setStartPos(pos);
+
+    if (currentTool === 'freehand') {
+      setDraftShape(tagShape({ type: 'freehand', points: [strokePoint(e, pos)] }));
+    }
   };
 
-  const handleMouseUp = (e) => {
-    if (!isDrawing || disabled) return;
+  const handlePointerMove = (e) => {
+    if (e.pointerType === 'pen') lastPenRef.current = Date.now();
+    if (isPalm(e)) return;
+
+    const pointer = pointersRef.current.get(e.pointerId);
+    if (pointer) {
+      pointer.pos = getCanvasPos(e);
+    }
+
+    if (pinchRef.current) {
+      if (pointer?.type === 'touch') updatePinch();
+      return;
+    }
+
+    // Other pointers may hover, but only the one that started the gesture drives it
+    if (primaryRef.current !== null && e.pointerId !== primaryRef.current) return;
+
+    if (panRef.current) {
+      const { start, origin } = panRef.current;
+      const pos = getCanvasPos(e);
+      setViewport(clampViewport({ ...origin, x: origin.x + pos.x - start.x, y: origin.y + pos.y - start.y }));
+      return;
+    }
+
+    if (disabled) return;
 
     const pos = getMousePos(e);
-    let newShape = null;
 
-    if (currentTool === 'rectangle') {
-      const width = Math.abs(pos.x - startPos.x);
-      const height = Math.abs(pos.y - startPos.y);
-
-      if (width > 5 && height > 5) {
-        newShape = {
-          type: 'rectangle',
-          x: Math.min(startPos.x, pos.x),
-          y: Math.min(startPos.y, pos.y),
-          width: width,
-          height: height,
-          color: currentColor
-        };
+    if (dragRef.current) {
+      const { mode, handleId, start, original } = dragRef.current;
+      const updated = mode === 'resize'
+        ? resizeShape(original, handleId, pos)
+        : moveShape(original, pos.x - start.x, pos.y - start.y);
+      setAnnotations(annotations.map((shape, index) => (index === selectedIndex ? updated : shape)));
+      return;
+    }
+
+    if (currentTool === 'polygon') {
+      setHoverPos(draftShape ? pos : null);
+      return;
+    }
+
+    if (!isDrawing) return;
+
+    if (currentTool === 'text') {
+      setDraftShape(tagShape(buildCallout(startPos, pos, 'Label')));
+    } else if (currentTool === 'freehand') {
+      const points = draftShape?.points || [];
+      // Skip points that barely moved to keep strokes light
+      if (points.length === 0 || distance(pos, points[points.length - 1]) >= 2 / viewScale) {
+        setDraftShape(tagShape({ type: 'freehand', points: [...points, strokePoint(e, pos)] }));
+      }
+    } else {
+      const shape = buildDragShape(currentTool, startPos, pos, viewScale);
+      setDraftShape(shape && tagShape(shape));
+    }
+  };
+
+  // Polygons are built one tap or click per vertex rather than by dragging
+  const addPolygonPoint = (pos) => {
+    const points = draftShape?.points || [];
+
+    if (points.length >= 3 && distance(pos, points[0]) <= CLOSE_DISTANCE / viewScale) {
+      finishPolygon(points);
+    } else if (points.length === 0 || distance(pos, points[points.length - 1]) > 3 / viewScale) {
+      setDraftShape(tagShape({ type: 'polygon', points: [...points, pos] }));
+    }
+  };
+
+  const handlePointerUp = (e) => {
+    pointersRef.current.delete(e.pointerId);
+
+    if (pinchRef.current) {
+      if (touchPointers().length < 2) pinchRef.current = null;
+      return;
+    }
+
+    if (e.pointerId !== primaryRef.current) return;
+    primaryRef.current = null;
+
+    if (panRef.current) {
+      panRef.current = null;
+      return;
+    }
+
+    if (dragRef.current) {
+      const { mode, before } = dragRef.current;
+      dragRef.current = null;
+      // A click that only selected leaves the shapes untouched
+      if (annotations !== before) {
+        setHistory(current => recordAction(current, {
+          label: mode === 'resize' ? 'Resize marking' : 'Move marking',
+          before: { shapes: before, calibration },
+          after: { shapes: annotations, calibration }
+        }));
       }
-    } else if (currentTool === 'circle') {
-      const radius = Math.sqrt(
-        Math.pow(pos.x - startPos.x, 2) + Math.pow(pos.y - startPos.y, 2)
-      );
-
-      if (radius > 5) {
-        newShape = {
-          type: 'circle',
-          x: startPos.x,
-          y: startPos.y,
-          radius: radius,
-          color: currentColor
-        };
+      return;
+    }
+
+    if (disabled) return;
+
+    const pos = getMousePos(e);
+
+    if (currentTool === 'polygon') {
+      if (activeCondition) addPolygonPoint(pos);
+      return;
+    }
+
+    if (!isDrawing) return;
+
+    let newShape = null;
+
+    // The gesture ends here whether or not a shape is kept
+    setDraftShape(null);
+    setIsDrawing(false);
+
+    if (currentTool === 'calibrate') {
+      const line = buildDragShape('calibrate', startPos, pos, viewScale);
+      if (line) calibrate(line);
+      return;
+    }
+
+    if (currentTool === 'text') {
+      const text = window.prompt('Label text (e.g. "#36 caries")')?.trim();
+      if (text) {
+        newShape = buildCallout(startPos, pos, text.slice(0, MAX_LABEL_LENGTH));
       }
-    } else if (currentTool === 'arrow') {
-      const distance = Math.sqrt(
-        Math.pow(pos.x - startPos.x, 2) + Math.pow(pos.y - startPos.y, 2)
-      );
-
-      if (distance > 10) {
-        newShape = {
-          type: 'arrow',
-          startX: startPos.x,
-          startY: startPos.y,
-          endX: pos.x,
-          endY: pos.y,
-          color: currentColor
-        };
+    } else if (currentTool === 'freehand') {
+      const points = draftShape?.points || [];
+      if (points.length >= 2) {
+        newShape = { type: 'freehand', points };
       }
+    } else {
+      newShape = buildDragShape(currentTool, startPos, pos, viewScale);
     }
 
     if (newShape) {
-      const newAnnotations = [...annotations, newShape];
-      setAnnotations(newAnnotations);
-      console.log('Added annotation:', newShape);
+      addAnnotation(tagShape(newShape));
     }
+  };
 
-    setIsDrawing(false);
+  // The browser took the pointer over (e.g. a system gesture)
+  const handlePointerCancel = (e) => {
+    pointersRef.current.delete(e.pointerId);
+    if (touchPointers().length < 2) pinchRef.current = null;
+    if (e.pointerId === primaryRef.current) cancelGesture();
   };
 
-  const handleSave = () => {
-    const canvas = canvasRef.current;
+  // A click places a plain label; a drag adds a leader line from the clicked point
+  const buildCallout = (anchor, labelPos, text) => {
+    const dragged = distance(anchor, labelPos) > 10 / viewScale;
+    return {
+      type: 'text',
+      x: anchor.x,
+      y: anchor.y,
+      labelX: dragged ? labelPos.x : anchor.x,
+      labelY: dragged ? labelPos.y : anchor.y,
+      text,
+      fontSize: LABEL_FONT_SIZE / viewScale
+    };
+  };
 
-    // Check if we have annotations and canvas is ready
-    if (!canvas || annotations.length === 0) {
-      alert('Please add some annotations before saving');
+  const calibrate = ({ startX, startY, endX, endY }) => {
+    const answer = window.prompt('Known length of this reference in millimetres');
+    if (answer === null) return;
+
+    const lengthMm = parseFloat(answer);
+    if (!(lengthMm > 0)) {
+      alert('Please enter a positive length in millimetres.');
       return;
     }
 
-    // Check if canvasSize is properly set
-    if (!canvasSize || canvasSize.width === 0 || canvasSize.height === 0) {
-      alert('Canvas is not properly initialized. Please try refreshing the page.');
+    applyChange('Calibrate', { calibration: { startX, startY, endX, endY, lengthMm } });
+  };
+
+  // Double-click closes a polygon without aiming for the first vertex
+  const handleDoubleClick = () => {
+    if (currentTool === 'polygon' && draftShape) {
+      finishPolygon(draftShape.points);
+    }
+  };
+
+  // Pointers are captured while pressed, so leaving only ends a hover
+  const handlePointerLeave = () => {
+    if (primaryRef.current === null) setHoverPos(null);
+  };
+
+  const selectTool = (toolId) => {
+    setCurrentTool(toolId);
+    if (toolId !== 'select' && toolId !== 'pan') {
+      setSelectedIndex(null);
+    }
+    setDraftShape(null);
+    setHoverPos(null);
+  };
+
+  const handleSave = () => {
+    // Check if we have annotations and the image is ready
+    if (!image || annotations.length === 0) {
+      alert('Please add some annotations before saving');
       return;
     }
 
+    // Only vector data is sent; the server renders the full-resolution annotated image
+    const annotationData = {
+      shapes: annotations,
+      ...(calibration && { calibration }),
+      coordinateSpace: COORDINATE_SPACE,
+      imageSize: { width: image.naturalWidth, height: image.naturalHeight },
+      timestamp: new Date().toISOString(),
+      totalAnnotations: annotations.length
+    };
+
     console.log('Saving annotations:', {
-      annotationsCount: annotations.length,
-      canvasSize: canvasSize,
-      canvasDimensions: { width: canvas.width, height: canvas.height }
+      shapesCount: annotations.length,
+      imageSize: annotationData.imageSize,
+      shapes: annotations.map(s => ({ type: s.type, finding: s.finding, severity: s.severity }))
     });
 
-    // Ensure the canvas is fully rendered with latest annotations
-    drawCanvas(image, annotations);
-
-    // Small delay to ensure canvas is rendered
-    setTimeout(() => {
-      const annotationData = {
-        shapes: annotations,
-        timestamp: new Date().toISOString(),
-        imageSize: canvasSize, // ✅ Now properly defined!
-        totalAnnotations: annotations.length
-      };
-
-      // Get high-quality canvas data URL
-      const annotatedImageDataUrl = canvas.toDataURL('image/jpeg', 0.95);
-
-      console.log('Annotation save details:', {
-        shapesCount: annotations.length,
-        canvasSize: canvasSize, // ✅ Now properly defined!
-        dataUrlLength: annotatedImageDataUrl.length,
-        shapes: annotations.map(s => ({ type: s.type, color: s.color }))
-      });
+    onSave(annotationData);
+  };
 
-      // Verify we have actual image data
-      if (annotatedImageDataUrl.length < 1000) {
-        alert('Error: Canvas image data seems invalid. Please try drawing some annotations and try again.');
-        return;
-      }
+  // Re-tag an existing shape; changing the finding also changes its colour.
+  // Typing into a field passes a mergeKey so the whole edit undoes in one step.
+  const updateAnnotation = (index, changes, mergeKey) => {
+    const condition = conditions.find(item => item.id === changes.finding);
+    const shapes = annotations.map((shape, i) => (
+      i === index ? { ...shape, ...changes, ...(condition && { color: condition.color }) } : shape
+    ));
+    applyChange('Edit marking', { shapes }, mergeKey);
+  };
+
+  const formatArea = (area = 0) => {
+    const percent = image ? (area / (image.naturalWidth * image.naturalHeight)) * 100 : 0;
+    const size = mmPerPixel ? `${(area * mmPerPixel * mmPerPixel).toFixed(1)} mm²` : `${Math.round(area)} px²`;
+    return `${size} (${percent.toFixed(1)}%)`;
+  };
+
+  const conditionLabel = (id) => conditions.find(condition => condition.id === id)?.label;
+
+  const deleteAnnotation = (index) => {
+    applyChange('Delete marking', { shapes: annotations.filter((_, i) => i !== index) });
+    setSelectedIndex(null);
+  };
+
+  // Finding and severity pickers restyle the selected shape as well as the next one drawn
+  const chooseFinding = (findingId) => {
+    setCurrentFinding(findingId);
+    if (selectedShape) {
+      updateAnnotation(selectedIndex, { finding: findingId });
+    }
+  };
 
-      // Call the save function
-      onSave(annotationData, annotatedImageDataUrl);
-    }, 200);
+  const chooseSeverity = (severity) => {
+    setCurrentSeverity(severity);
+    if (selectedShape) {
+      updateAnnotation(selectedIndex, { severity });
+    }
   };
 
   const handleClear = () => {
-    setAnnotations([]);
+    setSelectedIndex(null);
+    applyChange('Clear all', { shapes: [] });
     console.log('Cleared all annotations');
   };
 
-  const handleUndo = () => {
-    if (annotations.length > 0) {
-      const newAnnotations = annotations.slice(0, -1);
-      setAnnotations(newAnnotations);
-      console.log('Removed last annotation, remaining:', newAnnotations.length);
-    }
+  // Put back the document an undo or redo step points at
+  const restoreDocument = (step) => {
+    if (!step) return;
+    setHistory(step.history);
+    setAnnotations(step.document.shapes);
+    setCalibration(step.document.calibration);
+    setSelectedIndex(null);
+    setDraftShape(null);
   };
 
+  const handleUndo = () => restoreDocument(undoAction(history));
+
+  const handleRedo = () => restoreDocument(redoAction(history));
+
   const tools = [
-    { id: 'rectangle', name: 'Rectangle', icon: '⬛' },
-    { id: 'circle', name: 'Circle', icon: '⚪' },
-    { id: 'arrow', name: 'Arrow', icon: '↗️' }
+    { id: 'select', name: 'Select', icon: '🖱️', key: 'v' },
+    { id: 'pan', name: 'Pan', icon: '✋', key: 'h' },
+    { id: 'rectangle', name: 'Rectangle', icon: '⬛', key: 'r' },
+    { id: 'circle', name: 'Circle', icon: '⚪', key: 'c' },
+    { id: 'arrow', name: 'Arrow', icon: '↗️', key: 'a' },
+    { id: 'freehand', name: 'Freehand', icon: '✍️', key: 'f' },
+    { id: 'polygon', name: 'Polygon', icon: '⬟', key: 'p' },
+    { id: 'text', name: 'Text', icon: '🔤', key: 't' },
+    { id: 'ruler', name: 'Ruler', icon: '📏', key: 'm' },
+    { id: 'calibrate', name: 'Calibrate', icon: '🎯', key: 'k' }
   ];
 
-  const colors = [
-    '#FF0000', // Red
-    '#00FF00', // Green  
-    '#0000FF', // Blue
-    '#FFFF00', // Yellow
-    '#FF00FF', // Magenta
-    '#00FFFF'  // Cyan
+  const shortcuts = [
+    { keys: tools.map(tool => tool.key.toUpperCase()).join(' '), action: `Tools: ${tools.map(tool => tool.name).join(', ')}` },
+    { keys: `1–${Math.min(conditions.length, 9)}`, action: 'Choose finding (colour), or re-tag the selected marking' },
+    { keys: 'Ctrl/⌘ Z', action: 'Undo' },
+    { keys: 'Ctrl/⌘ Shift Z, Ctrl Y', action: 'Redo' },
+    { keys: 'Delete / Backspace', action: 'Delete the selected marking' },
+    { keys: 'Ctrl/⌘ S', action: 'Save annotations' },
+    { keys: 'Enter / Esc', action: 'Close or cancel a polygon; Esc also clears the selection' },
+    { keys: '+ − 0', action: 'Zoom in, zoom out, reset view' },
+    { keys: '?', action: 'Show or hide this help' }
   ];
 
   return (
     <div className="space-y-4">
       {/* Tools and Controls */}
       <div className="flex flex-wrap gap-4 items-center bg-gray-50 p-4 rounded-lg">
-        <div className="flex gap-2">
+        <div className="flex flex-wrap gap-2">
           <span className="text-sm font-medium text-gray-700 self-center">Tools:</span>
           {tools.map(tool => (
             <button
               key={tool.id}
-              onClick={() => setCurrentTool(tool.id)}
-              className={`px-3 py-2 rounded text-sm font-medium transition-colors ${currentTool === tool.id
+              onClick={() => selectTool(tool.id)}
+              className={`px-3 py-2 touch:px-4 touch:py-3 rounded text-sm touch:text-base font-medium transition-colors ${currentTool === tool.id
                 ? 'bg-blue-600 text-white shadow-md'
                 : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
                 }`}
               disabled={disabled}
+              title={`${tool.name} (${tool.key.toUpperCase()})`}
             >
               {tool.icon} {tool.name}
             </button>
           ))}
         </div>
 
-        <div className="flex gap-1 items-center">
-          <span className="text-sm font-medium text-gray-700 mr-2">Colors:</span>
-          {colors.map(color => (
+        <div className="flex flex-wrap gap-1 items-center">
+          <span className="text-sm font-medium text-gray-700 mr-2">Finding:</span>
+          {conditions.map(condition => (
             <button
-              key={color}
-              onClick={() => setCurrentColor(color)}
-              className={`w-8 h-8 rounded-full border-2 transition-all ${currentColor === color ? 'border-gray-800 scale-110' : 'border-gray-300 hover:scale-105'
+              key={condition.id}
+              onClick={() => chooseFinding(condition.id)}
+              className={`flex items-center gap-1 px-2 py-1 touch:px-3 touch:py-2 rounded border-2 text-xs touch:text-sm font-medium transition-all ${activeCondition?.id === condition.id
+                ? 'border-gray-800 bg-white shadow-md'
+                : 'border-gray-300 bg-gray-100 hover:bg-white'
                 }`}
-              style={{ backgroundColor: color }}
               disabled={disabled}
-              title={`Select ${color}`}
-            />
+              title={condition.treatment}
+            >
+              <span className="w-3 h-3 touch:w-4 touch:h-4 rounded-full" style={{ backgroundColor: condition.color }} />
+              {condition.label}
+            </button>
           ))}
         </div>
 
+        <div className="flex gap-2 items-center">
+          <label htmlFor="annotation-severity" className="text-sm font-medium text-gray-700">Severity:</label>
+          <select
+            id="annotation-severity"
+            value={activeSeverity || ''}
+            onChange={(e) => chooseSeverity(e.target.value)}
+            className="border border-gray-300 rounded px-2 py-1 touch:py-2 text-sm capitalize"
+            disabled={disabled}
+          >
+            {severities.map(severity => (
+              <option key={severity} value={severity}>{severity}</option>
+            ))}
+          </select>
+        </div>
+
         <div className="flex gap-2 ml-auto">
           <button
             onClick={handleUndo}
-            className="btn-secondary text-sm"
-            disabled={disabled || annotations.length === 0}
+            className="btn-secondary text-sm touch:py-3"
+            disabled={disabled || history.past.length === 0}
+            title={history.past.length ? `Undo ${nextUndoLabel(history).toLowerCase()} (Ctrl+Z)` : 'Nothing to undo'}
           >
             Undo
           </button>
+          <button
+            onClick={handleRedo}
+            className="btn-secondary text-sm touch:py-3"
+            disabled={disabled || history.future.length === 0}
+            title={history.future.length ? `Redo ${nextRedoLabel(history).toLowerCase()} (Ctrl+Shift+Z)` : 'Nothing to redo'}
+          >
+            Redo
+          </button>
           <button
             onClick={handleClear}
-            className="btn-secondary text-sm"
+            className="btn-secondary text-sm touch:py-3"
             disabled={disabled || annotations.length === 0}
           >
             Clear All
           </button>
+          <button
+            onClick={() => setShowShortcuts(true)}
+            className="btn-secondary text-sm touch:py-3"
+            title="Keyboard shortcuts (?)"
+          >
+            ?
+          </button>
         </div>
       </div>
 
+      {/* View and Image Adjustments */}
+      <div className="flex flex-wrap gap-4 items-center bg-gray-50 p-4 rounded-lg text-sm">
+        <div className="flex gap-2 items-center">
+          <span className="font-medium text-gray-700">Zoom:</span>
+          <button onClick={() => zoomFromCenter(1 / 1.25)} className="btn-secondary text-sm px-3 touch:px-4 touch:py-3" disabled={viewport.zoom <= MIN_ZOOM}>−</button>
+          <span className="w-12 text-center">{Math.round(viewport.zoom * 100)}%</span>
+          <button onClick={() => zoomFromCenter(1.25)} className="btn-secondary text-sm px-3 touch:px-4 touch:py-3" disabled={viewport.zoom >= MAX_ZOOM}>+</button>
+          <button onClick={resetView} className="btn-secondary text-sm touch:py-3" disabled={viewport.zoom === 1}>Reset view</button>
+        </div>
+
+        {[
+          { key: 'brightness', label: 'Brightness', min: 50, max: 200, step: 5, format: (value) => `${value}%` },
+          { key: 'contrast', label: 'Contrast', min: 50, max: 200, step: 5, format: (value) => `${value}%` },
+          { key: 'gamma', label: 'Gamma', min: 0.4, max: 2.5, step: 0.1, format: (value) => value.toFixed(1) }
+        ].map(control => (
+          <label key={control.key} className="flex gap-2 items-center">
+            <span className="font-medium text-gray-700">{control.label}:</span>
+            <input
+              type="range"
+              min={control.min}
+              max={control.max}
+              step={control.step}
+              value={adjustments[control.key]}
+              onChange={(e) => updateAdjustment(control.key, e.target.value)}
+            />
+            <span className="w-10 text-gray-600">{control.format(adjustments[control.key])}</span>
+          </label>
+        ))}
+
+        <button
+          onClick={() => setAdjustments(DEFAULT_ADJUSTMENTS)}
+          className="btn-secondary text-sm"
+          disabled={isDefaultAdjustments(adjustments)}
+        >
+          Reset image
+        </button>
+
+        {adjusted.error && <span className="text-red-600">{adjusted.error}</span>}
+      </div>
+
       {/* Status Info */}
       <div className="text-sm text-gray-600 bg-blue-50 p-3 rounded">
         <strong>Status:</strong> {annotations.length} annotation(s) |
         <strong> Tool:</strong> {currentTool} |
-        <strong> Color:</strong> <span style={{ color: currentColor }}>{currentColor}</span> |
-        <strong> Canvas:</strong> {canvasSize.width}×{canvasSize.height}px
+        <strong> Finding:</strong> <span style={{ color: currentColor }}>{activeCondition?.label || 'none'}</span> ({activeSeverity}) |
+        <strong> Image:</strong> {image ? `${image.naturalWidth}×${image.naturalHeight}px` : 'loading'} |
+        <strong> Zoom:</strong> {Math.round(viewport.zoom * 100)}%
+        {currentTool === 'select' && (
+          <span className="block mt-1">
+            Click a marking to select it, drag to move, drag a handle to resize. Delete removes it.
+          </span>
+        )}
+        <span className="block mt-1">
+          <strong>Calibration:</strong>{' '}
+          {calibration ? (
+            <>
+              {calibration.lengthMm} mm reference ({formatLength(1 / mmPerPixel)} per mm)
+              <button onClick={() => applyChange('Clear calibration', { calibration: null })} className="ml-2 text-red-600 hover:text-red-800" disabled={disabled}>
+                Clear
+              </button>
+            </>
+          ) : (
+            'none – rulers measure in pixels until you calibrate on a known length'
+          )}
+        </span>
+        {currentTool === 'text' && (
+          <span className="block mt-1">
+            Click to place a label, or drag from the spot to where the label should go.
+          </span>
+        )}
+        {currentTool === 'calibrate' && (
+          <span className="block mt-1">
+            Drag along something of known size (e.g. a reference scale or a measured tooth), then enter its length in mm.
+          </span>
+        )}
+        {currentTool === 'pan' && (
+          <span className="block mt-1">
+            Drag to move around the zoomed image. Scroll or pinch to zoom; two fingers or the middle mouse button pan with any tool.
+          </span>
+        )}
+        {currentTool === 'polygon' && (
+          <span className="block mt-1">
+            Click or tap to add points; click the first point, double-click or press Enter to close. Esc cancels.
+            {draftShape?.type === 'polygon' && (
+              <>
+                <button
+                  onClick={() => finishPolygon(draftShape.points)}
+                  className="ml-2 text-blue-600 hover:text-blue-800 touch:py-2"
+                  disabled={draftShape.points.length < 3}
+                >
+                  Close shape
+                </button>
+                <button onClick={() => setDraftShape(null)} className="ml-2 text-red-600 hover:text-red-800 touch:py-2">
+                  Cancel
+                </button>
+              </>
+            )}
+          </span>
+        )}
+        {currentTool === 'freehand' && (
+          <span className="block mt-1">
+            With a stylus the line follows pen pressure. Touches are ignored while the pen is in use, so you can rest your hand.
+          </span>
+        )}
       </div>
 
       {/* Canvas Container */}
       <div className="border-2 border-gray-300 rounded-lg overflow-hidden bg-white shadow-sm">
         <canvas
           ref={canvasRef}
-          onMouseDown={handleMouseDown}
-          onMouseUp={handleMouseUp}
-          className="cursor-crosshair max-w-full block"
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onPointerCancel={handlePointerCancel}
+          onPointerLeave={handlePointerLeave}
+          onDoubleClick={handleDoubleClick}
+          className={`${{ select: 'cursor-pointer', pan: 'cursor-grab' }[currentTool] || 'cursor-crosshair'} max-w-full block touch-none`}
           style={{
             width: '100%',
             height: 'auto',
@@ -350,6 +967,113 @@ const AnnotationCanvas = ({ imageUrl, existingAnnotations, onSave, disabled }) =
         />
       </div>
 
+      {/* Findings List */}
+      {annotations.length > 0 && (
+        <div className="bg-gray-50 p-4 rounded-lg">
+          <h3 className="text-sm font-medium text-gray-700 mb-2">Findings</h3>
+          <ul className="space-y-2">
+            {annotations.map((shape, index) => (
+              <li
+                key={index}
+                onClick={() => setSelectedIndex(index)}
+                className={`flex flex-wrap gap-2 items-center text-sm p-1 rounded ${selectedIndex === index ? 'bg-blue-100' : ''}`}
+              >
+                <span className="w-6 text-gray-500">{index + 1}.</span>
+                <span className="w-3 h-3 rounded-full" style={{ backgroundColor: shape.color }} />
+                <span className="text-gray-500 w-20 capitalize">{shape.type}</span>
+                {shape.type === 'polygon' && (
+                  <span className="text-gray-500" title="Share of the image covered by this outline">
+                    {formatArea(shape.area)}
+                  </span>
+                )}
+                {shape.type === 'ruler' && (
+                  <span className="text-gray-500">{formatRulerLength(shape, mmPerPixel)}</span>
+                )}
+                {shape.type === 'text' && (
+                  <input
+                    type="text"
+                    value={shape.text}
+                    maxLength={MAX_LABEL_LENGTH}
+                    onChange={(e) => updateAnnotation(index, { text: e.target.value }, `${shape.id || index}-text`)}
+                    className="w-40 border border-gray-300 rounded px-2 py-1"
+                    disabled={disabled}
+                    title="Label text"
+                  />
+                )}
+                <select
+                  value={shape.finding || ''}
+                  onChange={(e) => updateAnnotation(index, { finding: e.target.value })}
+                  className="border border-gray-300 rounded px-2 py-1"
+                  disabled={disabled}
+                >
+                  {!shape.finding && <option value="">Untagged</option>}
+                  {conditions.map(condition => (
+                    <option key={condition.id} value={condition.id}>{condition.label}</option>
+                  ))}
+                </select>
+                <select
+                  value={shape.severity || ''}
+                  onChange={(e) => updateAnnotation(index, { severity: e.target.value })}
+                  className="border border-gray-300 rounded px-2 py-1 capitalize"
+                  disabled={disabled}
+                >
+                  {!shape.severity && <option value="">—</option>}
+                  {severities.map(severity => (
+                    <option key={severity} value={severity}>{severity}</option>
+                  ))}
+                </select>
+                <input
+                  type="text"
+                  value={shape.comment || ''}
+                  onChange={(e) => updateAnnotation(index, { comment: e.target.value }, `${shape.id || index}-comment`)}
+                  placeholder={`Comment on ${conditionLabel(shape.finding) || 'this marking'} (optional)`}
+                  className="flex-1 min-w-[12rem] border border-gray-300 rounded px-2 py-1"
+                  disabled={disabled}
+                />
+                <button
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    deleteAnnotation(index);
+                  }}
+                  className="text-red-600 hover:text-red-800 px-2"
+                  disabled={disabled}
+                  title="Delete this marking"
+                >
+                  ✕
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {/* Keyboard Shortcut Help */}
+      {showShortcuts && (
+        <div
+          className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 p-4"
+          onClick={() => setShowShortcuts(false)}
+        >
+          <div className="card max-w-lg w-full" onClick={(e) => e.stopPropagation()}>
+            <div className="flex justify-between items-center mb-4">
+              <h3 className="text-lg font-semibold text-gray-900">Keyboard Shortcuts</h3>
+              <button onClick={() => setShowShortcuts(false)} className="text-gray-500 hover:text-gray-800 px-2" title="Close">
+                ✕
+              </button>
+            </div>
+            <table className="w-full text-sm">
+              <tbody className="divide-y">
+                {shortcuts.map(shortcut => (
+                  <tr key={shortcut.keys}>
+                    <td className="py-2 pr-4 font-mono text-gray-900 whitespace-nowrap align-top">{shortcut.keys}</td>
+                    <td className="py-2 text-gray-600">{shortcut.action}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
       {/* Save Controls */}
       <div className="flex justify-between items-center bg-gray-50 p-4 rounded-lg">
         <div className="text-sm text-gray-600">
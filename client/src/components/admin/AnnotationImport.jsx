@@ -0,0 +1,85 @@
+import React, { useState } from 'react';
+import { submissionsAPI } from '../../services/api';
+
+// Load markings from a COCO JSON file (e.g. model predictions) onto one view.
+// They are saved as a new revision for the doctor to review in the annotator.
+const AnnotationImport = ({ submissionId, view, onImported }) => {
+  const [dataset, setDataset] = useState(null);
+  const [fileName, setFileName] = useState('');
+  const [imageId, setImageId] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setError('');
+    try {
+      const parsed = JSON.parse(await file.text());
+      if (!Array.isArray(parsed.images) || !Array.isArray(parsed.annotations)) {
+        throw new Error('not COCO');
+      }
+      // Default to the image exported for this view, otherwise the first one
+      const match = parsed.images.find(image => image.submission_id === submissionId && image.view === view);
+      setDataset(parsed);
+      setFileName(file.name);
+      setImageId(String((match || parsed.images[0])?.id ?? ''));
+    } catch {
+      setDataset(null);
+      setError('That file is not a COCO JSON dataset');
+    }
+  };
+
+  const handleImport = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const response = await submissionsAPI.importAnnotations(submissionId, { view, dataset, imageId });
+      setDataset(null);
+      onImported(response.data.submission, response.data.message);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to import annotations');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="bg-gray-50 p-4 rounded-lg space-y-3 text-sm">
+      <h3 className="font-medium text-gray-700">Import Annotations</h3>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">
+          {error}
+        </div>
+      )}
+
+      <div className="flex flex-wrap gap-2 items-center">
+        <input type="file" accept=".json,application/json" onChange={handleFileChange} disabled={loading} />
+
+        {dataset && (
+          <>
+            <select value={imageId} onChange={(e) => setImageId(e.target.value)} className="border border-gray-300 rounded px-2 py-1" title="Dataset image">
+              {dataset.images.map(image => (
+                <option key={image.id} value={image.id}>
+                  {image.file_name || `Image ${image.id}`}
+                </option>
+              ))}
+            </select>
+            <button onClick={handleImport} disabled={loading || !imageId} className="btn-secondary text-sm disabled:opacity-50">
+              {loading ? 'Importing...' : `Import from ${fileName}`}
+            </button>
+          </>
+        )}
+      </div>
+
+      <p className="text-gray-500">
+        Boxes and polygon outlines are loaded as a new revision; categories must match a finding (e.g. &quot;stains&quot;).
+      </p>
+    </div>
+  );
+};
+
+export default AnnotationImport;
@@ -0,0 +1,79 @@
+import React, { useState } from 'react';
+import { submissionsAPI } from '../../services/api';
+import { STATUS_LABELS } from '../../lib/statuses';
+
+// Download annotated photos and a COCO-style dataset for offline model training
+const DatasetExport = () => {
+  const [filters, setFilters] = useState({ status: '', from: '', to: '' });
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState('');
+
+  const updateFilter = (key, value) => {
+    setFilters(current => ({ ...current, [key]: value }));
+  };
+
+  const handleExport = async () => {
+    try {
+      setExporting(true);
+      setError('');
+
+      // Only send the filters that are set
+      const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value));
+      const response = await submissionsAPI.exportCoco(params);
+
+      const blob = new Blob([response.data], { type: 'application/zip' });
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `oralvis-coco-${new Date().toISOString().slice(0, 10)}.zip`;
+      document.body.appendChild(a);
+      a.click();
+      window.URL.revokeObjectURL(url);
+      document.body.removeChild(a);
+    } catch {
+      setError('Failed to export dataset');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="card">
+      <h2 className="text-lg font-semibold text-gray-900">Export Dataset</h2>
+      <p className="text-sm text-gray-600 mb-4">
+        A zip of the annotated photos and their tagged regions in COCO format, with one category per finding.
+      </p>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4 text-sm">
+          {error}
+        </div>
+      )}
+
+      <div className="flex flex-wrap gap-4 items-end text-sm">
+        <label className="flex flex-col gap-1">
+          <span className="font-medium text-gray-700">Status</span>
+          <select value={filters.status} onChange={(e) => updateFilter('status', e.target.value)} className="input-field w-auto">
+            <option value="">Any</option>
+            {Object.entries(STATUS_LABELS).map(([status, label]) => (
+              <option key={status} value={status}>{label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="flex flex-col gap-1">
+          <span className="font-medium text-gray-700">Uploaded from</span>
+          <input type="date" value={filters.from} onChange={(e) => updateFilter('from', e.target.value)} className="input-field w-auto" />
+        </label>
+        <label className="flex flex-col gap-1">
+          <span className="font-medium text-gray-700">Uploaded to</span>
+          <input type="date" value={filters.to} onChange={(e) => updateFilter('to', e.target.value)} className="input-field w-auto" />
+        </label>
+        <button onClick={handleExport} disabled={exporting} className="btn-primary disabled:opacity-50">
+          {exporting ? 'Exporting...' : 'Download COCO zip'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default DatasetExport;
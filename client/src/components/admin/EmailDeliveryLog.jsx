@@ -0,0 +1,128 @@
+import React, { useState, useEffect } from 'react';
+import { emailsAPI } from '../../services/api';
+
+const getStatusBadge = (status) => {
+  const badges = {
+    pending: 'bg-blue-100 text-blue-800',
+    sent: 'bg-green-100 text-green-800',
+    failed: 'bg-red-100 text-red-800',
+    skipped: 'bg-gray-100 text-gray-800',
+  };
+  return badges[status] || 'bg-gray-100 text-gray-800';
+};
+
+// Latest event emails with their outcome; failed ones retry on their own or on demand
+const EmailDeliveryLog = () => {
+  const [deliveries, setDeliveries] = useState([]);
+  const [status, setStatus] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const fetchDeliveries = async (filter) => {
+    try {
+      setLoading(true);
+      const response = await emailsAPI.getDeliveries(filter ? { status: filter } : {});
+      setDeliveries(response.data.deliveries);
+    } catch {
+      setError('Failed to load the delivery log');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchDeliveries(status);
+  }, [status]);
+
+  const handleRetry = async (delivery) => {
+    try {
+      setError('');
+      const response = await emailsAPI.retryDelivery(delivery._id);
+      setDeliveries(current => current.map(item => (item._id === delivery._id ? response.data.delivery : item)));
+      setMessage(response.data.message);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to retry the email');
+    }
+  };
+
+  return (
+    <div className="card">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-semibold">Delivery Log</h2>
+        <div className="flex gap-2">
+          <select value={status} onChange={(e) => setStatus(e.target.value)} className="input-field w-auto" title="Status">
+            <option value="">All</option>
+            <option value="sent">Sent</option>
+            <option value="failed">Failed</option>
+            <option value="pending">Pending</option>
+            <option value="skipped">Opted out</option>
+          </select>
+          <button onClick={() => fetchDeliveries(status)} className="btn-secondary">
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+          {error}
+        </div>
+      )}
+
+      {message && (
+        <div className="bg-blue-50 border border-blue-200 text-blue-800 px-4 py-3 rounded mb-4 text-sm">
+          {message}
+        </div>
+      )}
+
+      {loading ? (
+        <p className="text-gray-500 text-sm">Loading...</p>
+      ) : deliveries.length === 0 ? (
+        <p className="text-gray-500 text-sm">No emails yet.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-600 border-b">
+                <th className="py-2 pr-4">When</th>
+                <th className="py-2 pr-4">To</th>
+                <th className="py-2 pr-4">Subject</th>
+                <th className="py-2 pr-4">Status</th>
+                <th className="py-2" />
+              </tr>
+            </thead>
+            <tbody className="divide-y">
+              {deliveries.map(delivery => (
+                <tr key={delivery._id}>
+                  <td className="py-2 pr-4 whitespace-nowrap">{new Date(delivery.createdAt).toLocaleString()}</td>
+                  <td className="py-2 pr-4">{delivery.to}</td>
+                  <td className="py-2 pr-4">{delivery.subject}</td>
+                  <td className="py-2 pr-4">
+                    <span className={`px-2 py-1 rounded-full text-xs font-medium ${getStatusBadge(delivery.status)}`}>
+                      {delivery.status}
+                    </span>
+                    <span className="ml-2 text-gray-500">
+                      {delivery.attempts} attempt(s)
+                      {delivery.nextAttemptAt && ` · retry ${new Date(delivery.nextAttemptAt).toLocaleTimeString()}`}
+                    </span>
+                    {delivery.lastError && <p className="text-xs text-gray-500 mt-1">{delivery.lastError}</p>}
+                  </td>
+                  <td className="py-2 text-right">
+                    {delivery.status === 'failed' && (
+                      <button onClick={() => handleRetry(delivery)} className="btn-secondary text-sm">
+                        Retry now
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EmailDeliveryLog;
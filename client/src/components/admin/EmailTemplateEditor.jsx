@@ -0,0 +1,146 @@
+import React, { useState, useEffect } from 'react';
+import { emailsAPI } from '../../services/api';
+
+// Reword the event emails; {{placeholders}} are filled in when each email is sent
+const EmailTemplateEditor = () => {
+  const [templates, setTemplates] = useState([]);
+  const [selected, setSelected] = useState('');
+  const [draft, setDraft] = useState({ subject: '', body: '' });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const current = templates.find(template => template.event === selected);
+
+  const selectTemplate = (template) => {
+    setSelected(template.event);
+    setDraft({ subject: template.subject, body: template.body });
+  };
+
+  useEffect(() => {
+    emailsAPI.getTemplates()
+      .then(response => {
+        setTemplates(response.data.templates);
+        if (response.data.templates[0]) selectTemplate(response.data.templates[0]);
+      })
+      .catch(() => setError('Failed to load email templates'));
+  }, []);
+
+  const applySaved = (template, message) => {
+    const updated = { ...current, ...template };
+    setTemplates(list => list.map(item => (item.event === selected ? updated : item)));
+    setDraft({ subject: template.subject, body: template.body });
+    setSuccess(message);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      setError('');
+      setSuccess('');
+      const response = await emailsAPI.updateTemplate(selected, draft);
+      applySaved(response.data.template, response.data.message);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to save the email');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleReset = async () => {
+    if (!window.confirm('Go back to the default wording for this email?')) return;
+
+    try {
+      setSaving(true);
+      setError('');
+      setSuccess('');
+      const response = await emailsAPI.resetTemplate(selected);
+      applySaved(response.data.template, response.data.message);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to reset the email');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="card">
+      <h2 className="text-xl font-semibold mb-4">Email Templates</h2>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+          {error}
+        </div>
+      )}
+
+      {success && (
+        <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded mb-4">
+          {success}
+        </div>
+      )}
+
+      <div className="flex flex-wrap gap-2 mb-4">
+        {templates.map(template => (
+          <button
+            key={template.event}
+            onClick={() => selectTemplate(template)}
+            className={`px-3 py-2 rounded text-sm font-medium transition-colors ${selected === template.event
+              ? 'bg-blue-600 text-white shadow-md'
+              : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+              }`}
+          >
+            {template.label}
+            {template.customized && ' ✎'}
+          </button>
+        ))}
+      </div>
+
+      {current && (
+        <form onSubmit={handleSave} className="space-y-3 text-sm">
+          <p className="text-gray-600">{current.description}</p>
+          <label className="block">
+            <span className="block font-medium text-gray-700 mb-1">Subject</span>
+            <input
+              type="text"
+              value={draft.subject}
+              onChange={(e) => setDraft({ ...draft, subject: e.target.value })}
+              className="input-field"
+              disabled={saving}
+            />
+          </label>
+          <label className="block">
+            <span className="block font-medium text-gray-700 mb-1">Body</span>
+            <textarea
+              value={draft.body}
+              onChange={(e) => setDraft({ ...draft, body: e.target.value })}
+              className="input-field font-mono"
+              rows="8"
+              disabled={saving}
+            />
+          </label>
+          <p className="text-gray-500">
+            Placeholders: {current.placeholders.map(name => `{{${name}}}`).join(', ')}
+          </p>
+          {current.customized && current.updatedByName && (
+            <p className="text-gray-500">
+              Last edited by {current.updatedByName}{current.updatedAt && ` on ${new Date(current.updatedAt).toLocaleString()}`}
+            </p>
+          )}
+          <div className="flex gap-2">
+            <button type="submit" disabled={saving} className="btn-primary disabled:opacity-50">
+              {saving ? 'Saving...' : 'Save Email'}
+            </button>
+            {current.customized && (
+              <button type="button" onClick={handleReset} disabled={saving} className="btn-secondary disabled:opacity-50">
+                Reset to Default
+              </button>
+            )}
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default EmailTemplateEditor;
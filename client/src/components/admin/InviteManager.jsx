@@ -0,0 +1,134 @@
+import React, { useState, useEffect } from 'react';
+import { invitesAPI } from '../../services/api';
+
+const InviteManager = () => {
+  const [invites, setInvites] = useState([]);
+  const [email, setEmail] = useState('');
+  const [role, setRole] = useState('dentist');
+  const [inviteUrl, setInviteUrl] = useState('');
+  const [inviteMessage, setInviteMessage] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const fetchInvites = async () => {
+    try {
+      const response = await invitesAPI.getAll();
+      setInvites(response.data.invites);
+    } catch {
+      setError('Failed to fetch invites');
+    }
+  };
+
+  useEffect(() => {
+    fetchInvites();
+  }, []);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+    setInviteUrl('');
+
+    try {
+      const response = await invitesAPI.create({ email, role });
+      setInviteUrl(response.data.inviteUrl);
+      setInviteMessage(response.data.message);
+      setEmail('');
+      fetchInvites();
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to create invite');
+    }
+
+    setLoading(false);
+  };
+
+  const handleRevoke = async (inviteId) => {
+    try {
+      await invitesAPI.revoke(inviteId);
+      fetchInvites();
+    } catch {
+      setError('Failed to revoke invite');
+    }
+  };
+
+  const getStatusBadge = (status) => {
+    const badges = {
+      pending: 'bg-blue-100 text-blue-800',
+      accepted: 'bg-green-100 text-green-800',
+      expired: 'bg-gray-100 text-gray-800',
+      revoked: 'bg-red-100 text-red-800',
+    };
+    return badges[status] || 'bg-gray-100 text-gray-800';
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="card">
+        <h2 className="text-xl font-semibold mb-4">Invite Staff Member</h2>
+
+        {error && (
+          <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+            {error}
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit} className="flex gap-2">
+          <input
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            className="input-field"
+            placeholder="staff@clinic.com"
+            required
+          />
+          <select value={role} onChange={(e) => setRole(e.target.value)} className="input-field w-auto" title="Role">
+            <option value="dentist">Dentist</option>
+            <option value="admin">Clinic admin</option>
+          </select>
+          <button type="submit" disabled={loading} className="btn-primary disabled:opacity-50 whitespace-nowrap">
+            {loading ? 'Creating...' : 'Create Invite'}
+          </button>
+        </form>
+
+        {inviteUrl && (
+          <div className="mt-4 bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded text-sm">
+            <p className="font-medium mb-1">{inviteMessage}. Single-use link:</p>
+            <p className="break-all font-mono">{inviteUrl}</p>
+          </div>
+        )}
+      </div>
+
+      <div className="card">
+        <h2 className="text-xl font-semibold mb-4">Invites</h2>
+        {invites.length === 0 ? (
+          <p className="text-gray-500 text-sm">No invites issued yet.</p>
+        ) : (
+          <div className="divide-y">
+            {invites.map((invite) => (
+              <div key={invite.id} className="py-3 flex justify-between items-center text-sm">
+                <div>
+                  <p className="font-medium text-gray-900">{invite.email}</p>
+                  <p className="text-gray-600">
+                    {invite.role} · expires {new Date(invite.expiresAt).toLocaleString()}
+                  </p>
+                </div>
+                <div className="flex items-center gap-2">
+                  <span className={`px-2 py-1 rounded-full text-xs font-medium ${getStatusBadge(invite.status)}`}>
+                    {invite.status}
+                  </span>
+                  {invite.status === 'pending' && (
+                    <button onClick={() => handleRevoke(invite.id)} className="btn-secondary text-sm">
+                      Revoke
+                    </button>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default InviteManager;
@@ -0,0 +1,84 @@
+import React, { useState } from 'react';
+import { submissionsAPI } from '../../services/api';
+import { VIEW_LABELS } from '../../lib/views';
+
+// Ask the patient to photograph some views again, with a reason and optional tips
+const RetakeRequestForm = ({ submission, onRequested }) => {
+  const [reason, setReason] = useState('');
+  const [guidance, setGuidance] = useState('');
+  const [views, setViews] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const toggleView = (view) => {
+    setViews(current => current.includes(view) ? current.filter(item => item !== view) : [...current, view]);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!reason.trim()) {
+      setError('Please say why a retake is needed');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError('');
+      const response = await submissionsAPI.requestRetake(submission._id, { reason, guidance, views });
+      setReason('');
+      setGuidance('');
+      setViews([]);
+      onRequested(response.data.submission, response.data.message);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to request a retake');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-orange-50 border border-orange-200 p-4 rounded-lg space-y-3 text-sm">
+      <h3 className="font-medium text-gray-700">Request Retake</h3>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">
+          {error}
+        </div>
+      )}
+
+      <input
+        type="text"
+        value={reason}
+        onChange={(e) => setReason(e.target.value)}
+        placeholder="Reason, e.g. the photo is blurry"
+        className="input-field"
+        disabled={loading}
+      />
+      <textarea
+        value={guidance}
+        onChange={(e) => setGuidance(e.target.value)}
+        placeholder="Guidance for the patient (optional), e.g. use the flash and hold the phone closer"
+        className="input-field"
+        rows="2"
+        disabled={loading}
+      />
+
+      <div className="flex flex-wrap gap-4 items-center">
+        <span className="font-medium text-gray-700">Views to retake:</span>
+        {submission.views?.map(entry => (
+          <label key={entry.view} className="flex gap-1 items-center">
+            <input type="checkbox" checked={views.includes(entry.view)} onChange={() => toggleView(entry.view)} disabled={loading} />
+            {VIEW_LABELS[entry.view]}
+          </label>
+        ))}
+        <span className="text-gray-500">(none ticked = all)</span>
+      </div>
+
+      <button type="submit" disabled={loading} className="btn-secondary disabled:opacity-50">
+        {loading ? 'Sending...' : 'Request Retake'}
+      </button>
+    </form>
+  );
+};
+
+export default RetakeRequestForm;
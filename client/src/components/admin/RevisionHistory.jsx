@@ -0,0 +1,160 @@
+import React, { useState, useEffect } from 'react';
+import { submissionsAPI } from '../../services/api';
+
+// Saved annotation revisions of one view, with a shape diff between any two
+// and restore of an older revision as a new one
+const RevisionHistory = ({ submissionId, view, conditions = [], refreshKey, onRestored }) => {
+  const [revisions, setRevisions] = useState([]);
+  const [currentRevision, setCurrentRevision] = useState(null);
+  const [imageVersion, setImageVersion] = useState(1);
+  const [compareFrom, setCompareFrom] = useState('');
+  const [compareTo, setCompareTo] = useState('');
+  const [diff, setDiff] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    submissionsAPI.getRevisions(submissionId, view)
+      .then(response => {
+        const list = response.data.revisions;
+        setRevisions(list);
+        setCurrentRevision(response.data.currentRevision);
+        setImageVersion(response.data.imageVersion);
+        // Default to comparing the two most recent saves
+        setCompareTo(list[0]?._id || '');
+        setCompareFrom(list[1]?._id || '');
+        setDiff(null);
+      })
+      .catch(() => setError('Failed to load revision history'));
+  }, [submissionId, view, refreshKey]);
+
+  const handleCompare = async () => {
+    try {
+      setError('');
+      const response = await submissionsAPI.compareRevisions(submissionId, compareFrom, compareTo);
+      setDiff(response.data);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to compare revisions');
+    }
+  };
+
+  const handleRestore = async (revision) => {
+    if (!window.confirm(`Restore revision ${revision.number}? It will be saved as a new revision.`)) {
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError('');
+      const response = await submissionsAPI.restoreRevision(submissionId, revision._id);
+      onRestored(response.data.submission, response.data.message);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to restore revision');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const describeShape = (shape) => {
+    const condition = conditions.find(item => item.id === shape.finding);
+    const parts = [condition?.label || 'Untagged', shape.type];
+    if (shape.severity) parts.push(shape.severity);
+    return parts.join(' · ') + (shape.comment ? ` – ${shape.comment}` : '');
+  };
+
+  const renderShapeList = (title, shapes, className) => (
+    shapes.length > 0 && (
+      <div>
+        <p className={`font-medium ${className}`}>{title} ({shapes.length})</p>
+        <ul className="ml-4 list-disc">
+          {shapes.map((shape, index) => (
+            <li key={shape.id || index}>
+              <span className="inline-block w-3 h-3 rounded-full mr-2 align-middle" style={{ backgroundColor: shape.color }} />
+              {describeShape(shape)}
+            </li>
+          ))}
+        </ul>
+      </div>
+    )
+  );
+
+  const revisionLabel = (revision) => `#${revision.number} – ${new Date(revision.createdAt).toLocaleString()}`;
+
+  if (revisions.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="bg-gray-50 p-4 rounded-lg space-y-4">
+      <h3 className="text-sm font-medium text-gray-700">Revision History</h3>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded text-sm">
+          {error}
+        </div>
+      )}
+
+      <div className="divide-y text-sm">
+        {revisions.map(revision => (
+          <div key={revision._id} className="py-2 flex justify-between items-center">
+            <div>
+              <p className="font-medium text-gray-900">
+                Revision {revision.number}
+                {revision.number === currentRevision && (
+                  <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">current</span>
+                )}
+              </p>
+              <p className="text-gray-600">
+                {revision.authorName || 'Unknown author'} · {new Date(revision.createdAt).toLocaleString()} · {revision.shapeCount} shape(s)
+                {revision.restoredFrom && ` · restored from #${revision.restoredFrom}`}
+                {revision.importedFrom && ` · imported from ${revision.importedFrom}`}
+                {(revision.imageVersion || 1) !== imageVersion && ' · drawn on an earlier photo'}
+              </p>
+            </div>
+            {revision.number !== currentRevision && (revision.imageVersion || 1) === imageVersion && (
+              <button onClick={() => handleRestore(revision)} disabled={loading} className="btn-secondary text-sm disabled:opacity-50">
+                Restore
+              </button>
+            )}
+          </div>
+        ))}
+      </div>
+
+      {revisions.length > 1 && (
+        <div className="space-y-3 text-sm">
+          <div className="flex flex-wrap gap-2 items-center">
+            <span className="font-medium text-gray-700">Compare</span>
+            <select value={compareFrom} onChange={(e) => setCompareFrom(e.target.value)} className="border border-gray-300 rounded px-2 py-1">
+              {revisions.map(revision => (
+                <option key={revision._id} value={revision._id}>{revisionLabel(revision)}</option>
+              ))}
+            </select>
+            <span className="text-gray-700">with</span>
+            <select value={compareTo} onChange={(e) => setCompareTo(e.target.value)} className="border border-gray-300 rounded px-2 py-1">
+              {revisions.map(revision => (
+                <option key={revision._id} value={revision._id}>{revisionLabel(revision)}</option>
+              ))}
+            </select>
+            <button onClick={handleCompare} disabled={!compareFrom || !compareTo} className="btn-secondary text-sm disabled:opacity-50">
+              Show changes
+            </button>
+          </div>
+
+          {diff && (
+            <div className="bg-white border border-gray-200 rounded p-3 space-y-2">
+              <p className="text-gray-600">
+                Revision {diff.from} → {diff.to}: {diff.added.length} added, {diff.removed.length} removed,{' '}
+                {diff.changed.length} changed, {diff.unchanged} unchanged
+              </p>
+              {renderShapeList('Added', diff.added, 'text-green-700')}
+              {renderShapeList('Removed', diff.removed, 'text-red-700')}
+              {renderShapeList('Changed', diff.changed.map(change => change.after), 'text-yellow-700')}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RevisionHistory;
@@ -1,54 +1,160 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { submissionsAPI } from '../../services/api';
+import { useAuth } from '../../context/AuthContext';
 import AnnotationCanvas from './AnnotationCanvas';
+import RevisionHistory from './RevisionHistory';
+import AnnotationImport from './AnnotationImport';
+import RetakeRequestForm from './RetakeRequestForm';
+import StatusHistory from '../shared/StatusHistory';
+import MessageThread from '../shared/MessageThread';
+import StoredImage from '../shared/StoredImage';
+import { VIEW_LABELS } from '../../lib/views';
+import { STATUS_LABELS, getStatusBadge } from '../../lib/statuses';
+import { useServerEvents } from '../../lib/events';
+import { useFileUrl } from '../../lib/files';
+
+// Moves offered as buttons. Reaching "annotated" from review happens by saving
+// annotations, "reported" by generating the PDF and "needs_retake" through the
+// retake form, so those aren't listed here.
+const statusActionLabel = (from, to) => {
+  if (to === 'in_review') return ['reported', 'closed'].includes(from) ? 'Reopen Case' : 'Start Review';
+  if (to === 'annotated') {
+    if (from === 'awaiting_approval') return 'Request Changes';
+    if (from === 'reported') return 'Reopen for Editing';
+    return null;
+  }
+  if (to === 'awaiting_approval') return 'Submit for Approval';
+  if (to === 'closed') return 'Close Case';
+  return null;
+};
 
 const SubmissionDetail = ({ submission, onBack }) => {
+  const { user, isAdmin } = useAuth();
   const [currentSubmission, setCurrentSubmission] = useState(submission);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
+  const [activeView, setActiveView] = useState(submission.views?.[0]?.view);
+
+  const [reportTemplates, setReportTemplates] = useState([]);
+  const [reportTemplate, setReportTemplate] = useState('');
+  const [findingsCatalog, setFindingsCatalog] = useState({ conditions: [], severities: [] });
+  // Bumped after a save (reload the history) or a restore (also reload the canvas)
+  const [revisionsVersion, setRevisionsVersion] = useState(0);
+  const [restoreCount, setRestoreCount] = useState(0);
+  const [lifecycle, setLifecycle] = useState({ transitions: {}, entryRoles: {}, entryEndpoints: {}, reasonRequired: [] });
+  const [statusReason, setStatusReason] = useState('');
+
+  const currentView = currentSubmission.views?.find(entry => entry.view === activeView);
+  const currentImageUrl = useFileUrl(currentView?.originalImageUrl);
+
+  useEffect(() => {
+    submissionsAPI.getReportTemplates()
+      .then(response => setReportTemplates(response.data.templates))
+      .catch(() => setReportTemplates([]));
+
+    submissionsAPI.getConditions()
+      .then(response => setFindingsCatalog(response.data))
+      .catch(() => setError('Failed to load the findings catalog'));
+
+    submissionsAPI.getStatuses()
+      .then(response => setLifecycle(response.data))
+      .catch(() => setError('Failed to load the case statuses'));
+  }, []);
+
+  // Status, assignment and retakes can change while the case is open
+  useServerEvents((type, data) => {
+    if (type === 'submission' && data.submissionId === currentSubmission._id) {
+      submissionsAPI.getOne(currentSubmission._id)
+        .then(response => setCurrentSubmission(response.data.submission))
+        .catch(() => {});
+    }
+  });
+
+  const status = currentSubmission.status;
+  const statusActions = (lifecycle.transitions[status] || [])
+    .filter(to => !lifecycle.entryEndpoints[to])
+    .filter(to => !lifecycle.entryRoles[to] || lifecycle.entryRoles[to].includes(user?.role))
+    .map(to => ({ to, label: statusActionLabel(status, to) }))
+    .filter(action => action.label);
+  // Generating the report approves it, which only admins do; anyone on staff may refresh an issued one
+  const canRequestRetake = lifecycle.transitions[status]?.includes('needs_retake');
+  const openRetake = currentSubmission.retakeRequests?.find(request => !request.fulfilledAt);
+  const canGenerateReport = status === 'reported' || (isAdmin && ['annotated', 'awaiting_approval'].includes(status));
 
-  const handleAnnotationSave = async (annotationData, annotatedImageDataUrl) => {
+  const handleAnnotationSave = async (annotationData) => {
     try {
       setLoading(true);
       setError('');
 
       const response = await submissionsAPI.annotate(currentSubmission._id, {
-        annotationData,
-        annotatedImagePath: `uploads/images/annotated-${currentSubmission._id}.jpg`
+        view: activeView,
+        annotationData
       });
 
       setCurrentSubmission(response.data.submission);
-      setSuccess('Annotation saved successfully!');
+      setRevisionsVersion(version => version + 1);
+      setSuccess(`${VIEW_LABELS[activeView]} annotation saved successfully!`);
     } catch (error) {
-      setError('Failed to save annotation');
+      setError(error.response?.data?.message || 'Failed to save annotation');
     } finally {
       setLoading(false);
     }
   };
 
-  const handleGeneratePDF = async () => {
+  const handleRevisionRestored = (updatedSubmission, message) => {
+    setCurrentSubmission(updatedSubmission);
+    setRevisionsVersion(version => version + 1);
+    setRestoreCount(count => count + 1);
+    setSuccess(message);
+  };
+
+  const handleAnnotationsImported = (updatedSubmission, message) => {
+    setCurrentSubmission(updatedSubmission);
+    setRevisionsVersion(version => version + 1);
+    setRestoreCount(count => count + 1);
+    setSuccess(message);
+  };
+
+  const handleRetakeRequested = (updatedSubmission, message) => {
+    setCurrentSubmission(updatedSubmission);
+    setSuccess(message);
+  };
+
+  const handleStatusChange = async (to) => {
+    if (lifecycle.reasonRequired.includes(to) && !statusReason.trim()) {
+      setError(`Please give a reason to move this case to ${STATUS_LABELS[to].toLowerCase()}`);
+      return;
+    }
+
     try {
       setLoading(true);
       setError('');
 
-      const response = await submissionsAPI.generatePDF(currentSubmission._id);
+      const response = await submissionsAPI.changeStatus(currentSubmission._id, to, statusReason.trim() || undefined);
       setCurrentSubmission(response.data.submission);
-      setSuccess('PDF report generated successfully!');
+      setStatusReason('');
+      setSuccess(response.data.message);
     } catch (error) {
-      setError('Failed to generate PDF');
+      setError(error.response?.data?.message || 'Failed to change the case status');
     } finally {
       setLoading(false);
     }
   };
 
-  const getStatusBadge = (status) => {
-    const badges = {
-      uploaded: 'bg-blue-100 text-blue-800',
-      annotated: 'bg-yellow-100 text-yellow-800',
-      reported: 'bg-green-100 text-green-800',
-    };
-    return badges[status] || 'bg-gray-100 text-gray-800';
+  const handleGeneratePDF = async () => {
+    try {
+      setLoading(true);
+      setError('');
+
+      const response = await submissionsAPI.generatePDF(currentSubmission._id, reportTemplate || undefined);
+      setCurrentSubmission(response.data.submission);
+      setSuccess('PDF report generated successfully!');
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to generate PDF');
+    } finally {
+      setLoading(false);
+    }
   };
 
   return (
@@ -58,8 +164,8 @@ const SubmissionDetail = ({ submission, onBack }) => {
           ← Back to Dashboard
         </button>
 
-        <span className={`px-3 py-1 rounded-full text-sm font-medium ${getStatusBadge(currentSubmission.status)}`}>
-          Status: {currentSubmission.status}
+        <span className={`px-3 py-1 rounded-full text-sm font-medium ${getStatusBadge(status)}`}>
+          Status: {STATUS_LABELS[status] || status}
         </span>
       </div>
 
@@ -75,6 +181,17 @@ const SubmissionDetail = ({ submission, onBack }) => {
         </div>
       )}
 
+      {openRetake && (
+        <div className="bg-orange-50 border border-orange-200 text-orange-800 px-4 py-3 rounded text-sm">
+          <p className="font-medium">
+            Retake requested by {openRetake.requestedByName || 'staff'} on {new Date(openRetake.requestedAt).toLocaleString()}
+            {openRetake.views?.length > 0 && ` (${openRetake.views.map(view => VIEW_LABELS[view]).join(', ')})`}
+          </p>
+          <p><strong>Reason:</strong> {openRetake.reason}</p>
+          {openRetake.guidance && <p><strong>Guidance:</strong> {openRetake.guidance}</p>}
+        </div>
+      )}
+
       {/* Patient Information */}
       <div className="card">
         <h2 className="text-xl font-semibold mb-4">Patient Information</h2>
@@ -87,6 +204,7 @@ const SubmissionDetail = ({ submission, onBack }) => {
           <div>
             <p><strong>Uploaded:</strong> {new Date(currentSubmission.createdAt).toLocaleDateString()}</p>
             <p><strong>Last Updated:</strong> {new Date(currentSubmission.updatedAt).toLocaleDateString()}</p>
+            <p><strong>Dentist:</strong> {currentSubmission.assignedToName || 'Unassigned'}</p>
           </div>
         </div>
         {currentSubmission.note && (
@@ -97,37 +215,155 @@ const SubmissionDetail = ({ submission, onBack }) => {
         )}
       </div>
 
+      {/* Messages */}
+      <div className="card">
+        <h2 className="text-xl font-semibold mb-4">Messages</h2>
+        <MessageThread submissionId={currentSubmission._id} />
+      </div>
+
       {/* Image Annotation Section */}
       <div className="card">
         <h2 className="text-xl font-semibold mb-4">Image Review & Annotation</h2>
 
-        {currentSubmission.originalImageUrl && (
-          // Update the AnnotationCanvas imageUrl prop
-          // Pass Cloudinary URL directly
+        {/* View switcher */}
+        <div className="flex gap-2 mb-4">
+          {currentSubmission.views?.map(entry => (
+            <button
+              key={entry.view}
+              onClick={() => setActiveView(entry.view)}
+              className={`px-3 py-2 rounded text-sm font-medium transition-colors ${activeView === entry.view
+                ? 'bg-blue-600 text-white shadow-md'
+                : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+                }`}
+            >
+              {VIEW_LABELS[entry.view]}
+              {entry.annotationData?.shapes?.length > 0 && ' ✓'}
+            </button>
+          ))}
+        </div>
+
+        {currentView && currentImageUrl && (
+          // Remount per view so each keeps its own shapes, and after a restore
           <AnnotationCanvas
-            imageUrl={currentSubmission.originalImageUrl}
-            existingAnnotations={currentSubmission.annotationData}
+            key={`${currentView.view}-${restoreCount}`}
+            imageUrl={currentImageUrl}
+            existingAnnotations={currentView.annotationData}
+            conditions={findingsCatalog.conditions}
+            severities={findingsCatalog.severities}
             onSave={handleAnnotationSave}
             disabled={loading}
           />
         )}
+
+        {currentView?.supersededImages?.length > 0 && (
+          <div className="mt-4 bg-gray-50 p-4 rounded-lg text-sm">
+            <h3 className="font-medium text-gray-700 mb-2">Earlier Photos</h3>
+            <div className="flex flex-wrap gap-3">
+              {currentView.supersededImages.map(image => (
+                <div key={image.imageVersion} className="text-center text-gray-600">
+                  <StoredImage
+                    src={image.annotatedImageUrl || image.originalImageUrl}
+                    alt={`${VIEW_LABELS[currentView.view]} photo ${image.imageVersion}`}
+                    className="w-24 h-24 object-cover rounded border opacity-75"
+                    linked
+                  />
+                  <span className="block text-xs mt-1">
+                    Photo {image.imageVersion} · replaced {new Date(image.supersededAt).toLocaleDateString()}
+                  </span>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {currentView && (
+          <div className="mt-4">
+            <RevisionHistory
+              submissionId={currentSubmission._id}
+              view={currentView.view}
+              conditions={findingsCatalog.conditions}
+              refreshKey={revisionsVersion}
+              onRestored={handleRevisionRestored}
+            />
+          </div>
+        )}
+
+        {currentView && (
+          <div className="mt-4">
+            <AnnotationImport
+              submissionId={currentSubmission._id}
+              view={currentView.view}
+              onImported={handleAnnotationsImported}
+            />
+          </div>
+        )}
       </div>
 
       {/* Actions */}
       <div className="card">
         <h2 className="text-xl font-semibold mb-4">Actions</h2>
-        <div className="flex gap-4">
-          {currentSubmission.status === 'annotated' && (
+
+        {canRequestRetake && (
+          <div className="mb-4">
+            <RetakeRequestForm submission={currentSubmission} onRequested={handleRetakeRequested} />
+          </div>
+        )}
+
+        {statusActions.length > 0 && (
+          <div className="flex flex-wrap gap-2 items-center mb-4">
+            <input
+              type="text"
+              value={statusReason}
+              onChange={(e) => setStatusReason(e.target.value)}
+              placeholder="Reason (optional)"
+              className="input-field flex-1 min-w-[12rem]"
+              disabled={loading}
+            />
+            {statusActions.map(action => (
+              <button
+                key={action.to}
+                onClick={() => handleStatusChange(action.to)}
+                disabled={loading}
+                className="btn-secondary disabled:opacity-50"
+              >
+                {action.label}
+              </button>
+            ))}
+          </div>
+        )}
+
+        <div className="flex flex-wrap gap-4 items-center">
+          {canGenerateReport && reportTemplates.length > 1 && (
+            <select
+              value={reportTemplate}
+              onChange={(e) => setReportTemplate(e.target.value)}
+              className="input-field w-auto"
+              title="Report layout"
+            >
+              <option value="">Clinic default layout</option>
+              {reportTemplates.map(template => (
+                <option key={template.name} value={template.name}>
+                  {template.name} – {template.description}
+                </option>
+              ))}
+            </select>
+          )}
+
+          {canGenerateReport && status !== 'reported' && (
             <button
               onClick={handleGeneratePDF}
               disabled={loading}
               className="btn-primary disabled:opacity-50"
             >
-              {loading ? 'Generating...' : 'Generate PDF Report'}
+              {loading ? 'Generating...' : status === 'awaiting_approval' ? 'Approve & Generate PDF Report' : 'Generate PDF Report'}
             </button>
           )}
 
-          {currentSubmission.status === 'reported' && (
+          {!isAdmin && status === 'awaiting_approval' && (
+            <span className="text-purple-700 font-medium">Waiting for an admin to approve the report</span>
+          )}
+
+          {status === 'reported' && (
             <div className="flex gap-2">
               <span className="text-green-600 font-medium">✓ Report Generated</span>
               <button
@@ -141,6 +377,12 @@ const SubmissionDetail = ({ submission, onBack }) => {
           )}
         </div>
       </div>
+
+      {/* Status History */}
+      <div className="card">
+        <h2 className="text-xl font-semibold mb-4">Status History</h2>
+        <StatusHistory history={currentSubmission.statusHistory} />
+      </div>
     </div>
   );
 };
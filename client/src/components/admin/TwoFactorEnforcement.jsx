@@ -0,0 +1,83 @@
+import React, { useState, useEffect } from 'react';
+import { twoFactorAPI } from '../../services/api';
+
+// Require two-factor for staff accounts; they enroll at their next sign-in
+const TwoFactorEnforcement = () => {
+  const [staff, setStaff] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  useEffect(() => {
+    twoFactorAPI.getStaff()
+      .then(response => setStaff(response.data.staff))
+      .catch(() => setError('Failed to load staff accounts'));
+  }, []);
+
+  const handleToggle = async (member, required) => {
+    try {
+      setSaving(true);
+      setError('');
+      setSuccess('');
+      const response = await twoFactorAPI.setRequired(member.id, required);
+      setStaff(current => current.map(item => (item.id === member.id ? response.data.staff : item)));
+      setSuccess(response.data.message);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to update two-factor requirement');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="card">
+      <h2 className="text-xl font-semibold mb-1">Staff Two-Factor</h2>
+      <p className="text-sm text-gray-600 mb-4">
+        Accounts that must use an authenticator app. Anyone not yet enrolled is asked to set it up at their next sign-in.
+      </p>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+          {error}
+        </div>
+      )}
+
+      {success && (
+        <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded mb-4">
+          {success}
+        </div>
+      )}
+
+      <ul className="divide-y text-sm">
+        {staff.map(member => (
+          <li key={member.id} className="py-3 flex justify-between items-center gap-4">
+            <div>
+              <p className="font-medium text-gray-900">{member.name} <span className="text-gray-500">({member.role})</span></p>
+              <p className="text-gray-600">{member.email}</p>
+            </div>
+            <div className="flex items-center gap-3">
+              <span className={`px-2 py-1 rounded-full text-xs font-medium ${member.twoFactorEnabled ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'}`}>
+                {member.twoFactorEnabled ? 'Enrolled' : 'Not enrolled'}
+              </span>
+              {member.enforcedByServer ? (
+                <span className="text-gray-500">Required by server setting</span>
+              ) : (
+                <label className="flex gap-2 items-center cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={member.twoFactorRequired}
+                    onChange={(e) => handleToggle(member, e.target.checked)}
+                    disabled={saving}
+                  />
+                  Required
+                </label>
+              )}
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default TwoFactorEnforcement;
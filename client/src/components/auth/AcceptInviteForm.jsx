@@ -0,0 +1,142 @@
+import React, { useState, useEffect } from 'react';
+import { invitesAPI } from '../../services/api';
+import { useAuth } from '../../context/AuthContext';
+
+const AcceptInviteForm = ({ token, onSuccess }) => {
+  const [invite, setInvite] = useState(null);
+  const [formData, setFormData] = useState({
+    name: '',
+    password: '',
+    confirmPassword: '',
+  });
+  const [error, setError] = useState('');
+  const [checking, setChecking] = useState(true);
+  const [loading, setLoading] = useState(false);
+
+  const { acceptInvite } = useAuth();
+
+  useEffect(() => {
+    if (!token) {
+      setError('Invite link is missing its token');
+      setChecking(false);
+      return;
+    }
+
+    invitesAPI.lookup(token)
+      .then((response) => setInvite(response.data.invite))
+      .catch((error) => setError(error.response?.data?.message || 'Invite is invalid or has expired'))
+      .finally(() => setChecking(false));
+  }, [token]);
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value,
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (formData.password !== formData.confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+
+    const result = await acceptInvite(token, {
+      name: formData.name,
+      password: formData.password,
+    });
+
+    if (result.success) {
+      onSuccess();
+    } else {
+      setError(result.error);
+    }
+
+    setLoading(false);
+  };
+
+  if (checking) {
+    return (
+      <div className="card max-w-md mx-auto">
+        <div className="text-center py-4">Checking invite...</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="card max-w-md mx-auto">
+      <h2 className="text-2xl font-bold text-center mb-6">Join OralVis</h2>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+          {error}
+        </div>
+      )}
+
+      {invite && (
+        <form onSubmit={handleSubmit}>
+          <p className="text-sm text-gray-600 mb-4">
+            You've been invited as <strong>{invite.role}</strong> for <strong>{invite.email}</strong>.
+          </p>
+
+          <div className="mb-4">
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Full Name
+            </label>
+            <input
+              type="text"
+              name="name"
+              value={formData.name}
+              onChange={handleChange}
+              className="input-field"
+              required
+            />
+          </div>
+
+          <div className="mb-4">
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Password
+            </label>
+            <input
+              type="password"
+              name="password"
+              value={formData.password}
+              onChange={handleChange}
+              className="input-field"
+              required
+            />
+          </div>
+
+          <div className="mb-6">
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Confirm Password
+            </label>
+            <input
+              type="password"
+              name="confirmPassword"
+              value={formData.confirmPassword}
+              onChange={handleChange}
+              className="input-field"
+              required
+            />
+          </div>
+
+          <button
+            type="submit"
+            disabled={loading}
+            className="w-full btn-primary disabled:opacity-50"
+          >
+            {loading ? 'Creating account...' : 'Accept Invite'}
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default AcceptInviteForm;
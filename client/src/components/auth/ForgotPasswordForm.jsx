@@ -0,0 +1,78 @@
+import React, { useState } from 'react';
+import { authAPI } from '../../services/api';
+
+const ForgotPasswordForm = () => {
+  const [email, setEmail] = useState('');
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const response = await authAPI.forgotPassword(email);
+      setSuccess(response.data.message);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to request password reset');
+    }
+
+    setLoading(false);
+  };
+
+  return (
+    <div className="card max-w-md mx-auto">
+      <h2 className="text-2xl font-bold text-center mb-6">Forgot Password</h2>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+          {error}
+        </div>
+      )}
+
+      {success && (
+        <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded mb-4">
+          {success}
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit}>
+        <div className="mb-6">
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Email
+          </label>
+          <input
+            type="email"
+            name="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            className="input-field"
+            required
+          />
+        </div>
+
+        <button
+          type="submit"
+          disabled={loading}
+          className="w-full btn-primary disabled:opacity-50"
+        >
+          {loading ? 'Sending...' : 'Send Reset Link'}
+        </button>
+      </form>
+
+      <div className="mt-4 text-center">
+        <p className="text-sm text-gray-600">
+          Remembered it?{' '}
+          <a href="/login" className="text-blue-600 hover:underline">
+            Back to login
+          </a>
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPasswordForm;
@@ -1,15 +1,45 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { useAuth } from '../../context/AuthContext';
+import { authAPI } from '../../services/api';
+import TwoFactorChallenge from './TwoFactorChallenge';
+import TwoFactorEnrollment from './TwoFactorEnrollment';
 
-const LoginForm = ({ onSuccess }) => {
+const LoginForm = ({ onSuccess, notice }) => {
   const [formData, setFormData] = useState({
     email: '',
     password: '',
   });
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
+  // Set when the server throttles or locks the account
+  const [blockedUntil, setBlockedUntil] = useState(null);
+  const [secondsLeft, setSecondsLeft] = useState(0);
+  // Second login step: { token, mode: 'verify' | 'setup' }
+  const [challenge, setChallenge] = useState(null);
 
-  const { login } = useAuth();
+  const { login, verifyTwoFactor, startSession } = useAuth();
+
+  useEffect(() => {
+    if (!blockedUntil) return;
+
+    const tick = () => {
+      const remaining = Math.max(0, Math.ceil((blockedUntil - Date.now()) / 1000));
+      setSecondsLeft(remaining);
+      if (remaining === 0) {
+        setBlockedUntil(null);
+        setError('');
+      }
+    };
+
+    tick();
+    const interval = setInterval(tick, 1000);
+    return () => clearInterval(interval);
+  }, [blockedUntil]);
+
+  const formatWait = (seconds) => {
+    const minutes = Math.floor(seconds / 60);
+    return minutes > 0 ? `${minutes}m ${seconds % 60}s` : `${seconds}s`;
+  };
 
   const handleChange = (e) => {
     setFormData({
@@ -18,6 +48,13 @@ const LoginForm = ({ onSuccess }) => {
     });
   };
 
+  const handleFailure = (result) => {
+    setError(result.error);
+    if (result.retryAfter) {
+      setBlockedUntil(Date.now() + result.retryAfter * 1000);
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
@@ -27,23 +64,119 @@ const LoginForm = ({ onSuccess }) => {
     
     if (result.success) {
       onSuccess();
+    } else if (result.twoFactorRequired || result.twoFactorSetupRequired) {
+      setChallenge({
+        token: result.challengeToken,
+        mode: result.twoFactorRequired ? 'verify' : 'setup',
+        message: result.message
+      });
     } else {
-      setError(result.error);
+      handleFailure(result);
     }
     
     setLoading(false);
   };
 
+  const handleTwoFactorSubmit = async (codes) => {
+    setLoading(true);
+    setError('');
+
+    const result = await verifyTwoFactor(challenge.token, codes);
+
+    if (result.success) {
+      onSuccess();
+    } else {
+      handleFailure(result);
+    }
+
+    setLoading(false);
+  };
+
+  const handleCancelChallenge = () => {
+    setChallenge(null);
+    setError('');
+    setFormData({ ...formData, password: '' });
+  };
+
+  const challengeToken = challenge?.token;
+
+  const startEnrollment = useCallback(
+    () => authAPI.setupTwoFactorLogin(challengeToken).then(response => response.data),
+    [challengeToken]
+  );
+
+  const confirmEnrollment = useCallback(
+    (code) => authAPI.confirmTwoFactorLoginSetup(challengeToken, code).then(response => response.data),
+    [challengeToken]
+  );
+
+  const handleEnrollmentComplete = (session) => {
+    startSession(session);
+    onSuccess();
+  };
+
+  if (challenge) {
+    return (
+      <div className="card max-w-md mx-auto">
+        <h2 className="text-2xl font-bold text-center mb-6">Two-Factor Authentication</h2>
+
+        {error && !blockedUntil && (
+          <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+            {error}
+          </div>
+        )}
+
+        {blockedUntil && (
+          <div className="bg-yellow-100 border border-yellow-400 text-yellow-800 px-4 py-3 rounded mb-4">
+            <p className="font-medium">{error}</p>
+            <p className="text-sm mt-1">You can try again in {formatWait(secondsLeft)}.</p>
+          </div>
+        )}
+
+        {challenge.mode === 'verify' ? (
+          <TwoFactorChallenge
+            onSubmit={handleTwoFactorSubmit}
+            onCancel={handleCancelChallenge}
+            loading={loading}
+            disabled={!!blockedUntil}
+          />
+        ) : (
+          <>
+            <p className="text-sm text-gray-600 mb-4">{challenge.message}</p>
+            <TwoFactorEnrollment
+              startEnrollment={startEnrollment}
+              confirmEnrollment={confirmEnrollment}
+              onComplete={handleEnrollmentComplete}
+            />
+          </>
+        )}
+      </div>
+    );
+  }
+
   return (
     <div className="card max-w-md mx-auto">
       <h2 className="text-2xl font-bold text-center mb-6">Login</h2>
       
-      {error && (
+      {notice && (
+        <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded mb-4">
+          {notice}
+        </div>
+      )}
+
+      {error && !blockedUntil && (
         <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
           {error}
         </div>
       )}
 
+      {blockedUntil && (
+        <div className="bg-yellow-100 border border-yellow-400 text-yellow-800 px-4 py-3 rounded mb-4">
+          <p className="font-medium">{error}</p>
+          <p className="text-sm mt-1">You can try again in {formatWait(secondsLeft)}.</p>
+        </div>
+      )}
+
       <form onSubmit={handleSubmit}>
         <div className="mb-4">
           <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -60,9 +193,14 @@ const LoginForm = ({ onSuccess }) => {
         </div>
 
         <div className="mb-6">
-          <label className="block text-sm font-medium text-gray-700 mb-2">
-            Password
-          </label>
+          <div className="flex justify-between items-center mb-2">
+            <label className="block text-sm font-medium text-gray-700">
+              Password
+            </label>
+            <a href="/forgot-password" className="text-sm text-blue-600 hover:underline">
+              Forgot password?
+            </a>
+          </div>
           <input
             type="password"
             name="password"
@@ -75,7 +213,7 @@ const LoginForm = ({ onSuccess }) => {
 
         <button
           type="submit"
-          disabled={loading}
+          disabled={loading || !!blockedUntil}
           className="w-full btn-primary disabled:opacity-50"
         >
           {loading ? 'Logging in...' : 'Login'}
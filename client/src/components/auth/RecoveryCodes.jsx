@@ -0,0 +1,33 @@
+import React from 'react';
+
+const RecoveryCodes = ({ codes, onDone }) => {
+  const handleCopy = () => {
+    navigator.clipboard?.writeText(codes.join('\n'));
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-yellow-100 border border-yellow-400 text-yellow-800 px-4 py-3 rounded text-sm">
+        Save these recovery codes somewhere safe. Each code can be used once if you lose access
+        to your authenticator app. They won't be shown again.
+      </div>
+
+      <div className="grid grid-cols-2 gap-2 bg-gray-50 p-4 rounded font-mono text-sm">
+        {codes.map(code => (
+          <span key={code}>{code}</span>
+        ))}
+      </div>
+
+      <div className="flex gap-2">
+        <button type="button" onClick={handleCopy} className="btn-secondary flex-1">
+          Copy codes
+        </button>
+        <button type="button" onClick={onDone} className="btn-primary flex-1">
+          I've saved them
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default RecoveryCodes;
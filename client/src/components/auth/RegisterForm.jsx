@@ -6,7 +6,6 @@ const RegisterForm = ({ onSuccess }) => {
     name: '',
     email: '',
     password: '',
-    role: 'patient',
     patientId: '',
   });
   const [error, setError] = useState('');
@@ -90,38 +89,21 @@ const RegisterForm = ({ onSuccess }) => {
           />
         </div>
 
-        <div className="mb-4">
+        <div className="mb-6">
           <label className="block text-sm font-medium text-gray-700 mb-2">
-            Role
+            Patient ID
           </label>
-          <select
-            name="role"
-            value={formData.role}
+          <input
+            type="text"
+            name="patientId"
+            value={formData.patientId}
             onChange={handleChange}
             className="input-field"
-          >
-            <option value="patient">Patient</option>
-            <option value="admin">Admin</option>
-          </select>
+            placeholder="e.g., PAT001"
+            required
+          />
         </div>
 
-        {formData.role === 'patient' && (
-          <div className="mb-6">
-            <label className="block text-sm font-medium text-gray-700 mb-2">
-              Patient ID
-            </label>
-            <input
-              type="text"
-              name="patientId"
-              value={formData.patientId}
-              onChange={handleChange}
-              className="input-field"
-              placeholder="e.g., PAT001"
-              required={formData.role === 'patient'}
-            />
-          </div>
-        )}
-
         <button
           type="submit"
           disabled={loading}
@@ -138,6 +120,9 @@ const RegisterForm = ({ onSuccess }) => {
             Login here
           </a>
         </p>
+        <p className="text-xs text-gray-500 mt-2">
+          Clinic staff join through an invite link from an administrator.
+        </p>
       </div>
     </div>
   );
@@ -0,0 +1,97 @@
+import React, { useState } from 'react';
+import { authAPI } from '../../services/api';
+
+const ResetPasswordForm = ({ token, onSuccess }) => {
+  const [formData, setFormData] = useState({
+    password: '',
+    confirmPassword: '',
+  });
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value,
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (formData.password !== formData.confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      const response = await authAPI.resetPassword(token, formData.password);
+      onSuccess(response.data.message);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to reset password');
+    }
+
+    setLoading(false);
+  };
+
+  return (
+    <div className="card max-w-md mx-auto">
+      <h2 className="text-2xl font-bold text-center mb-6">Reset Password</h2>
+
+      {!token && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+          Reset link is missing its token
+        </div>
+      )}
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+          {error}
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit}>
+        <div className="mb-4">
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            New Password
+          </label>
+          <input
+            type="password"
+            name="password"
+            value={formData.password}
+            onChange={handleChange}
+            className="input-field"
+            required
+          />
+        </div>
+
+        <div className="mb-6">
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Confirm New Password
+          </label>
+          <input
+            type="password"
+            name="confirmPassword"
+            value={formData.confirmPassword}
+            onChange={handleChange}
+            className="input-field"
+            required
+          />
+        </div>
+
+        <button
+          type="submit"
+          disabled={loading || !token}
+          className="w-full btn-primary disabled:opacity-50"
+        >
+          {loading ? 'Saving...' : 'Reset Password'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default ResetPasswordForm;
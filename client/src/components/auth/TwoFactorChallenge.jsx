@@ -0,0 +1,60 @@
+import React, { useState } from 'react';
+
+const TwoFactorChallenge = ({ onSubmit, onCancel, loading, disabled }) => {
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [value, setValue] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit(useRecoveryCode ? { recoveryCode: value } : { code: value });
+  };
+
+  const toggleMode = () => {
+    setUseRecoveryCode(!useRecoveryCode);
+    setValue('');
+  };
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <p className="text-sm text-gray-600 mb-4">
+        {useRecoveryCode
+          ? 'Enter one of your recovery codes.'
+          : 'Enter the 6-digit code from your authenticator app.'}
+      </p>
+
+      <div className="mb-4">
+        <input
+          type="text"
+          inputMode={useRecoveryCode ? 'text' : 'numeric'}
+          autoComplete="one-time-code"
+          value={value}
+          onChange={(e) => setValue(e.target.value)}
+          className="input-field text-center tracking-widest"
+          placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+          maxLength={useRecoveryCode ? 11 : 6}
+          autoFocus
+          required
+        />
+      </div>
+
+      <button
+        type="submit"
+        disabled={loading || disabled}
+        className="w-full btn-primary disabled:opacity-50"
+      >
+        {loading ? 'Verifying...' : 'Verify'}
+      </button>
+
+      <div className="mt-4 flex justify-between text-sm">
+        <button type="button" onClick={toggleMode} className="text-blue-600 hover:underline">
+          {useRecoveryCode ? 'Use authenticator code' : 'Use a recovery code'}
+        </button>
+        <button type="button" onClick={onCancel} className="text-gray-600 hover:underline">
+          Back to login
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default TwoFactorChallenge;
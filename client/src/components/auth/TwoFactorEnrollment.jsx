@@ -0,0 +1,86 @@
+import React, { useState, useEffect, useRef } from 'react';
+import RecoveryCodes from './RecoveryCodes';
+
+// Shared by the enforced login flow and the security settings page
+const TwoFactorEnrollment = ({ startEnrollment, confirmEnrollment, onComplete }) => {
+  const [enrollment, setEnrollment] = useState(null);
+  const [code, setCode] = useState('');
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+  const started = useRef(false);
+
+  useEffect(() => {
+    // Each call generates a new secret, so only start once
+    if (started.current) return;
+    started.current = true;
+
+    startEnrollment()
+      .then(setEnrollment)
+      .catch((error) => setError(error.response?.data?.message || 'Failed to start two-factor setup'));
+  }, [startEnrollment]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      setResult(await confirmEnrollment(code));
+    } catch (error) {
+      setError(error.response?.data?.message || 'Invalid authentication code');
+    }
+
+    setLoading(false);
+  };
+
+  if (result) {
+    return <RecoveryCodes codes={result.recoveryCodes} onDone={() => onComplete(result)} />;
+  }
+
+  return (
+    <div className="space-y-4">
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">
+          {error}
+        </div>
+      )}
+
+      {!enrollment && !error && <p className="text-sm text-gray-600">Preparing setup...</p>}
+
+      {enrollment && (
+        <>
+          <p className="text-sm text-gray-600">
+            Scan this QR code with an authenticator app (Google Authenticator, Authy, 1Password),
+            then enter the 6-digit code it shows.
+          </p>
+
+          <img src={enrollment.qrCode} alt="Two-factor QR code" className="mx-auto w-48 h-48 border rounded" />
+
+          <p className="text-xs text-gray-500 text-center break-all">
+            Can't scan? Enter this key manually: <span className="font-mono">{enrollment.secret}</span>
+          </p>
+
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <input
+              type="text"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              className="input-field text-center tracking-widest"
+              placeholder="123456"
+              maxLength={6}
+              required
+            />
+            <button type="submit" disabled={loading} className="w-full btn-primary disabled:opacity-50">
+              {loading ? 'Verifying...' : 'Verify & Enable'}
+            </button>
+          </form>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorEnrollment;
@@ -0,0 +1,206 @@
+import React, { useState, useCallback } from 'react';
+import { twoFactorAPI } from '../../services/api';
+import { useAuth } from '../../context/AuthContext';
+import TwoFactorEnrollment from './TwoFactorEnrollment';
+import RecoveryCodes from './RecoveryCodes';
+
+const TwoFactorSettings = () => {
+  const { user, updateUser } = useAuth();
+  const [mode, setMode] = useState(null); // 'enroll' | 'disable' | 'regenerate'
+  const [formData, setFormData] = useState({ password: '', code: '' });
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const startEnrollment = useCallback(
+    () => twoFactorAPI.setup().then(response => response.data),
+    []
+  );
+
+  const confirmEnrollment = useCallback(
+    (code) => twoFactorAPI.enable(code).then(response => response.data),
+    []
+  );
+
+  const handleEnrollmentComplete = (result) => {
+    updateUser(result.user);
+    setMode(null);
+    setSuccess('Two-factor authentication is now enabled');
+  };
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value,
+    });
+  };
+
+  const resetForm = (nextMode = null) => {
+    setMode(nextMode);
+    setFormData({ password: '', code: '' });
+    setError('');
+    setSuccess('');
+  };
+
+  const handleDisable = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await twoFactorAPI.disable(formData);
+      updateUser(response.data.user);
+      resetForm();
+      setSuccess(response.data.message);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to disable two-factor authentication');
+    }
+
+    setLoading(false);
+  };
+
+  const handleRegenerate = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await twoFactorAPI.regenerateRecoveryCodes(formData.code);
+      setRecoveryCodes(response.data.recoveryCodes);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to regenerate recovery codes');
+    }
+
+    setLoading(false);
+  };
+
+  return (
+    <div className="card space-y-4">
+      <div className="flex justify-between items-center">
+        <div>
+          <h2 className="text-xl font-semibold">Two-Factor Authentication</h2>
+          <p className="text-sm text-gray-600">
+            Require a code from an authenticator app when signing in.
+          </p>
+        </div>
+        <span className={`px-2 py-1 rounded-full text-xs font-medium ${user.twoFactorEnabled ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'}`}>
+          {user.twoFactorEnabled ? 'Enabled' : 'Disabled'}
+        </span>
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">
+          {error}
+        </div>
+      )}
+
+      {success && (
+        <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded">
+          {success}
+        </div>
+      )}
+
+      {!mode && !user.twoFactorEnabled && (
+        <button onClick={() => resetForm('enroll')} className="btn-primary">
+          Set up two-factor
+        </button>
+      )}
+
+      {!mode && user.twoFactorEnabled && (
+        <div className="flex gap-2">
+          <button onClick={() => resetForm('regenerate')} className="btn-secondary">
+            New recovery codes
+          </button>
+          {!user.twoFactorRequired && (
+            <button onClick={() => resetForm('disable')} className="btn-secondary">
+              Disable
+            </button>
+          )}
+        </div>
+      )}
+
+      {!mode && user.twoFactorRequired && (
+        <p className="text-sm text-gray-600">Your clinic requires two-factor for this account.</p>
+      )}
+
+      {mode === 'enroll' && (
+        <TwoFactorEnrollment
+          startEnrollment={startEnrollment}
+          confirmEnrollment={confirmEnrollment}
+          onComplete={handleEnrollmentComplete}
+        />
+      )}
+
+      {mode === 'disable' && (
+        <form onSubmit={handleDisable} className="space-y-4">
+          <input
+            type="password"
+            name="password"
+            value={formData.password}
+            onChange={handleChange}
+            className="input-field"
+            placeholder="Current password"
+            required
+          />
+          <input
+            type="text"
+            name="code"
+            inputMode="numeric"
+            value={formData.code}
+            onChange={handleChange}
+            className="input-field"
+            placeholder="Authenticator code"
+            maxLength={6}
+            required
+          />
+          <div className="flex gap-2">
+            <button type="button" onClick={() => resetForm()} className="btn-secondary">
+              Cancel
+            </button>
+            <button type="submit" disabled={loading} className="btn-primary disabled:opacity-50">
+              {loading ? 'Disabling...' : 'Disable two-factor'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {mode === 'regenerate' && !recoveryCodes && (
+        <form onSubmit={handleRegenerate} className="space-y-4">
+          <p className="text-sm text-gray-600">Your current recovery codes will stop working.</p>
+          <input
+            type="text"
+            name="code"
+            inputMode="numeric"
+            value={formData.code}
+            onChange={handleChange}
+            className="input-field"
+            placeholder="Authenticator code"
+            maxLength={6}
+            required
+          />
+          <div className="flex gap-2">
+            <button type="button" onClick={() => resetForm()} className="btn-secondary">
+              Cancel
+            </button>
+            <button type="submit" disabled={loading} className="btn-primary disabled:opacity-50">
+              {loading ? 'Generating...' : 'Generate new codes'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {mode === 'regenerate' && recoveryCodes && (
+        <RecoveryCodes
+          codes={recoveryCodes}
+          onDone={() => {
+            setRecoveryCodes(null);
+            resetForm();
+          }}
+        />
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
@@ -1,13 +1,14 @@
 import React from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
+import NotificationBell from './NotificationBell';
 
 const Header = () => {
-  const { user, logout, isAuthenticated } = useAuth();
+  const { user, logout, isAuthenticated, isAdmin } = useAuth();
   const navigate = useNavigate();
 
-  const handleLogout = () => {
-    logout();
+  const handleLogout = async () => {
+    await logout();
     navigate('/login');
   };
 
@@ -23,6 +24,18 @@ const Header = () => {
             <span className="text-gray-600">
               Welcome, {user.name} ({user.role})
             </span>
+            <NotificationBell />
+            {isAdmin && (
+              <Link to="/admin/invites" className="text-sm text-blue-600 hover:underline">
+                Staff Invites
+              </Link>
+            )}
+            <Link to="/emails" className="text-sm text-blue-600 hover:underline">
+              Emails
+            </Link>
+            <Link to="/sessions" className="text-sm text-blue-600 hover:underline">
+              Security
+            </Link>
             <button onClick={handleLogout} className="btn-secondary">
               Logout
             </button>
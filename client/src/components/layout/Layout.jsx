@@ -1,11 +1,13 @@
 import React from 'react';
 import Header from './Header';
+import VerifyEmailBanner from './VerifyEmailBanner';
 
 const Layout = ({ children }) => {
   return (
     <div className="min-h-screen bg-gray-50">
       <Header />
       <main className="container mx-auto px-4 py-6">
+        <VerifyEmailBanner />
         {children}
       </main>
     </div>
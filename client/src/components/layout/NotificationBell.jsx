@@ -0,0 +1,112 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { notificationsAPI } from '../../services/api';
+import { useServerEvents } from '../../lib/events';
+
+// Header bell: notifications arrive live and stay listed until read
+const NotificationBell = () => {
+  const [notifications, setNotifications] = useState([]);
+  const [unread, setUnread] = useState(0);
+  const [open, setOpen] = useState(false);
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    notificationsAPI.getAll()
+      .then(response => {
+        setNotifications(response.data.notifications);
+        setUnread(response.data.unread);
+      })
+      .catch(() => setNotifications([]));
+  }, []);
+
+  useServerEvents((type, data) => {
+    if (type !== 'notification') return;
+    setNotifications(current => [data.notification, ...current]);
+    setUnread(count => count + 1);
+  });
+
+  // Close the list on a click elsewhere
+  useEffect(() => {
+    if (!open) return undefined;
+    const handleClick = (e) => {
+      if (!containerRef.current?.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener('pointerdown', handleClick);
+    return () => document.removeEventListener('pointerdown', handleClick);
+  }, [open]);
+
+  const toggleRead = async (notification) => {
+    const read = !notification.readAt;
+    try {
+      const response = await notificationsAPI.markRead(notification._id, read);
+      setNotifications(current => current.map(item => (item._id === notification._id ? response.data.notification : item)));
+      setUnread(count => Math.max(0, count + (read ? -1 : 1)));
+    } catch {
+      // Leave it as it was; the next load shows the stored state
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await notificationsAPI.markAllRead();
+      const now = new Date().toISOString();
+      setNotifications(current => current.map(item => ({ ...item, readAt: item.readAt || now })));
+      setUnread(0);
+    } catch {
+      // Leave them as they were
+    }
+  };
+
+  return (
+    <div className="relative" ref={containerRef}>
+      <button
+        onClick={() => setOpen(value => !value)}
+        className="relative p-2 rounded-full hover:bg-gray-100"
+        title="Notifications"
+        aria-label={`Notifications${unread ? ` (${unread} unread)` : ''}`}
+      >
+        <span className="text-xl" aria-hidden="true">🔔</span>
+        {unread > 0 && (
+          <span className="absolute -top-0.5 -right-0.5 min-w-[1.25rem] px-1 rounded-full bg-red-600 text-white text-xs font-medium text-center">
+            {unread > 99 ? '99+' : unread}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-80 max-w-[90vw] bg-white border border-gray-200 rounded-lg shadow-lg z-50">
+          <div className="flex justify-between items-center px-4 py-2 border-b">
+            <span className="font-medium text-gray-900">Notifications</span>
+            {unread > 0 && (
+              <button onClick={handleMarkAllRead} className="text-sm text-blue-600 hover:underline">
+                Mark all read
+              </button>
+            )}
+          </div>
+
+          {notifications.length === 0 ? (
+            <p className="px-4 py-6 text-sm text-gray-500 text-center">No notifications yet.</p>
+          ) : (
+            <ul className="max-h-96 overflow-y-auto divide-y text-sm">
+              {notifications.map(notification => (
+                <li key={notification._id} className={`px-4 py-3 flex gap-3 items-start ${notification.readAt ? '' : 'bg-blue-50'}`}>
+                  <div className="flex-1">
+                    <p className={notification.readAt ? 'text-gray-700' : 'text-gray-900 font-medium'}>{notification.text}</p>
+                    <p className="text-xs text-gray-500">{new Date(notification.createdAt).toLocaleString()}</p>
+                  </div>
+                  <button
+                    onClick={() => toggleRead(notification)}
+                    className="text-xs text-blue-600 hover:underline whitespace-nowrap"
+                  >
+                    {notification.readAt ? 'Mark unread' : 'Mark read'}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
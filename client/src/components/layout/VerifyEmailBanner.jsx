@@ -0,0 +1,40 @@
+import React, { useState } from 'react';
+import { useLocation } from 'react-router-dom';
+import { authAPI } from '../../services/api';
+import { useAuth } from '../../context/AuthContext';
+
+const VerifyEmailBanner = () => {
+  const { user, isAuthenticated } = useAuth();
+  const location = useLocation();
+  const [message, setMessage] = useState('');
+  const [sending, setSending] = useState(false);
+
+  if (!isAuthenticated || user.emailVerified !== false || location.pathname === '/verify-email') {
+    return null;
+  }
+
+  const handleResend = async () => {
+    try {
+      setSending(true);
+      const response = await authAPI.resendVerification();
+      setMessage(response.data.message);
+    } catch (error) {
+      setMessage(error.response?.data?.message || 'Failed to send verification email');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="bg-yellow-100 border border-yellow-400 text-yellow-800 px-4 py-3 rounded mb-6 flex justify-between items-center text-sm">
+      <span>
+        {message || `Please verify your email address. We sent a link to ${user.email}.`}
+      </span>
+      <button onClick={handleResend} disabled={sending} className="btn-secondary text-sm disabled:opacity-50">
+        {sending ? 'Sending...' : 'Resend email'}
+      </button>
+    </div>
+  );
+};
+
+export default VerifyEmailBanner;
@@ -0,0 +1,76 @@
+import React, { useState } from 'react';
+import { submissionsAPI } from '../../services/api';
+import { VIEW_LABELS } from '../../lib/views';
+
+// Answer a retake request: new photos replace the current ones of the same submission
+const RetakeUpload = ({ submission, request, onUploaded }) => {
+  // Requests without views ask for every view again
+  const views = request.views?.length ? request.views : submission.views.map(entry => entry.view);
+  const [images, setImages] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleImageChange = (view) => (e) => {
+    const file = e.target.files[0];
+    setImages(prev => ({ ...prev, [view]: file || null }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const selected = views.filter(view => images[view]);
+    if (selected.length === 0) {
+      setError('Please choose a new photo to upload');
+      return;
+    }
+    if (selected.length < views.length) {
+      setError('Please choose a new photo for each view listed');
+      return;
+    }
+
+    const formData = new FormData();
+    selected.forEach(view => formData.append(view, images[view]));
+
+    try {
+      setLoading(true);
+      setError('');
+      await submissionsAPI.uploadRetake(submission._id, formData);
+      onUploaded();
+    } catch (error) {
+      setError(error.response?.data?.message || 'Upload failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="mt-4 bg-orange-50 border border-orange-200 p-4 rounded-lg space-y-3 text-sm">
+      <div>
+        <p className="font-medium text-orange-800">Your dentist asked for a new photo</p>
+        <p className="text-gray-700"><strong>Reason:</strong> {request.reason}</p>
+        {request.guidance && <p className="text-gray-700"><strong>Tips:</strong> {request.guidance}</p>}
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">
+          {error}
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} className="space-y-3">
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+          {views.map(view => (
+            <label key={view} className="block">
+              <span className="block text-gray-700 mb-1">{VIEW_LABELS[view]}</span>
+              <input type="file" accept="image/*" onChange={handleImageChange(view)} className="input-field text-xs" disabled={loading} />
+            </label>
+          ))}
+        </div>
+        <button type="submit" disabled={loading} className="btn-primary disabled:opacity-50">
+          {loading ? 'Uploading...' : 'Upload Retake'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default RetakeUpload;
@@ -1,16 +1,34 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { submissionsAPI } from '../../services/api';
+import { VIEW_LABELS } from '../../lib/views';
+import { PATIENT_STATUS_LABELS, getStatusBadge } from '../../lib/statuses';
+import StatusHistory from '../shared/StatusHistory';
+import MessageThread from '../shared/MessageThread';
+import StoredImage from '../shared/StoredImage';
+import RetakeUpload from './RetakeUpload';
+import { useServerEvents } from '../../lib/events';
 
 const SubmissionList = ({ refreshTrigger }) => {
   const [submissions, setSubmissions] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
+  // Cursor for the next page of older submissions, if there is one
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  // Unread clinic messages per submission id, and the submission whose thread is open
+  const [unread, setUnread] = useState({});
+  const [openThread, setOpenThread] = useState(null);
 
   const fetchSubmissions = async () => {
     try {
       setLoading(true);
-      const response = await submissionsAPI.getAll();
+      const [response, unreadResponse] = await Promise.all([
+        submissionsAPI.getAll(),
+        submissionsAPI.getUnreadMessages()
+      ]);
       setSubmissions(response.data.submissions);
+      setNextCursor(response.data.nextCursor);
+      setUnread(unreadResponse.data.submissions);
     } catch (error) { 
       setError('Failed to fetch submissions');
     } finally {
@@ -18,10 +36,43 @@ const SubmissionList = ({ refreshTrigger }) => {
     }
   };
 
+  const loadMore = async () => {
+    try {
+      setLoadingMore(true);
+      const response = await submissionsAPI.getAll({ cursor: nextCursor });
+      setSubmissions(current => [...current, ...response.data.submissions]);
+      setNextCursor(response.data.nextCursor);
+    } catch {
+      setError('Failed to fetch submissions');
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
   useEffect(() => {
     fetchSubmissions();
   }, [refreshTrigger]);
 
+  // Status changes and clinic messages show up without a refresh
+  useServerEvents((type, data) => {
+    if (type === 'submission') {
+      submissionsAPI.getOne(data.submissionId)
+        .then(response => {
+          const updated = response.data.submission;
+          setSubmissions(current => (current.some(item => item._id === updated._id)
+            ? current.map(item => (item._id === updated._id ? updated : item))
+            : [updated, ...current]));
+        })
+        .catch(() => {});
+    } else if (type === 'message' && data.submissionId !== openThread) {
+      setUnread(current => ({ ...current, [data.submissionId]: (current[data.submissionId] || 0) + 1 }));
+    }
+  });
+
+  const handleThreadRead = useCallback((submissionId) => {
+    setUnread(current => ({ ...current, [submissionId]: 0 }));
+  }, []);
+
   const handleDownloadPDF = async (submissionId, patientId) => {
     try {
       const response = await submissionsAPI.downloadPDF(submissionId);
@@ -41,24 +92,6 @@ const SubmissionList = ({ refreshTrigger }) => {
     }
   };
 
-  const getStatusBadge = (status) => {
-    const badges = {
-      uploaded: 'bg-blue-100 text-blue-800',
-      annotated: 'bg-yellow-100 text-yellow-800',
-      reported: 'bg-green-100 text-green-800',
-    };
-    return badges[status] || 'bg-gray-100 text-gray-800';
-  };
-
-  const getStatusText = (status) => {
-    const texts = {
-      uploaded: 'Uploaded',
-      annotated: 'Under Review',
-      reported: 'Report Ready',
-    };
-    return texts[status] || status;
-  };
-
   if (loading) {
     return (
       <div className="card">
@@ -100,7 +133,7 @@ const SubmissionList = ({ refreshTrigger }) => {
                 <p className="text-sm text-gray-600">ID: {submission.patientId}</p>
               </div>
               <span className={`px-2 py-1 rounded-full text-xs font-medium ${getStatusBadge(submission.status)}`}>
-                {getStatusText(submission.status)}
+                {PATIENT_STATUS_LABELS[submission.status] || submission.status}
               </span>
             </div>
 
@@ -112,24 +145,57 @@ const SubmissionList = ({ refreshTrigger }) => {
             </div>
 
             <div className="mt-4 flex gap-2">
-              {/* Replace image display with direct Cloudinary URLs */}
-              {submission.originalImageUrl && (
-                <img
-                  src={submission.originalImageUrl}
-                  alt="Uploaded dental image"
+              {submission.views?.map(entry => (
+                <StoredImage
+                  key={entry.view}
+                  src={entry.annotatedImageUrl || entry.originalImageUrl}
+                  alt={`${VIEW_LABELS[entry.view]} dental image`}
+                  title={VIEW_LABELS[entry.view]}
                   className="w-20 h-20 object-cover rounded border"
                 />
-              )}
+              ))}
+            </div>
 
-              {submission.annotatedImageUrl && (
-                <img
-                  src={submission.annotatedImageUrl}
-                  alt="Annotated dental image"
-                  className="w-20 h-20 object-cover rounded border"
-                />
+            {submission.status === 'needs_retake' && submission.retakeRequests?.some(request => !request.fulfilledAt) && (
+              <RetakeUpload
+                submission={submission}
+                request={submission.retakeRequests.find(request => !request.fulfilledAt)}
+                onUploaded={fetchSubmissions}
+              />
+            )}
+
+            {submission.views?.some(entry => entry.supersededImages?.length > 0) && (
+              <p className="mt-2 text-xs text-gray-500">
+                Earlier photos replaced by retakes are kept with this submission.
+              </p>
+            )}
+
+            <div className="mt-4">
+              <button
+                onClick={() => setOpenThread(openThread === submission._id ? null : submission._id)}
+                className="text-sm font-medium text-blue-700 hover:underline"
+              >
+                {openThread === submission._id ? 'Hide messages' : 'Messages'}
+                {unread[submission._id] > 0 && ` (${unread[submission._id]} new)`}
+              </button>
+              {openThread === submission._id && (
+                <div className="mt-2">
+                  <MessageThread submissionId={submission._id} onRead={handleThreadRead} />
+                </div>
               )}
             </div>
 
+            {submission.statusHistory?.length > 0 && (
+              <details className="mt-4">
+                <summary className="text-sm font-medium text-gray-700 cursor-pointer">
+                  Status history ({submission.statusHistory.length})
+                </summary>
+                <div className="mt-2">
+                  <StatusHistory history={submission.statusHistory} forPatient />
+                </div>
+              </details>
+            )}
+
             {submission.status === 'reported' && (
               <div className="mt-4">
                 <button
@@ -143,6 +209,14 @@ const SubmissionList = ({ refreshTrigger }) => {
           </div>
         );
       })}
+
+      {nextCursor && (
+        <div className="text-center">
+          <button onClick={loadMore} disabled={loadingMore} className="btn-secondary disabled:opacity-50">
+            {loadingMore ? 'Loading...' : 'Show older submissions'}
+          </button>
+        </div>
+      )}
     </div>
   );
 };
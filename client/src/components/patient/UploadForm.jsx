@@ -1,6 +1,9 @@
 import React, { useState } from 'react';
 import { submissionsAPI } from '../../services/api';
 import { useAuth } from '../../context/AuthContext';
+import { VIEW_TYPES, VIEW_LABELS } from '../../lib/views';
+
+const emptyViews = () => ({ upper: null, front: null, lower: null });
 
 const UploadForm = ({ onUploadSuccess }) => {
   const { user } = useAuth();
@@ -10,8 +13,8 @@ const UploadForm = ({ onUploadSuccess }) => {
     email: user?.email || '',
     note: '',
   });
-  const [image, setImage] = useState(null);
-  const [imagePreview, setImagePreview] = useState(null);
+  const [images, setImages] = useState(emptyViews);
+  const [imagePreviews, setImagePreviews] = useState(emptyViews);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
@@ -23,26 +26,31 @@ const UploadForm = ({ onUploadSuccess }) => {
     });
   };
 
-  const handleImageChange = (e) => {
+  const handleImageChange = (view) => (e) => {
     const file = e.target.files[0];
+    setImages(prev => ({ ...prev, [view]: file || null }));
+
     if (file) {
-      setImage(file);
       const reader = new FileReader();
       reader.onloadend = () => {
-        setImagePreview(reader.result);
+        setImagePreviews(prev => ({ ...prev, [view]: reader.result }));
       };
       reader.readAsDataURL(file);
+    } else {
+      setImagePreviews(prev => ({ ...prev, [view]: null }));
     }
   };
 
+  const selectedViews = VIEW_TYPES.filter(view => images[view]);
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
     setError('');
     setSuccess('');
 
-    if (!image) {
-      setError('Please select an image to upload');
+    if (selectedViews.length === 0) {
+      setError('Please select at least one image to upload');
       setLoading(false);
       return;
     }
@@ -52,11 +60,11 @@ const UploadForm = ({ onUploadSuccess }) => {
     formDataToSend.append('patientId', formData.patientId);
     formDataToSend.append('email', formData.email);
     formDataToSend.append('note', formData.note);
-    formDataToSend.append('image', image);
+    selectedViews.forEach(view => formDataToSend.append(view, images[view]));
 
     try {
       await submissionsAPI.create(formDataToSend);
-      setSuccess('Image uploaded successfully!');
+      setSuccess(`${selectedViews.length} image(s) uploaded successfully!`);
       
       // Reset form
       setFormData({
@@ -65,12 +73,14 @@ const UploadForm = ({ onUploadSuccess }) => {
         email: user?.email || '',
         note: '',
       });
-      setImage(null);
-      setImagePreview(null);
+      setImages(emptyViews());
+      setImagePreviews(emptyViews());
       
-      // Reset file input
-      const fileInput = document.getElementById('image-upload');
-      if (fileInput) fileInput.value = '';
+      // Reset file inputs
+      VIEW_TYPES.forEach(view => {
+        const fileInput = document.getElementById(`image-upload-${view}`);
+        if (fileInput) fileInput.value = '';
+      });
 
       // Notify parent component to refresh submissions list
       if (onUploadSuccess) onUploadSuccess();
@@ -155,35 +165,42 @@ const UploadForm = ({ onUploadSuccess }) => {
 
         <div>
           <label className="block text-sm font-medium text-gray-700 mb-2">
-            Upload Dental Image
+            Upload Dental Images
           </label>
-          <input
-            id="image-upload"
-            type="file"
-            accept="image/*"
-            onChange={handleImageChange}
-            className="input-field"
-            required
-          />
-        </div>
-
-        {imagePreview && (
-          <div className="mt-4">
-            <p className="text-sm font-medium text-gray-700 mb-2">Image Preview:</p>
-            <img
-              src={imagePreview}
-              alt="Preview"
-              className="max-w-full h-48 object-contain border rounded-lg"
-            />
+          <p className="text-xs text-gray-500 mb-3">
+            Add a photo for each view you can take. At least one is required.
+          </p>
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+            {VIEW_TYPES.map(view => (
+              <div key={view}>
+                <label htmlFor={`image-upload-${view}`} className="block text-sm text-gray-700 mb-1">
+                  {VIEW_LABELS[view]}
+                </label>
+                <input
+                  id={`image-upload-${view}`}
+                  type="file"
+                  accept="image/*"
+                  onChange={handleImageChange(view)}
+                  className="input-field text-xs"
+                />
+                {imagePreviews[view] && (
+                  <img
+                    src={imagePreviews[view]}
+                    alt={`${VIEW_LABELS[view]} preview`}
+                    className="mt-2 w-full h-32 object-contain border rounded-lg"
+                  />
+                )}
+              </div>
+            ))}
           </div>
-        )}
+        </div>
 
         <button
           type="submit"
           disabled={loading}
           className="w-full btn-primary disabled:opacity-50"
         >
-          {loading ? 'Uploading...' : 'Upload Image'}
+          {loading ? 'Uploading...' : 'Upload Images'}
         </button>
       </form>
     </div>
@@ -0,0 +1,73 @@
+import React, { useState, useEffect } from 'react';
+import { emailsAPI } from '../../services/api';
+
+// Opt in or out of each event email; changes save as soon as a box is ticked
+const EmailPreferences = () => {
+  const [events, setEvents] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  useEffect(() => {
+    emailsAPI.getPreferences()
+      .then(response => setEvents(response.data.events))
+      .catch(() => setError('Failed to load email preferences'));
+  }, []);
+
+  const handleToggle = async (eventId, enabled) => {
+    try {
+      setSaving(true);
+      setError('');
+      setSuccess('');
+      const response = await emailsAPI.updatePreferences({ [eventId]: enabled });
+      const saved = Object.fromEntries(response.data.events.map(event => [event.id, event.enabled]));
+      setEvents(current => current.map(event => ({ ...event, enabled: saved[event.id] })));
+      setSuccess(response.data.message);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to save email preferences');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="card">
+      <h2 className="text-xl font-semibold mb-1">Email Notifications</h2>
+      <p className="text-sm text-gray-600 mb-4">Choose which updates we email you about.</p>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+          {error}
+        </div>
+      )}
+
+      {success && (
+        <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded mb-4">
+          {success}
+        </div>
+      )}
+
+      <ul className="divide-y">
+        {events.map(event => (
+          <li key={event.id} className="py-3">
+            <label className="flex gap-3 items-start cursor-pointer">
+              <input
+                type="checkbox"
+                checked={event.enabled}
+                onChange={(e) => handleToggle(event.id, e.target.checked)}
+                disabled={saving}
+                className="mt-1"
+              />
+              <span>
+                <span className="block font-medium text-gray-900">{event.label}</span>
+                <span className="block text-sm text-gray-600">{event.description}</span>
+              </span>
+            </label>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default EmailPreferences;
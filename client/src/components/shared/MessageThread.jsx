@@ -0,0 +1,157 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { submissionsAPI } from '../../services/api';
+import { useAuth } from '../../context/AuthContext';
+import { useServerEvents } from '../../lib/events';
+import StoredImage from './StoredImage';
+
+const MAX_ATTACHMENTS = 4;
+
+// Conversation between the patient and the clinic about one submission.
+// Opening the thread marks its messages as read; onRead lets the parent update its counts.
+const MessageThread = ({ submissionId, onRead }) => {
+  const { user } = useAuth();
+  const [messages, setMessages] = useState([]);
+  const [body, setBody] = useState('');
+  const [attachments, setAttachments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState('');
+  const fileInputRef = useRef(null);
+
+  useEffect(() => {
+    submissionsAPI.getMessages(submissionId)
+      .then(response => {
+        setMessages(response.data.messages);
+        if (response.data.unread > 0) {
+          return submissionsAPI.markMessagesRead(submissionId).then(() => onRead?.(submissionId));
+        }
+      })
+      .catch(() => setError('Failed to load messages'))
+      .finally(() => setLoading(false));
+  }, [submissionId, onRead]);
+
+  // Replies are announced live and loaded here; the thread is open, so they count as read
+  useServerEvents((type, data) => {
+    if (type !== 'message' || data.submissionId !== submissionId) return;
+    submissionsAPI.getMessages(submissionId)
+      .then(response => {
+        setMessages(response.data.messages);
+        return submissionsAPI.markMessagesRead(submissionId);
+      })
+      .then(() => onRead?.(submissionId))
+      .catch(() => {});
+  });
+
+  const handleFilesChange = (e) => {
+    const files = Array.from(e.target.files);
+    if (files.length > MAX_ATTACHMENTS) {
+      setError(`Attach at most ${MAX_ATTACHMENTS} images`);
+      e.target.value = '';
+      return;
+    }
+    setError('');
+    setAttachments(files);
+  };
+
+  const handleSend = async (e) => {
+    e.preventDefault();
+    if (!body.trim() && attachments.length === 0) return;
+
+    const formData = new FormData();
+    formData.append('body', body);
+    attachments.forEach(file => formData.append('attachments', file));
+
+    try {
+      setSending(true);
+      setError('');
+      const response = await submissionsAPI.sendMessage(submissionId, formData);
+      setMessages(current => [...current, response.data.sent]);
+      setBody('');
+      setAttachments([]);
+      if (fileInputRef.current) fileInputRef.current.value = '';
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to send message');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="space-y-4 text-sm">
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">
+          {error}
+        </div>
+      )}
+
+      {loading ? (
+        <p className="text-gray-500">Loading messages...</p>
+      ) : messages.length === 0 ? (
+        <p className="text-gray-500">No messages yet.</p>
+      ) : (
+        <ul className="space-y-3 max-h-96 overflow-y-auto">
+          {messages.map(message => {
+            const own = message.sender === user?.id;
+            return (
+              <li key={message._id} className={`flex ${own ? 'justify-end' : 'justify-start'}`}>
+                <div className={`max-w-[80%] rounded-lg px-3 py-2 ${own ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-900'}`}>
+                  <p className={`text-xs mb-1 ${own ? 'text-blue-100' : 'text-gray-500'}`}>
+                    {own ? 'You' : message.senderName}
+                    {!own && message.senderRole !== 'patient' && ` (${message.senderRole})`}
+                    {' · '}{new Date(message.createdAt).toLocaleString()}
+                    {!own && !message.read && <span className="ml-2 font-semibold">new</span>}
+                  </p>
+                  {message.body && <p className="whitespace-pre-wrap">{message.body}</p>}
+                  {message.attachments?.length > 0 && (
+                    <div className="flex flex-wrap gap-2 mt-2">
+                      {message.attachments.map(attachment => (
+                        <StoredImage
+                          key={attachment.url}
+                          src={attachment.url}
+                          alt={attachment.filename || 'Attachment'}
+                          className="w-24 h-24 object-cover rounded border"
+                          linked
+                        />
+                      ))}
+                    </div>
+                  )}
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      <form onSubmit={handleSend} className="space-y-2">
+        <textarea
+          value={body}
+          onChange={(e) => setBody(e.target.value)}
+          placeholder="Write a message..."
+          className="input-field"
+          rows="2"
+          disabled={sending}
+        />
+        <div className="flex flex-wrap gap-2 items-center justify-between">
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="image/*"
+            multiple
+            onChange={handleFilesChange}
+            disabled={sending}
+            className="text-xs"
+          />
+          <button
+            type="submit"
+            disabled={sending || (!body.trim() && attachments.length === 0)}
+            className="btn-primary disabled:opacity-50"
+          >
+            {sending ? 'Sending...' : 'Send'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default MessageThread;
@@ -0,0 +1,34 @@
+import React from 'react';
+import { STATUS_LABELS, PATIENT_STATUS_LABELS } from '../../lib/statuses';
+
+// Every status change of a case, newest first, with who made it and why
+const StatusHistory = ({ history = [], forPatient = false }) => {
+  const labels = forPatient ? PATIENT_STATUS_LABELS : STATUS_LABELS;
+
+  if (history.length === 0) {
+    return <p className="text-sm text-gray-500">No status changes recorded.</p>;
+  }
+
+  return (
+    <ol className="space-y-2 text-sm">
+      {[...history].reverse().map((entry, index) => (
+        <li key={`${entry.at}-${index}`} className="border-l-2 border-gray-300 pl-3">
+          <p>
+            <span className="font-medium text-gray-900">{labels[entry.to] || entry.to}</span>
+            {entry.from && !forPatient && (
+              <span className="text-gray-500"> (from {STATUS_LABELS[entry.from] || entry.from})</span>
+            )}
+          </p>
+          <p className="text-gray-500">
+            {new Date(entry.at).toLocaleString()}
+            {entry.actorName && ` · ${entry.actorName}`}
+            {entry.actorRole && !forPatient && ` (${entry.actorRole})`}
+          </p>
+          {entry.reason && <p className="text-gray-700">{entry.reason}</p>}
+        </li>
+      ))}
+    </ol>
+  );
+};
+
+export default StatusHistory;
@@ -0,0 +1,16 @@
+import React from 'react';
+import { useFileUrl } from '../../lib/files';
+
+// An uploaded image, optionally linking to the full-size file in a new tab
+const StoredImage = ({ src, alt, className, title, linked = false }) => {
+  const url = useFileUrl(src);
+
+  if (!url) {
+    return <div className={`${className} bg-gray-100`} title={title} />;
+  }
+
+  const image = <img src={url} alt={alt} title={title} className={className} />;
+  return linked ? <a href={url} target="_blank" rel="noreferrer">{image}</a> : image;
+};
+
+export default StoredImage;
@@ -1,5 +1,5 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
-import { authAPI } from '../services/api';
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import { authAPI, invitesAPI } from '../services/api';
 
 const AuthContext = createContext();
 
@@ -26,20 +26,54 @@ export const AuthProvider = ({ children }) => {
     setLoading(false);
   }, []);
 
+  const startSession = ({ token, refreshToken, user }) => {
+    localStorage.setItem('token', token);
+    localStorage.setItem('refreshToken', refreshToken);
+    localStorage.setItem('user', JSON.stringify(user));
+    setUser(user);
+  };
+
   const login = async (credentials) => {
     try {
       const response = await authAPI.login(credentials);
-      const { token, user } = response.data;
-      
-      localStorage.setItem('token', token);
-      localStorage.setItem('user', JSON.stringify(user));
-      setUser(user);
+
+      // Password accepted but a second factor (or enrollment) is still needed
+      if (response.data.twoFactorRequired || response.data.twoFactorSetupRequired) {
+        return {
+          success: false,
+          twoFactorRequired: !!response.data.twoFactorRequired,
+          twoFactorSetupRequired: !!response.data.twoFactorSetupRequired,
+          challengeToken: response.data.challengeToken,
+          message: response.data.message
+        };
+      }
+
+      startSession(response.data);
       
       return { success: true };
     } catch (error) {
       return { 
         success: false, 
-        error: error.response?.data?.message || 'Login failed' 
+        error: error.response?.data?.message || 'Login failed',
+        // RATE_LIMITED (429) or ACCOUNT_LOCKED (423), with seconds until retry
+        code: error.response?.data?.code,
+        retryAfter: error.response?.data?.retryAfter
+      };
+    }
+  };
+
+  const verifyTwoFactor = async (challengeToken, codes) => {
+    try {
+      const response = await authAPI.verifyTwoFactorLogin(challengeToken, codes);
+      startSession(response.data);
+
+      return { success: true, recoveryCodesRemaining: response.data.recoveryCodesRemaining };
+    } catch (error) {
+      return { 
+        success: false, 
+        error: error.response?.data?.message || 'Verification failed',
+        code: error.response?.data?.code,
+        retryAfter: error.response?.data?.retryAfter
       };
     }
   };
@@ -47,11 +81,7 @@ export const AuthProvider = ({ children }) => {
   const register = async (userData) => {
     try {
       const response = await authAPI.register(userData);
-      const { token, user } = response.data;
-      
-      localStorage.setItem('token', token);
-      localStorage.setItem('user', JSON.stringify(user));
-      setUser(user);
+      startSession(response.data);
       
       return { success: true };
     } catch (error) {
@@ -62,20 +92,67 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  const logout = () => {
+  const acceptInvite = async (token, userData) => {
+    try {
+      const response = await invitesAPI.accept(token, userData);
+      startSession(response.data);
+      
+      return { success: true };
+    } catch (error) {
+      return { 
+        success: false, 
+        error: error.response?.data?.message || 'Failed to accept invite' 
+      };
+    }
+  };
+
+  // Keep the cached profile in sync after account changes (e.g. email verified)
+  const updateUser = useCallback((updatedUser) => {
+    localStorage.setItem('user', JSON.stringify(updatedUser));
+    setUser(updatedUser);
+  }, []);
+
+  const clearSession = () => {
     localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
     localStorage.removeItem('user');
     setUser(null);
   };
 
+  const logout = async () => {
+    try {
+      // Revoke the session server-side so the tokens can't be reused
+      await authAPI.logout();
+    } catch (error) {
+      console.error('Logout request failed:', error);
+    }
+    clearSession();
+  };
+
+  const logoutAll = async () => {
+    try {
+      await authAPI.logoutAll();
+    } catch (error) {
+      console.error('Logout of all devices failed:', error);
+    }
+    clearSession();
+  };
+
   const value = {
     user,
     login,
+    verifyTwoFactor,
+    startSession,
     register,
+    acceptInvite,
     logout,
+    logoutAll,
+    updateUser,
     loading,
     isAuthenticated: !!user,
     isAdmin: user?.role === 'admin',
+    isDentist: user?.role === 'dentist',
+    isStaff: user?.role === 'admin' || user?.role === 'dentist',
     isPatient: user?.role === 'patient',
   };
 
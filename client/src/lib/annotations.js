@@ -0,0 +1,489 @@
+// Geometry and drawing helpers for annotation shapes (mirrors server/services/annotations.js).
+// Shapes live in source-image pixels; `scale` is display pixels per image pixel,
+// used to keep strokes, handles and click tolerances a constant size on screen.
+export const COORDINATE_SPACE = 'image';
+
+export const SHAPE_TYPES = ['rectangle', 'circle', 'arrow', 'freehand', 'polygon', 'text', 'ruler'];
+
+// Shoelace formula; points are [{ x, y }] in drawing order
+export const polygonArea = (points) => {
+  let sum = 0;
+  points.forEach((point, index) => {
+    const next = points[(index + 1) % points.length];
+    sum += point.x * next.y - next.x * point.y;
+  });
+  return Math.abs(sum) / 2;
+};
+
+// Stable per-shape id so saved revisions can be compared shape by shape
+export const createShapeId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+export const distance = (a, b) => Math.hypot(b.x - a.x, b.y - a.y);
+
+const lineLength = (shape) => distance({ x: shape.startX, y: shape.startY }, { x: shape.endX, y: shape.endY });
+
+// Millimetres per image pixel from a calibration line, or null when uncalibrated
+export const getMmPerPixel = (calibration) => {
+  if (!calibration?.lengthMm) return null;
+  const pixels = lineLength(calibration);
+  return pixels > 0 ? calibration.lengthMm / pixels : null;
+};
+
+export const formatLength = (pixels, mmPerPixel) => (
+  mmPerPixel ? `${(pixels * mmPerPixel).toFixed(1)} mm` : `${Math.round(pixels)} px`
+);
+
+export const formatRulerLength = (shape, mmPerPixel) => formatLength(lineLength(shape), mmPerPixel);
+
+// Text callouts are sized in image pixels so they render the same on the server
+const labelFont = (fontSize) => `bold ${fontSize}px sans-serif`;
+
+// Label box of a text callout; the label point is the middle of its left edge.
+// Width is estimated when no drawing context is at hand (hit-testing).
+const getLabelBox = (shape, ctx) => {
+  const padding = shape.fontSize * 0.3;
+  let textWidth = shape.text.length * shape.fontSize * 0.6;
+  if (ctx) {
+    ctx.font = labelFont(shape.fontSize);
+    textWidth = ctx.measureText(shape.text).width;
+  }
+  const height = shape.fontSize + padding * 2;
+  return { x: shape.labelX, y: shape.labelY - height / 2, width: textWidth + padding * 2, height, padding };
+};
+
+// Line label with a white halo so it reads on any background
+const drawLineLabel = (ctx, text, x, y, scale) => {
+  ctx.font = `bold ${13 / scale}px sans-serif`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'bottom';
+  ctx.lineWidth = 3 / scale;
+  ctx.strokeStyle = 'white';
+  ctx.strokeText(text, x, y);
+  ctx.fillText(text, x, y);
+};
+
+const drawMeasuredLine = (ctx, line, label, scale) => {
+  const angle = Math.atan2(line.endY - line.startY, line.endX - line.startX);
+  const tick = 6 / scale;
+  const tickX = Math.sin(angle) * tick;
+  const tickY = -Math.cos(angle) * tick;
+
+  ctx.moveTo(line.startX, line.startY);
+  ctx.lineTo(line.endX, line.endY);
+  ctx.moveTo(line.startX - tickX, line.startY - tickY);
+  ctx.lineTo(line.startX + tickX, line.startY + tickY);
+  ctx.moveTo(line.endX - tickX, line.endY - tickY);
+  ctx.lineTo(line.endX + tickX, line.endY + tickY);
+  ctx.stroke();
+
+  drawLineLabel(ctx, label, (line.startX + line.endX) / 2, (line.startY + line.endY) / 2 - 4 / scale, scale);
+};
+
+const drawArrowHead = (ctx, shape, headLength) => {
+  const angle = Math.atan2(shape.endY - shape.startY, shape.endX - shape.startX);
+  ctx.moveTo(shape.endX, shape.endY);
+  ctx.lineTo(
+    shape.endX - headLength * Math.cos(angle - Math.PI / 6),
+    shape.endY - headLength * Math.sin(angle - Math.PI / 6)
+  );
+  ctx.moveTo(shape.endX, shape.endY);
+  ctx.lineTo(
+    shape.endX - headLength * Math.cos(angle + Math.PI / 6),
+    shape.endY - headLength * Math.sin(angle + Math.PI / 6)
+  );
+};
+
+const tracePoints = (ctx, points) => {
+  points.forEach((point, index) => {
+    if (index === 0) {
+      ctx.moveTo(point.x, point.y);
+    } else {
+      ctx.lineTo(point.x, point.y);
+    }
+  });
+};
+
+// Pen strokes keep a 0-1 pressure per point; 0.5 (or none) draws the normal width
+const pressureWidth = (baseWidth, pressure = 0.5) => baseWidth * (0.4 + 1.2 * pressure);
+
+const hasPressure = (points) => points.some(point => point.pressure !== undefined);
+
+// Each segment is stroked on its own so the width can follow the pen
+const drawPressureStroke = (ctx, points, baseWidth) => {
+  points.slice(1).forEach((point, index) => {
+    const previous = points[index];
+    ctx.beginPath();
+    ctx.lineWidth = pressureWidth(baseWidth, ((previous.pressure ?? 0.5) + (point.pressure ?? 0.5)) / 2);
+    ctx.moveTo(previous.x, previous.y);
+    ctx.lineTo(point.x, point.y);
+    ctx.stroke();
+  });
+};
+
+// Leader line from the anchor point to a boxed label
+const drawCallout = (ctx, shape) => {
+  const box = getLabelBox(shape, ctx);
+  const lineWidth = Math.max(1, shape.fontSize / 8);
+
+  if (distance(shape, { x: shape.labelX, y: shape.labelY }) > 1) {
+    ctx.lineWidth = lineWidth;
+    ctx.moveTo(shape.x, shape.y);
+    ctx.lineTo(shape.labelX, shape.labelY);
+    ctx.stroke();
+    ctx.beginPath();
+    ctx.arc(shape.x, shape.y, lineWidth * 1.5, 0, 2 * Math.PI);
+    ctx.fill();
+  }
+
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+  ctx.fillRect(box.x, box.y, box.width, box.height);
+  ctx.lineWidth = lineWidth;
+  ctx.strokeRect(box.x, box.y, box.width, box.height);
+
+  ctx.fillStyle = '#111827';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(shape.text, box.x + box.padding, shape.labelY);
+};
+
+// Dashed reference line used to calibrate millimetres per pixel
+export const drawCalibration = (ctx, calibration, scale = 1) => {
+  ctx.save();
+  ctx.strokeStyle = '#F59E0B';
+  ctx.fillStyle = '#B45309';
+  ctx.lineWidth = 2 / scale;
+  ctx.setLineDash([6 / scale, 4 / scale]);
+  ctx.beginPath();
+  drawMeasuredLine(ctx, calibration, `${calibration.lengthMm} mm reference`, scale);
+  ctx.restore();
+};
+
+// Draw one shape. An open polygon (still being drawn) is left unclosed and
+// shows its vertices so the doctor can see where to click to close it.
+export const drawShape = (ctx, shape, { open = false, scale = 1, mmPerPixel = null } = {}) => {
+  ctx.save();
+  ctx.strokeStyle = shape.color;
+  ctx.fillStyle = shape.color;
+  ctx.lineWidth = 3 / scale;
+  ctx.lineCap = 'round';
+  ctx.lineJoin = 'round';
+
+  ctx.beginPath();
+
+  if (shape.type === 'rectangle') {
+    ctx.rect(shape.x, shape.y, shape.width, shape.height);
+  } else if (shape.type === 'circle') {
+    ctx.arc(shape.x, shape.y, shape.radius, 0, 2 * Math.PI);
+  } else if (shape.type === 'arrow') {
+    ctx.moveTo(shape.startX, shape.startY);
+    ctx.lineTo(shape.endX, shape.endY);
+    drawArrowHead(ctx, shape, 15 / scale);
+  } else if (shape.type === 'freehand' && hasPressure(shape.points)) {
+    drawPressureStroke(ctx, shape.points, 3 / scale);
+    ctx.restore();
+    return;
+  } else if (shape.type === 'freehand') {
+    tracePoints(ctx, shape.points);
+  } else if (shape.type === 'polygon') {
+    tracePoints(ctx, shape.points);
+    if (!open) {
+      ctx.closePath();
+      ctx.globalAlpha = 0.2;
+      ctx.fill();
+      ctx.globalAlpha = 1;
+    }
+  } else if (shape.type === 'ruler') {
+    drawMeasuredLine(ctx, shape, formatRulerLength(shape, mmPerPixel), scale);
+    ctx.restore();
+    return;
+  } else if (shape.type === 'text') {
+    drawCallout(ctx, shape);
+    ctx.restore();
+    return;
+  }
+
+  ctx.stroke();
+
+  if (open && shape.type === 'polygon') {
+    shape.points.forEach(point => {
+      ctx.beginPath();
+      ctx.arc(point.x, point.y, 4 / scale, 0, 2 * Math.PI);
+      ctx.fill();
+    });
+  }
+
+  ctx.restore();
+};
+
+// Shape for a press-drag-release gesture, or null if the drag was too small
+export const buildDragShape = (tool, start, end, scale = 1) => {
+  const minSize = 5 / scale;
+
+  if (tool === 'rectangle') {
+    const width = Math.abs(end.x - start.x);
+    const height = Math.abs(end.y - start.y);
+    if (width <= minSize || height <= minSize) return null;
+
+    return {
+      type: 'rectangle',
+      x: Math.min(start.x, end.x),
+      y: Math.min(start.y, end.y),
+      width,
+      height
+    };
+  }
+
+  if (tool === 'circle') {
+    const radius = distance(start, end);
+    if (radius <= minSize) return null;
+
+    return { type: 'circle', x: start.x, y: start.y, radius };
+  }
+
+  // Arrows, rulers and the calibration line are all start-to-end segments
+  if (tool === 'arrow' || tool === 'ruler' || tool === 'calibrate') {
+    if (distance(start, end) <= minSize * 2) return null;
+
+    return { type: tool, startX: start.x, startY: start.y, endX: end.x, endY: end.y };
+  }
+
+  return null;
+};
+
+// Distance from point p to the segment a-b
+const distanceToSegment = (p, a, b) => {
+  const lengthSquared = (b.x - a.x) ** 2 + (b.y - a.y) ** 2;
+  if (lengthSquared === 0) return distance(p, a);
+
+  const t = Math.max(0, Math.min(1, ((p.x - a.x) * (b.x - a.x) + (p.y - a.y) * (b.y - a.y)) / lengthSquared));
+  return distance(p, { x: a.x + t * (b.x - a.x), y: a.y + t * (b.y - a.y) });
+};
+
+const nearPolyline = (point, points, tolerance) => points.some((vertex, index) => (
+  index > 0 && distanceToSegment(point, points[index - 1], vertex) <= tolerance
+));
+
+// Ray casting test for a closed outline
+const insidePolygon = (point, points) => {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const a = points[i];
+    const b = points[j];
+    if ((a.y > point.y) !== (b.y > point.y) &&
+      point.x < ((b.x - a.x) * (point.y - a.y)) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+const isSegment = (shape) => shape.type === 'arrow' || shape.type === 'ruler';
+
+export const getBounds = (shape) => {
+  if (shape.type === 'rectangle') {
+    return { x: shape.x, y: shape.y, width: shape.width, height: shape.height };
+  }
+  if (shape.type === 'circle') {
+    return { x: shape.x - shape.radius, y: shape.y - shape.radius, width: shape.radius * 2, height: shape.radius * 2 };
+  }
+
+  if (shape.type === 'text') {
+    const box = getLabelBox(shape);
+    const x = Math.min(shape.x, box.x);
+    const y = Math.min(shape.y, box.y);
+    return {
+      x,
+      y,
+      width: Math.max(shape.x, box.x + box.width) - x,
+      height: Math.max(shape.y, box.y + box.height) - y
+    };
+  }
+
+  const points = isSegment(shape)
+    ? [{ x: shape.startX, y: shape.startY }, { x: shape.endX, y: shape.endY }]
+    : shape.points;
+  const xs = points.map(point => point.x);
+  const ys = points.map(point => point.y);
+  const x = Math.min(...xs);
+  const y = Math.min(...ys);
+  return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+};
+
+// Whether a click at `point` lands on the shape, within `tolerance` pixels of its outline
+export const hitTest = (shape, point, tolerance = 6) => {
+  if (shape.type === 'rectangle') {
+    return point.x >= shape.x - tolerance && point.x <= shape.x + shape.width + tolerance &&
+      point.y >= shape.y - tolerance && point.y <= shape.y + shape.height + tolerance;
+  }
+  if (shape.type === 'circle') {
+    return distance(point, shape) <= shape.radius + tolerance;
+  }
+  if (isSegment(shape)) {
+    return distanceToSegment(point, { x: shape.startX, y: shape.startY }, { x: shape.endX, y: shape.endY }) <= tolerance;
+  }
+  if (shape.type === 'text') {
+    const box = getLabelBox(shape);
+    const onLabel = point.x >= box.x - tolerance && point.x <= box.x + box.width + tolerance &&
+      point.y >= box.y - tolerance && point.y <= box.y + box.height + tolerance;
+    return onLabel || distanceToSegment(point, shape, { x: shape.labelX, y: shape.labelY }) <= tolerance;
+  }
+  if (shape.type === 'freehand') {
+    return nearPolyline(point, shape.points, tolerance);
+  }
+  if (shape.type === 'polygon') {
+    return insidePolygon(point, shape.points) ||
+      nearPolyline(point, [...shape.points, shape.points[0]], tolerance);
+  }
+  return false;
+};
+
+// Index of the topmost shape under the point, or -1
+export const findShapeAt = (shapes, point, tolerance) => {
+  for (let index = shapes.length - 1; index >= 0; index--) {
+    if (hitTest(shapes[index], point, tolerance)) return index;
+  }
+  return -1;
+};
+
+// Drag handles for resizing: box corners, circle radius, line ends, polygon
+// vertices, callout anchor and label
+export const getHandles = (shape) => {
+  if (shape.type === 'circle') {
+    return [{ id: 'radius', x: shape.x + shape.radius, y: shape.y }];
+  }
+  if (shape.type === 'text') {
+    return [
+      { id: 'anchor', x: shape.x, y: shape.y },
+      { id: 'label', x: shape.labelX, y: shape.labelY }
+    ];
+  }
+  if (isSegment(shape)) {
+    return [
+      { id: 'start', x: shape.startX, y: shape.startY },
+      { id: 'end', x: shape.endX, y: shape.endY }
+    ];
+  }
+  if (shape.type === 'polygon') {
+    return shape.points.map((point, index) => ({ id: `vertex-${index}`, x: point.x, y: point.y }));
+  }
+
+  const { x, y, width, height } = getBounds(shape);
+  return [
+    { id: 'nw', x, y },
+    { id: 'ne', x: x + width, y },
+    { id: 'sw', x, y: y + height },
+    { id: 'se', x: x + width, y: y + height }
+  ];
+};
+
+export const findHandleAt = (shape, point, tolerance = 8) => (
+  getHandles(shape).find(handle => distance(handle, point) <= tolerance)
+);
+
+const withArea = (shape) => (
+  shape.type === 'polygon' ? { ...shape, area: polygonArea(shape.points) } : shape
+);
+
+export const moveShape = (shape, dx, dy) => {
+  if (isSegment(shape)) {
+    return { ...shape, startX: shape.startX + dx, startY: shape.startY + dy, endX: shape.endX + dx, endY: shape.endY + dy };
+  }
+  if (shape.type === 'text') {
+    return { ...shape, x: shape.x + dx, y: shape.y + dy, labelX: shape.labelX + dx, labelY: shape.labelY + dy };
+  }
+  if (shape.points) {
+    return { ...shape, points: shape.points.map(point => ({ ...point, x: point.x + dx, y: point.y + dy })) };
+  }
+  return { ...shape, x: shape.x + dx, y: shape.y + dy };
+};
+
+// Drag one handle of `shape` (as it was when the drag began) to `point`
+export const resizeShape = (shape, handleId, point) => {
+  if (shape.type === 'circle') {
+    return { ...shape, radius: Math.max(5, distance(shape, point)) };
+  }
+  if (shape.type === 'text') {
+    return handleId === 'anchor'
+      ? { ...shape, x: point.x, y: point.y }
+      : { ...shape, labelX: point.x, labelY: point.y };
+  }
+  if (isSegment(shape)) {
+    return handleId === 'start'
+      ? { ...shape, startX: point.x, startY: point.y }
+      : { ...shape, endX: point.x, endY: point.y };
+  }
+  if (shape.type === 'polygon') {
+    const vertex = Number(handleId.replace('vertex-', ''));
+    return withArea({
+      ...shape,
+      points: shape.points.map((existing, index) => (index === vertex ? { ...existing, x: point.x, y: point.y } : existing))
+    });
+  }
+
+  // Corner handles: the opposite corner stays fixed
+  const bounds = getBounds(shape);
+  const anchor = {
+    x: handleId.includes('w') ? bounds.x + bounds.width : bounds.x,
+    y: handleId.includes('n') ? bounds.y + bounds.height : bounds.y
+  };
+  const next = {
+    x: Math.min(anchor.x, point.x),
+    y: Math.min(anchor.y, point.y),
+    width: Math.max(5, Math.abs(point.x - anchor.x)),
+    height: Math.max(5, Math.abs(point.y - anchor.y))
+  };
+
+  if (shape.type === 'rectangle') {
+    return { ...shape, ...next };
+  }
+
+  // Freehand strokes scale their points into the new box
+  const scaleX = bounds.width ? next.width / bounds.width : 1;
+  const scaleY = bounds.height ? next.height / bounds.height : 1;
+  return {
+    ...shape,
+    points: shape.points.map(existing => ({
+      ...existing,
+      x: next.x + (existing.x - bounds.x) * scaleX,
+      y: next.y + (existing.y - bounds.y) * scaleY
+    }))
+  };
+};
+
+// Dashed box and square handles around the selected shape
+export const drawSelection = (ctx, shape, scale = 1) => {
+  const { x, y, width, height } = getBounds(shape);
+  const pad = 4 / scale;
+  const half = 5 / scale;
+
+  ctx.save();
+  ctx.strokeStyle = '#2563EB';
+  ctx.lineWidth = 1 / scale;
+  ctx.setLineDash([5 / scale, 4 / scale]);
+  ctx.strokeRect(x - pad, y - pad, width + pad * 2, height + pad * 2);
+  ctx.setLineDash([]);
+
+  ctx.fillStyle = 'white';
+  getHandles(shape).forEach(handle => {
+    ctx.fillRect(handle.x - half, handle.y - half, half * 2, half * 2);
+    ctx.strokeRect(handle.x - half, handle.y - half, half * 2, half * 2);
+  });
+  ctx.restore();
+};
+
+// Multiply every coordinate by `factor`; used to bring shapes saved in old
+// display-canvas pixels into source-image pixels
+export const scaleShape = (shape, factor) => {
+  const scaled = { ...shape };
+
+  ['x', 'y', 'width', 'height', 'radius', 'startX', 'startY', 'endX', 'endY', 'labelX', 'labelY', 'fontSize'].forEach(key => {
+    if (typeof shape[key] === 'number') scaled[key] = shape[key] * factor;
+  });
+  if (shape.points) {
+    scaled.points = shape.points.map(point => ({ ...point, x: point.x * factor, y: point.y * factor }));
+  }
+  if (typeof shape.area === 'number') {
+    scaled.area = shape.area * factor * factor;
+  }
+
+  return scaled;
+};
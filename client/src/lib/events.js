@@ -0,0 +1,76 @@
+import { useEffect, useRef } from 'react';
+import { API_BASE_URL, notificationsAPI } from '../services/api';
+
+// Events sent by the server stream (see server/routes/notifications.js)
+const EVENT_TYPES = ['notification', 'submission', 'message'];
+
+const MAX_RETRY_DELAY = 30 * 1000;
+
+// One stream per tab, opened while anything is listening
+const listeners = new Set();
+let source = null;
+let retryTimer = null;
+let retryDelay = 1000;
+
+const closeStream = () => {
+  clearTimeout(retryTimer);
+  retryTimer = null;
+  source?.close();
+  source = null;
+};
+
+const scheduleReconnect = () => {
+  if (listeners.size === 0 || retryTimer) return;
+  retryTimer = setTimeout(() => {
+    retryTimer = null;
+    connect();
+  }, retryDelay);
+  retryDelay = Math.min(retryDelay * 2, MAX_RETRY_DELAY);
+};
+
+// Each connection needs a fresh ticket, so reconnecting is handled here rather
+// than by EventSource (it would retry with the expired ticket)
+const connect = async () => {
+  try {
+    const response = await notificationsAPI.getStreamTicket();
+    if (listeners.size === 0 || source) return;
+
+    source = new EventSource(`${API_BASE_URL}/notifications/stream?ticket=${encodeURIComponent(response.data.ticket)}`);
+    source.onopen = () => {
+      retryDelay = 1000;
+    };
+    source.onerror = () => {
+      source?.close();
+      source = null;
+      scheduleReconnect();
+    };
+    EVENT_TYPES.forEach(type => source.addEventListener(type, (event) => {
+      const data = JSON.parse(event.data);
+      listeners.forEach(listener => listener(type, data));
+    }));
+  } catch {
+    scheduleReconnect();
+  }
+};
+
+// Listen to server events; returns the unsubscribe function
+export const subscribe = (listener) => {
+  listeners.add(listener);
+  if (listeners.size === 1) connect();
+
+  return () => {
+    listeners.delete(listener);
+    if (listeners.size === 0) closeStream();
+  };
+};
+
+// Call handler(type, data) for every server event while the component is mounted
+export const useServerEvents = (handler) => {
+  const handlerRef = useRef(handler);
+
+  useEffect(() => {
+    handlerRef.current = handler;
+  });
+
+  useEffect(() => subscribe((type, data) => handlerRef.current(type, data)), []);
+};
@@ -0,0 +1,42 @@
+import { useEffect, useState } from 'react';
+import { filesAPI } from '../services/api';
+
+// Files kept by the server's local storage driver are only served with the
+// session's token; Cloudinary URLs can be used as they are
+export const isProtectedFile = (url) => {
+  try {
+    return new URL(url, window.location.href).pathname.startsWith('/uploads/');
+  } catch {
+    return false;
+  }
+};
+
+// A URL the browser can show for a stored file: the file URL itself, or an
+// object URL of the file loaded with the token. Null while loading.
+export const useFileUrl = (url) => {
+  const [loaded, setLoaded] = useState({ url: null, objectUrl: null });
+
+  useEffect(() => {
+    if (!url || !isProtectedFile(url)) return;
+
+    let cancelled = false;
+    let objectUrl = null;
+    filesAPI.get(url)
+      .then((response) => {
+        if (cancelled) return;
+        objectUrl = window.URL.createObjectURL(response.data);
+        setLoaded({ url, objectUrl });
+      })
+      .catch((error) => console.error('Failed to load file:', url, error));
+
+    return () => {
+      cancelled = true;
+      if (objectUrl) window.URL.revokeObjectURL(objectUrl);
+    };
+  }, [url]);
+
+  if (!url) return null;
+  if (!isProtectedFile(url)) return url;
+  // Never hand out the previous file while the next one loads
+  return loaded.url === url ? loaded.objectUrl : null;
+};
@@ -0,0 +1,44 @@
+// Undo/redo for the annotator. Every action is recorded as the document
+// ({ shapes, calibration }) before and after it, so drawing, editing,
+// deleting, clearing and calibrating all undo and redo the same way.
+const MAX_HISTORY = 100;
+
+export const EMPTY_HISTORY = { past: [], future: [] };
+
+// Record an action. Consecutive actions with the same mergeKey (typing into
+// one comment field) collapse into a single step.
+export const recordAction = (history, { label, before, after, mergeKey = null }) => {
+  const last = history.past[history.past.length - 1];
+  if (mergeKey && last?.mergeKey === mergeKey) {
+    return { past: [...history.past.slice(0, -1), { ...last, after }], future: [] };
+  }
+
+  return {
+    past: [...history.past, { label, before, after, mergeKey }].slice(-MAX_HISTORY),
+    future: []
+  };
+};
+
+// Returns { history, document } with the document to show, or null when there is nothing to undo
+export const undoAction = (history) => {
+  const entry = history.past[history.past.length - 1];
+  if (!entry) return null;
+
+  return {
+    history: { past: history.past.slice(0, -1), future: [{ ...entry, mergeKey: null }, ...history.future] },
+    document: entry.before
+  };
+};
+
+export const redoAction = (history) => {
+  const [entry, ...future] = history.future;
+  if (!entry) return null;
+
+  return {
+    history: { past: [...history.past, entry], future },
+    document: entry.after
+  };
+};
+
+export const nextUndoLabel = (history) => history.past[history.past.length - 1]?.label;
+export const nextRedoLabel = (history) => history.future[0]?.label;
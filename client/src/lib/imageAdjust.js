@@ -0,0 +1,54 @@
+// Display-only brightness, contrast and gamma for the annotation viewer. The
+// stored original is never touched; adjusted pixels live in an offscreen canvas.
+export const DEFAULT_ADJUSTMENTS = { brightness: 100, contrast: 100, gamma: 1 };
+
+// Larger photos are adjusted at this size; plenty for on-screen zoom
+const MAX_ADJUST_SIZE = 2400;
+
+export const isDefaultAdjustments = (adjustments) => (
+  Object.keys(DEFAULT_ADJUSTMENTS).every(key => adjustments[key] === DEFAULT_ADJUSTMENTS[key])
+);
+
+// Lookup table mapping each 0-255 channel value through brightness, contrast, then gamma
+const buildLookup = ({ brightness, contrast, gamma }) => {
+  const lookup = new Uint8ClampedArray(256);
+  for (let value = 0; value < 256; value++) {
+    let level = (value / 255) * (brightness / 100);
+    level = (level - 0.5) * (contrast / 100) + 0.5;
+    level = Math.pow(Math.min(1, Math.max(0, level)), 1 / gamma);
+    lookup[value] = Math.round(level * 255);
+  }
+  return lookup;
+};
+
+// Returns { source, error }: a canvas with the adjusted pixels, or the image
+// itself when nothing is adjusted or its pixels can't be read (CORS)
+export const createAdjustedImage = (image, adjustments) => {
+  if (isDefaultAdjustments(adjustments)) {
+    return { source: image, error: null };
+  }
+
+  const ratio = Math.min(1, MAX_ADJUST_SIZE / Math.max(image.naturalWidth, image.naturalHeight));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(image.naturalWidth * ratio);
+  canvas.height = Math.round(image.naturalHeight * ratio);
+
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+  try {
+    const pixels = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    const lookup = buildLookup(adjustments);
+    const { data } = pixels;
+    for (let index = 0; index < data.length; index += 4) {
+      data[index] = lookup[data[index]];
+      data[index + 1] = lookup[data[index + 1]];
+      data[index + 2] = lookup[data[index + 2]];
+    }
+    ctx.putImageData(pixels, 0, 0);
+    return { source: canvas, error: null };
+  } catch (error) {
+    console.error('Image adjustment failed:', error);
+    return { source: image, error: 'This image can\'t be adjusted in the browser' };
+  }
+};
@@ -0,0 +1,33 @@
+// Labels and badge colours for the case lifecycle statuses (ids mirror server/services/submissionStatus.js)
+export const STATUS_LABELS = {
+  submitted: 'Submitted',
+  in_review: 'In Review',
+  needs_retake: 'Needs Retake',
+  annotated: 'Annotated',
+  awaiting_approval: 'Awaiting Approval',
+  reported: 'Report Generated',
+  closed: 'Closed',
+};
+
+// What patients see; the internal review steps read as one
+export const PATIENT_STATUS_LABELS = {
+  submitted: 'Uploaded',
+  in_review: 'Under Review',
+  needs_retake: 'Retake Needed',
+  annotated: 'Under Review',
+  awaiting_approval: 'Under Review',
+  reported: 'Report Ready',
+  closed: 'Closed',
+};
+
+export const STATUS_BADGES = {
+  submitted: 'bg-blue-100 text-blue-800',
+  in_review: 'bg-indigo-100 text-indigo-800',
+  needs_retake: 'bg-orange-100 text-orange-800',
+  annotated: 'bg-yellow-100 text-yellow-800',
+  awaiting_approval: 'bg-purple-100 text-purple-800',
+  reported: 'bg-green-100 text-green-800',
+  closed: 'bg-gray-200 text-gray-700',
+};
+
+export const getStatusBadge = (status) => STATUS_BADGES[status] || 'bg-gray-100 text-gray-800';
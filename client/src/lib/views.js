@@ -0,0 +1,8 @@
+// Photo views a submission can hold, in report order (mirrors server/models/Submission.js)
+export const VIEW_TYPES = ['upper', 'front', 'lower'];
+
+export const VIEW_LABELS = {
+  upper: 'Upper Teeth',
+  front: 'Front Teeth',
+  lower: 'Lower Teeth',
+};
@@ -0,0 +1,21 @@
+import React from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import AcceptInviteForm from '../components/auth/AcceptInviteForm';
+
+const AcceptInvite = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+
+  const handleAcceptSuccess = () => {
+    // Invites are only issued for staff accounts
+    navigate('/admin');
+  };
+
+  return (
+    <div className="min-h-[80vh] flex items-center justify-center">
+      <AcceptInviteForm token={searchParams.get('token')} onSuccess={handleAcceptSuccess} />
+    </div>
+  );
+};
+
+export default AcceptInvite;
@@ -0,0 +1,26 @@
+import React from 'react';
+import { useAuth } from '../context/AuthContext';
+import EmailPreferences from '../components/settings/EmailPreferences';
+import EmailTemplateEditor from '../components/admin/EmailTemplateEditor';
+import EmailDeliveryLog from '../components/admin/EmailDeliveryLog';
+
+// Everyone manages their own email preferences; admins also edit the emails and watch deliveries
+const EmailSettingsPage = () => {
+  const { isAdmin } = useAuth();
+
+  return (
+    <div className="max-w-4xl mx-auto space-y-6">
+      <div>
+        <h1 className="text-3xl font-bold text-gray-900">Emails</h1>
+        <p className="text-gray-600">
+          {isAdmin ? 'Your email preferences, the wording of event emails and their delivery log' : 'Choose which emails you receive'}
+        </p>
+      </div>
+      <EmailPreferences />
+      {isAdmin && <EmailTemplateEditor />}
+      {isAdmin && <EmailDeliveryLog />}
+    </div>
+  );
+};
+
+export default EmailSettingsPage;
@@ -0,0 +1,12 @@
+import React from 'react';
+import ForgotPasswordForm from '../components/auth/ForgotPasswordForm';
+
+const ForgotPassword = () => {
+  return (
+    <div className="min-h-[80vh] flex items-center justify-center">
+      <ForgotPasswordForm />
+    </div>
+  );
+};
+
+export default ForgotPassword;
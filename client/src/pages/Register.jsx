@@ -5,11 +5,11 @@ import RegisterForm from '../components/auth/RegisterForm';
 
 const Register = () => {
   const navigate = useNavigate();
-  const { isAdmin } = useAuth();
+  const { isStaff } = useAuth();
 
   const handleRegisterSuccess = () => {
     // Redirect based on user role
-    navigate(isAdmin ? '/admin' : '/patient');
+    navigate(isStaff ? '/admin' : '/patient');
   };
 
   return (
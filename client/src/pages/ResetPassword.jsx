@@ -0,0 +1,20 @@
+import React from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import ResetPasswordForm from '../components/auth/ResetPasswordForm';
+
+const ResetPassword = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+
+  const handleResetSuccess = (message) => {
+    navigate('/login', { state: { message } });
+  };
+
+  return (
+    <div className="min-h-[80vh] flex items-center justify-center">
+      <ResetPasswordForm token={searchParams.get('token')} onSuccess={handleResetSuccess} />
+    </div>
+  );
+};
+
+export default ResetPassword;
@@ -0,0 +1,102 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { authAPI } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import TwoFactorSettings from '../components/auth/TwoFactorSettings';
+import TwoFactorEnforcement from '../components/admin/TwoFactorEnforcement';
+
+const Sessions = () => {
+  const navigate = useNavigate();
+  const { logoutAll, isStaff, isAdmin } = useAuth();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const fetchSessions = async () => {
+    try {
+      setLoading(true);
+      const response = await authAPI.getSessions();
+      setSessions(response.data.sessions);
+    } catch {
+      setError('Failed to fetch sessions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchSessions();
+  }, []);
+
+  const handleRevoke = async (sessionId) => {
+    try {
+      await authAPI.revokeSession(sessionId);
+      setSessions(sessions.filter(session => session.id !== sessionId));
+    } catch {
+      setError('Failed to revoke session');
+    }
+  };
+
+  const handleLogoutAll = async () => {
+    await logoutAll();
+    navigate('/login');
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center min-h-64">
+        <div className="text-lg">Loading sessions...</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-3xl mx-auto space-y-6">
+      {isStaff && <TwoFactorSettings />}
+      {isAdmin && <TwoFactorEnforcement />}
+
+      <div className="flex justify-between items-center">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Active Sessions</h1>
+          <p className="text-gray-600">Devices currently signed in to your account</p>
+        </div>
+        <button onClick={handleLogoutAll} className="btn-secondary">
+          Log out of all devices
+        </button>
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">
+          {error}
+        </div>
+      )}
+
+      <div className="space-y-4">
+        {sessions.map((session) => (
+          <div key={session.id} className="card flex justify-between items-center">
+            <div className="text-sm text-gray-600 space-y-1">
+              <p className="font-medium text-gray-900">
+                {session.userAgent || 'Unknown device'}
+                {session.current && (
+                  <span className="ml-2 px-2 py-1 rounded-full text-xs font-medium bg-green-100 text-green-800">
+                    This device
+                  </span>
+                )}
+              </p>
+              <p><strong>IP:</strong> {session.ip || 'Unknown'}</p>
+              <p><strong>Signed in:</strong> {new Date(session.createdAt).toLocaleString()}</p>
+              <p><strong>Last active:</strong> {new Date(session.lastUsedAt).toLocaleString()}</p>
+            </div>
+            {!session.current && (
+              <button onClick={() => handleRevoke(session.id)} className="btn-secondary text-sm">
+                Revoke
+              </button>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default Sessions;
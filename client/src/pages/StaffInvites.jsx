@@ -0,0 +1,16 @@
+import React from 'react';
+import InviteManager from '../components/admin/InviteManager';
+
+const StaffInvitesPage = () => {
+  return (
+    <div className="max-w-3xl mx-auto space-y-6">
+      <div>
+        <h1 className="text-3xl font-bold text-gray-900">Staff Invites</h1>
+        <p className="text-gray-600">Provision staff accounts with expiring, single-use invite links</p>
+      </div>
+      <InviteManager />
+    </div>
+  );
+};
+
+export default StaffInvitesPage;
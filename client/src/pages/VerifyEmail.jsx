@@ -0,0 +1,66 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { authAPI } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const { isAuthenticated, updateUser } = useAuth();
+  const [status, setStatus] = useState('verifying');
+  const [message, setMessage] = useState('');
+  const requested = useRef(false);
+  const token = searchParams.get('token');
+
+  useEffect(() => {
+    // Tokens are single-use, so guard against StrictMode running the effect twice
+    if (requested.current) return;
+    requested.current = true;
+
+    if (!token) {
+      setStatus('error');
+      setMessage('Verification link is missing its token');
+      return;
+    }
+
+    authAPI.verifyEmail(token)
+      .then((response) => {
+        setStatus('success');
+        setMessage(response.data.message);
+        if (isAuthenticated) updateUser(response.data.user);
+      })
+      .catch((error) => {
+        setStatus('error');
+        setMessage(error.response?.data?.message || 'Verification failed');
+      });
+  }, [token, isAuthenticated, updateUser]);
+
+  return (
+    <div className="min-h-[80vh] flex items-center justify-center">
+      <div className="card max-w-md mx-auto text-center">
+        <h2 className="text-2xl font-bold mb-6">Email Verification</h2>
+
+        {status === 'verifying' && <p className="text-gray-600">Verifying your email...</p>}
+
+        {status === 'success' && (
+          <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded mb-4">
+            {message}
+          </div>
+        )}
+
+        {status === 'error' && (
+          <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+            {message}
+          </div>
+        )}
+
+        {status !== 'verifying' && (
+          <Link to="/" className="text-blue-600 hover:underline text-sm">
+            Continue to OralVis
+          </Link>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
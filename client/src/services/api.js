@@ -1,7 +1,7 @@
 import axios from 'axios';
 
 // Use environment variable for API URL
-const API_BASE_URL = import.meta.env.VITE_API_URL || "https://dentalv1.onrender.com/api";
+export const API_BASE_URL = import.meta.env.VITE_API_URL || "https://dentalv1.onrender.com/api";
 
 console.log('API Base URL:', API_BASE_URL);
 
@@ -21,16 +21,61 @@ API.interceptors.request.use((config) => {
   return config;
 });
 
-// Handle authentication errors
+const clearSession = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('user');
+  window.location.href = '/login';
+};
+
+// Share one refresh request between concurrent 401 responses
+let refreshPromise = null;
+
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem('refreshToken');
+    refreshPromise = axios
+      .post(`${API_BASE_URL}/auth/refresh`, { refreshToken })
+      .then((response) => {
+        localStorage.setItem('token', response.data.token);
+        localStorage.setItem('refreshToken', response.data.refreshToken);
+        return response.data.token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+// Requests that must never trigger a token refresh
+const NO_REFRESH_URLS = ['/auth/register', '/auth/refresh'];
+const isNoRefreshUrl = (url) => NO_REFRESH_URLS.includes(url) || url?.startsWith('/auth/login');
+
+// Handle authentication errors: refresh once, then give up and log out
 API.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
-      localStorage.removeItem('token');
-      localStorage.removeItem('user');
-      window.location.href = '/login';
+  async (error) => {
+    const originalRequest = error.config;
+
+    if (error.response?.status !== 401 || !originalRequest || isNoRefreshUrl(originalRequest.url)) {
+      return Promise.reject(error);
+    }
+
+    if (originalRequest._retry || !localStorage.getItem('refreshToken')) {
+      clearSession();
+      return Promise.reject(error);
+    }
+
+    originalRequest._retry = true;
+    try {
+      const token = await refreshAccessToken();
+      originalRequest.headers.Authorization = `Bearer ${token}`;
+      return API(originalRequest);
+    } catch (refreshError) {
+      clearSession();
+      return Promise.reject(refreshError);
     }
-    return Promise.reject(error);
   }
 );
 
@@ -38,8 +83,28 @@ API.interceptors.response.use(
 export const authAPI = {
   register: (userData) => API.post('/auth/register', userData),
   login: (credentials) => API.post('/auth/login', credentials),
+  verifyTwoFactorLogin: (challengeToken, codes) => API.post('/auth/login/2fa', { challengeToken, ...codes }),
+  setupTwoFactorLogin: (challengeToken) => API.post('/auth/login/2fa/setup', { challengeToken }),
+  confirmTwoFactorLoginSetup: (challengeToken, code) => API.post('/auth/login/2fa/setup/confirm', { challengeToken, code }),
   getCurrentUser: () => API.get('/auth/me'),
   logout: () => API.post('/auth/logout'),
+  logoutAll: () => API.post('/auth/logout-all'),
+  getSessions: () => API.get('/auth/sessions'),
+  revokeSession: (id) => API.delete(`/auth/sessions/${id}`),
+  verifyEmail: (token) => API.post('/auth/verify-email', { token }),
+  resendVerification: () => API.post('/auth/resend-verification'),
+  forgotPassword: (email) => API.post('/auth/forgot-password', { email }),
+  resetPassword: (token, password) => API.post('/auth/reset-password', { token, password }),
+};
+
+// Two-factor management for the signed-in user
+export const twoFactorAPI = {
+  setup: () => API.post('/auth/2fa/setup'),
+  enable: (code) => API.post('/auth/2fa/enable', { code }),
+  disable: (data) => API.post('/auth/2fa/disable', data),
+  regenerateRecoveryCodes: (code) => API.post('/auth/2fa/recovery-codes', { code }),
+  getStaff: () => API.get('/auth/2fa/staff'),
+  setRequired: (userId, required) => API.put(`/auth/2fa/staff/${userId}/required`, { required }),
 };
 
 // Submissions API calls
@@ -47,13 +112,70 @@ export const submissionsAPI = {
   create: (formData) => API.post('/submissions', formData, {
     headers: { 'Content-Type': 'multipart/form-data' }
   }),
-  getAll: () => API.get('/submissions'),
+  getAll: (params) => API.get('/submissions', { params }),
   getOne: (id) => API.get(`/submissions/${id}`),
   annotate: (id, annotationData) => API.put(`/submissions/${id}/annotate`, annotationData),
-  generatePDF: (id) => API.post(`/submissions/${id}/generate-pdf`),
+  generatePDF: (id, template) => API.post(`/submissions/${id}/generate-pdf`, { template }),
+  getReportTemplates: () => API.get('/submissions/report-templates'),
+  getConditions: () => API.get('/submissions/conditions'),
+  getStatuses: () => API.get('/submissions/statuses'),
+  changeStatus: (id, status, reason) => API.post(`/submissions/${id}/status`, { status, reason }),
+  getDentists: () => API.get('/submissions/dentists'),
+  requestRetake: (id, data) => API.post(`/submissions/${id}/retake-request`, data),
+  uploadRetake: (id, formData) => API.post(`/submissions/${id}/retake`, formData, {
+    headers: { 'Content-Type': 'multipart/form-data' }
+  }),
+  getMessages: (id) => API.get(`/submissions/${id}/messages`),
+  sendMessage: (id, formData) => API.post(`/submissions/${id}/messages`, formData, {
+    headers: { 'Content-Type': 'multipart/form-data' }
+  }),
+  markMessagesRead: (id) => API.post(`/submissions/${id}/messages/read`),
+  getUnreadMessages: () => API.get('/submissions/messages/unread'),
+  assign: (id, dentistId) => API.put(`/submissions/${id}/assign`, { dentistId }),
+  getRevisions: (id, view) => API.get(`/submissions/${id}/revisions`, { params: { view } }),
+  compareRevisions: (id, from, to) => API.get(`/submissions/${id}/revisions/compare`, { params: { from, to } }),
+  restoreRevision: (id, revisionId) => API.post(`/submissions/${id}/revisions/${revisionId}/restore`),
+  importAnnotations: (id, data) => API.post(`/submissions/${id}/annotations/import`, data),
+  exportCoco: (filters) => API.get('/submissions/export/coco', {
+    params: filters,
+    responseType: 'blob'
+  }),
   downloadPDF: (id) => API.get(`/submissions/${id}/download-pdf`, {
     responseType: 'blob'
   }),
 };
 
+// Uploaded files of the local storage driver, which need the session's token
+export const filesAPI = {
+  get: (url) => API.get(url, { responseType: 'blob' }),
+};
+
+// Header bell notifications and the live event stream
+export const notificationsAPI = {
+  getAll: () => API.get('/notifications'),
+  markRead: (id, read = true) => API.post(`/notifications/${id}/read`, { read }),
+  markAllRead: () => API.post('/notifications/read-all'),
+  getStreamTicket: () => API.post('/notifications/stream/ticket'),
+};
+
+// Event emails: the user's preferences, and templates and delivery log for admins
+export const emailsAPI = {
+  getPreferences: () => API.get('/emails/preferences'),
+  updatePreferences: (preferences) => API.put('/emails/preferences', { preferences }),
+  getTemplates: () => API.get('/emails/templates'),
+  updateTemplate: (event, template) => API.put(`/emails/templates/${event}`, template),
+  resetTemplate: (event) => API.delete(`/emails/templates/${event}`),
+  getDeliveries: (filters) => API.get('/emails/deliveries', { params: filters }),
+  retryDelivery: (id) => API.post(`/emails/deliveries/${id}/retry`),
+};
+
+// Staff invite API calls
+export const invitesAPI = {
+  create: (inviteData) => API.post('/invites', inviteData),
+  getAll: () => API.get('/invites'),
+  revoke: (id) => API.delete(`/invites/${id}`),
+  lookup: (token) => API.get(`/invites/token/${token}`),
+  accept: (token, userData) => API.post(`/invites/token/${token}/accept`, userData),
+};
+
 export default API;
\ No newline at end of file
@@ -7,6 +7,10 @@ export default {
   darkMode: "class",
   theme: {
     extend: {
+      // Phones, tablets and other devices driven by a finger
+      screens: {
+        touch: { raw: "(pointer: coarse)" },
+      },
       boxShadow: {
         input: `0px 2px 3px -1px rgba(0,0,0,0.1), 
                 0px 1px 0px 0px rgba(25,28,33,0.02), 
@@ -0,0 +1,47 @@
+// Clinical findings a doctor can tag on an annotation. The id is stored on each
+// shape; label, colour and treatment drive the annotator and the report legend.
+// Clinics can add or reword conditions here without touching any other code.
+const CONDITIONS = [
+  {
+    id: 'inflamed_gums',
+    label: 'Inflamed / Red gums',
+    color: '#8B4513',
+    treatment: 'Scaling.'
+  },
+  {
+    id: 'misaligned',
+    label: 'Misaligned',
+    color: '#FFD700',
+    treatment: 'Braces or Clear Aligner'
+  },
+  {
+    id: 'receded_gums',
+    label: 'Receded gums',
+    color: '#808080',
+    treatment: 'Gum Surgery.'
+  },
+  {
+    id: 'stains',
+    label: 'Stains',
+    color: '#FF0000',
+    treatment: 'Teeth cleaning and polishing.'
+  },
+  {
+    id: 'attrition',
+    label: 'Attrition',
+    color: '#00FFFF',
+    treatment: 'Filling/ Night Guard.'
+  },
+  {
+    id: 'crowns',
+    label: 'Crowns',
+    color: '#FF1493',
+    treatment: 'If the crown is loose or broken, better get it checked. Teeth coloured caps are the best ones.'
+  }
+];
+
+const SEVERITIES = ['mild', 'moderate', 'severe'];
+
+const getCondition = (id) => CONDITIONS.find(condition => condition.id === id);
+
+module.exports = { CONDITIONS, SEVERITIES, getCondition };
@@ -0,0 +1,37 @@
+// Emails sent when something happens to a case. Subject and body are the
+// defaults; admins can reword them from the Email page, which stores an
+// override in EmailTemplate. {{placeholders}} are filled in when sending.
+// Users opt out per event; defaultEnabled applies until they choose.
+const EMAIL_EVENTS = [
+  {
+    id: 'submission_received',
+    label: 'Submission received',
+    description: 'Sent to the patient when their photos have been uploaded',
+    defaultEnabled: true,
+    placeholders: ['name', 'patientName', 'patientId', 'link'],
+    subject: 'We received your dental photos',
+    body: 'Hi {{name}},\n\nThanks for sending your dental photos (patient ID {{patientId}}). A dentist will review them shortly and we will email you when your report is ready.\n\nYou can follow your submission here: {{link}}'
+  },
+  {
+    id: 'retake_requested',
+    label: 'Retake requested',
+    description: 'Sent to the patient when a dentist asks for new photos',
+    defaultEnabled: true,
+    placeholders: ['name', 'patientName', 'patientId', 'reason', 'guidance', 'link'],
+    subject: 'Please retake your dental photos',
+    body: 'Hi {{name}},\n\nYour dentist needs new photos before they can finish reviewing your case.\n\nReason: {{reason}}\n{{guidance}}\n\nUpload the new photos here: {{link}}'
+  },
+  {
+    id: 'report_ready',
+    label: 'Report ready',
+    description: 'Sent to the patient when their PDF report has been generated',
+    defaultEnabled: true,
+    placeholders: ['name', 'patientName', 'patientId', 'link'],
+    subject: 'Your dental report is ready',
+    body: 'Hi {{name}},\n\nYour dental report is ready. Sign in to download it: {{link}}'
+  }
+];
+
+const getEmailEvent = (id) => EMAIL_EVENTS.find(event => event.id === id);
+
+module.exports = { EMAIL_EVENTS, getEmailEvent };
@@ -1,5 +1,7 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const { isTwoFactorRequired } = require('../services/twoFactor');
 
 const auth = async (req, res, next) => {
   try {
@@ -10,15 +12,36 @@ const auth = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Login challenge tokens only prove the password step
+    if (decoded.purpose) {
+      return res.status(401).json({ message: 'Invalid token' });
+    }
+
+    // Access tokens are bound to a session so logout can revoke them early
+    const session = decoded.sessionId && await Session.findById(decoded.sessionId);
+    if (!session || !session.isActive()) {
+      return res.status(401).json({ message: 'Session has been revoked' });
+    }
+
     const user = await User.findById(decoded.userId).select('-password');
     
     if (!user) {
       return res.status(401).json({ message: 'User not found' });
     }
 
+    // Once two-factor is on (or enforced), sessions that skipped it no longer count
+    if ((user.twoFactorEnabled || isTwoFactorRequired(user)) && !session.twoFactorVerified) {
+      return res.status(401).json({ message: 'Two-factor authentication required', code: 'TWO_FACTOR_REQUIRED' });
+    }
+
     req.user = user;
+    req.authSession = session;
     next();
   } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return res.status(401).json({ message: 'Token expired', code: 'TOKEN_EXPIRED' });
+    }
     res.status(401).json({ message: 'Invalid token' });
   }
 };
@@ -30,4 +53,23 @@ const adminOnly = (req, res, next) => {
   next();
 };
 
-module.exports = { auth, adminOnly };
\ No newline at end of file
+// Dentists and clinic admins
+const staffOnly = (req, res, next) => {
+  if (!req.user.isStaff()) {
+    return res.status(403).json({ message: 'Staff access required' });
+  }
+  next();
+};
+
+// 423 for an account locked after too many failed passwords or codes
+const lockedResponse = (res, user) => {
+  const retryAfter = Math.ceil((user.lockUntil - Date.now()) / 1000);
+  res.set('Retry-After', String(retryAfter));
+  return res.status(423).json({
+    message: `Account temporarily locked after too many failed attempts. Try again in ${Math.ceil(retryAfter / 60)} minute(s).`,
+    code: 'ACCOUNT_LOCKED',
+    retryAfter
+  });
+};
+
+module.exports = { auth, adminOnly, staffOnly, lockedResponse };
@@ -0,0 +1,41 @@
+// In-memory fixed-window rate limiter. Counts are per process, which is enough
+// for a single server instance; put a shared store behind it when scaling out.
+const createRateLimiter = ({ windowMs, max, keyGenerator = (req) => req.ip, message }) => {
+  const hits = new Map();
+
+  // Drop expired windows so the map doesn't grow without bound
+  const cleanup = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of hits) {
+      if (entry.resetAt <= now) hits.delete(key);
+    }
+  }, windowMs);
+  cleanup.unref();
+
+  return (req, res, next) => {
+    const key = keyGenerator(req);
+    const now = Date.now();
+    let entry = hits.get(key);
+
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(key, entry);
+    }
+
+    entry.count += 1;
+
+    if (entry.count > max) {
+      const retryAfter = Math.ceil((entry.resetAt - now) / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        message: message || 'Too many requests, please try again later',
+        code: 'RATE_LIMITED',
+        retryAfter
+      });
+    }
+
+    next();
+  };
+};
+
+module.exports = { createRateLimiter };
@@ -0,0 +1,25 @@
+const crypto = require('crypto');
+const multer = require('multer');
+const path = require('path');
+
+// Keep image uploads in memory and hand the buffer to the configured storage driver
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = /jpeg|jpg|png/;
+    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
+    const mimetype = allowedTypes.test(file.mimetype);
+    
+    if (mimetype && extname) {
+      return cb(null, true);
+    } else {
+      cb(new Error('Only image files are allowed'));
+    }
+  }
+});
+
+// Build an unguessable filename without extension, e.g. 1757661588984-9f86d081884c7d659a2feaa0c55ad015
+const uniqueFilename = () => `${Date.now()}-${crypto.randomBytes(16).toString('hex')}`;
+
+module.exports = { imageUpload, uniqueFilename };
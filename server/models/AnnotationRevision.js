@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+const { VIEW_TYPES } = require('./Submission');
+
+// Every annotation save of one submission view, numbered from 1. The view
+// itself holds a copy of the latest revision for quick reads.
+const annotationRevisionSchema = new mongoose.Schema({
+  submissionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Submission', required: true },
+  view: { type: String, enum: VIEW_TYPES, required: true },
+  number: { type: Number, required: true },
+
+  annotationData: { type: Object, required: true },
+  annotatedImageUrl: { type: String },
+  annotatedImagePublicId: { type: String },
+
+  // Missing for markings saved before revisions were kept
+  author: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  authorName: { type: String },
+  // Set when this revision was created by restoring an older one
+  restoredFrom: { type: Number },
+  // Set when this revision was loaded from an external dataset (its image file name)
+  importedFrom: { type: String },
+  // Photo of the view the markings were drawn on (see Submission views.imageVersion)
+  imageVersion: { type: Number, default: 1 }
+}, { timestamps: true });
+
+annotationRevisionSchema.index({ submissionId: 1, view: 1, number: -1 }, { unique: true });
+annotationRevisionSchema.index({ annotatedImagePublicId: 1 }, { sparse: true });
+
+module.exports = mongoose.model('AnnotationRevision', annotationRevisionSchema);
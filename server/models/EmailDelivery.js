@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+const { EMAIL_EVENTS } = require('../config/emailTemplates');
+
+// pending: not tried yet; failed: last attempt failed, retried at nextAttemptAt
+// unless attempts ran out; skipped: the user opted out of this event
+const DELIVERY_STATUSES = ['pending', 'sent', 'failed', 'skipped'];
+
+// One event email, rendered when it was queued, with every send attempt counted
+const emailDeliverySchema = new mongoose.Schema({
+  event: { type: String, enum: EMAIL_EVENTS.map(event => event.id), required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  submissionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Submission' },
+
+  to: { type: String, required: true },
+  subject: { type: String, required: true },
+  text: { type: String, required: true },
+  html: { type: String },
+
+  status: { type: String, enum: DELIVERY_STATUSES, default: 'pending' },
+  attempts: { type: Number, default: 0 },
+  lastError: { type: String },
+  nextAttemptAt: { type: Date },
+  sentAt: { type: Date }
+}, { timestamps: true });
+
+emailDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+emailDeliverySchema.index({ createdAt: -1 });
+
+emailDeliverySchema.statics.DELIVERY_STATUSES = DELIVERY_STATUSES;
+
+module.exports = mongoose.model('EmailDelivery', emailDeliverySchema);
@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+const { EMAIL_EVENTS } = require('../config/emailTemplates');
+
+// Admin-edited wording of one email event; events without one use the default
+// from config/emailTemplates.js
+const emailTemplateSchema = new mongoose.Schema({
+  event: { type: String, enum: EMAIL_EVENTS.map(event => event.id), required: true, unique: true },
+  subject: { type: String, required: true, trim: true },
+  body: { type: String, required: true },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  updatedByName: { type: String }
+}, { timestamps: true });
+
+module.exports = mongoose.model('EmailTemplate', emailTemplateSchema);
@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+const inviteSchema = new mongoose.Schema({
+  email: { type: String, required: true, lowercase: true, trim: true },
+  // No default: granting admin rights must be an explicit choice
+  role: { type: String, enum: ['admin', 'dentist'], required: true },
+  // SHA-256 of the invite token; the raw token is only shown to the issuing admin
+  tokenHash: { type: String, required: true, unique: true },
+  invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  expiresAt: { type: Date, required: true },
+  acceptedAt: { type: Date },
+  acceptedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  revokedAt: { type: Date }
+}, { timestamps: true });
+
+inviteSchema.methods.isUsable = function() {
+  return !this.acceptedAt && !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Invite', inviteSchema);
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// Longest message body, in characters
+const MAX_BODY_LENGTH = 5000;
+
+const attachmentSchema = new mongoose.Schema({
+  // File URL plus the storage key (Cloudinary public id or local uploads path)
+  url: { type: String, required: true },
+  key: { type: String },
+  filename: { type: String }
+}, { _id: false });
+
+// One message in the conversation between a patient and the clinic about a submission
+const messageSchema = new mongoose.Schema({
+  submissionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Submission', required: true },
+
+  sender: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  senderName: { type: String },
+  senderRole: { type: String },
+
+  body: { type: String, trim: true, maxlength: MAX_BODY_LENGTH },
+  attachments: { type: [attachmentSchema], default: [] },
+
+  // Users who have seen the message, the sender included
+  readBy: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }]
+}, { timestamps: true });
+
+messageSchema.index({ submissionId: 1, createdAt: 1 });
+messageSchema.index({ submissionId: 1, readBy: 1 });
+// Finding the case a local attachment belongs to (services/fileAccess.js)
+messageSchema.index({ 'attachments.key': 1 }, { sparse: true });
+
+messageSchema.statics.MAX_BODY_LENGTH = MAX_BODY_LENGTH;
+
+module.exports = mongoose.model('Message', messageSchema);
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+const NOTIFICATION_TYPES = ['status', 'message', 'assignment'];
+
+// Something a user should hear about, shown in the header bell until read
+const notificationSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  type: { type: String, enum: NOTIFICATION_TYPES, required: true },
+  submissionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Submission' },
+  text: { type: String, required: true },
+  readAt: { type: Date }
+}, { timestamps: true });
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+
+notificationSchema.statics.NOTIFICATION_TYPES = NOTIFICATION_TYPES;
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  // SHA-256 of the current refresh token secret; rotated on every refresh
+  refreshTokenHash: { type: String, required: true },
+  // The hash it replaced, still accepted for a short grace period after rotatedAt
+  previousRefreshTokenHash: { type: String },
+  rotatedAt: { type: Date },
+  userAgent: { type: String },
+  ip: { type: String },
+  lastUsedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date },
+  // True when the login passed a second factor
+  twoFactorVerified: { type: Boolean, default: false }
+}, { timestamps: true });
+
+// Let MongoDB drop sessions once the refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -1,28 +1,200 @@
 const mongoose = require('mongoose');
 
+// Photo views a submission can hold, in report order
+const VIEW_TYPES = ['upper', 'front', 'lower'];
+
+// Case lifecycle; which moves are allowed lives in services/submissionStatus.js
+const STATUSES = ['submitted', 'in_review', 'needs_retake', 'annotated', 'awaiting_approval', 'reported', 'closed'];
+
+// Statuses used before the lifecycle was introduced
+const LEGACY_STATUSES = { uploaded: 'submitted' };
+
+// Fields that hold a storage key, for finding the case a file belongs to
+const FILE_KEY_FIELDS = [
+  'views.originalImagePublicId',
+  'views.annotatedImagePublicId',
+  'views.supersededImages.originalImagePublicId',
+  'views.supersededImages.annotatedImagePublicId',
+  'originalImagePublicId',
+  'annotatedImagePublicId',
+  'reportPdfPublicId'
+];
+
+const statusChangeSchema = new mongoose.Schema({
+  // Missing on the entry recording the upload
+  from: { type: String },
+  to: { type: String, enum: STATUSES, required: true },
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  actorName: { type: String },
+  actorRole: { type: String },
+  reason: { type: String },
+  at: { type: Date, default: Date.now }
+}, { _id: false });
+
+// A photo replaced by a retake, kept with the markings that were made on it
+const supersededImageSchema = new mongoose.Schema({
+  imageVersion: { type: Number, required: true },
+  originalImageUrl: { type: String, required: true },
+  originalImagePublicId: { type: String },
+  annotatedImageUrl: { type: String },
+  annotatedImagePublicId: { type: String },
+  annotationData: { type: Object },
+  currentRevision: { type: Number },
+  supersededAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Staff asking the patient to photograph some views again
+const retakeRequestSchema = new mongoose.Schema({
+  reason: { type: String, required: true },
+  guidance: { type: String },
+  // Views to photograph again; every view when empty
+  views: [{ type: String, enum: VIEW_TYPES }],
+  requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  requestedByName: { type: String },
+  requestedAt: { type: Date, default: Date.now },
+  // Set when the patient uploads the retake
+  fulfilledAt: { type: Date }
+});
+
+const viewSchema = new mongoose.Schema({
+  view: { type: String, enum: VIEW_TYPES, required: true },
+
+  // File URLs plus the storage key (Cloudinary public id or local uploads path)
+  originalImageUrl: { type: String, required: true },
+  originalImagePublicId: { type: String },
+
+  annotatedImageUrl: { type: String },
+  annotatedImagePublicId: { type: String },
+
+  annotationData: { type: Object },
+  // Number of the AnnotationRevision the fields above were copied from
+  currentRevision: { type: Number },
+
+  // Bumped by each retake; earlier photos of this view, oldest first
+  imageVersion: { type: Number, default: 1 },
+  supersededImages: { type: [supersededImageSchema], default: [] }
+}, { _id: false });
+
 const submissionSchema = new mongoose.Schema({
   patientId: { type: String, required: true },
   patientName: { type: String, required: true },
   email: { type: String, required: true },
   note: { type: String },
-  
-  // Store Cloudinary URLs (much simpler!)
+
+  views: { type: [viewSchema], default: [] },
+
+  // Legacy single-image fields, folded into `views` when an old document is loaded
   originalImageUrl: { type: String },
   originalImagePublicId: { type: String },
-  
   annotatedImageUrl: { type: String },
   annotatedImagePublicId: { type: String },
-  
+  annotationData: { type: Object },
+
   reportPdfUrl: { type: String },
   reportPdfPublicId: { type: String },
-  
-  annotationData: { type: Object },
-  status: { 
-    type: String, 
-    enum: ['uploaded', 'annotated', 'reported'], 
-    default: 'uploaded' 
+
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'submitted'
   },
+  statusHistory: { type: [statusChangeSchema], default: [] },
+  retakeRequests: { type: [retakeRequestSchema], default: [] },
+
+  // Dentist responsible for the case; unset until assigned
+  assignedTo: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  assignedToName: { type: String },
+  assignedAt: { type: Date },
+
   userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }
 }, { timestamps: true });
 
-module.exports = mongoose.model('Submission', submissionSchema);
\ No newline at end of file
+// List queries (services/submissionQuery.js): queues, filters and each sort order
+submissionSchema.index({ assignedTo: 1, createdAt: -1 });
+submissionSchema.index({ userId: 1, createdAt: -1 });
+submissionSchema.index({ status: 1, createdAt: -1 });
+submissionSchema.index({ patientId: 1, createdAt: -1 });
+submissionSchema.index({ email: 1 });
+submissionSchema.index({ createdAt: -1, _id: -1 });
+submissionSchema.index({ updatedAt: -1, _id: -1 });
+submissionSchema.index({ patientName: 1, _id: 1 });
+// Search by whole words of the patient's name, ID or email
+submissionSchema.index(
+  { patientName: 'text', patientId: 'text', email: 'text' },
+  { name: 'submission_search', weights: { patientName: 5, patientId: 10, email: 3 } }
+);
+// Serving local files (services/fileAccess.js)
+FILE_KEY_FIELDS.forEach(field => submissionSchema.index({ [field]: 1 }, { sparse: true }));
+
+// Bring documents saved by older versions up to date
+submissionSchema.post('init', function() {
+  if (LEGACY_STATUSES[this.status]) {
+    this.status = LEGACY_STATUSES[this.status];
+  }
+
+  // Single-image submissions predate views; treat their photo as the front view
+  if (this.views.length === 0 && this.originalImageUrl) {
+    this.views.push({
+      view: 'front',
+      originalImageUrl: this.originalImageUrl,
+      originalImagePublicId: this.originalImagePublicId,
+      annotatedImageUrl: this.annotatedImageUrl,
+      annotatedImagePublicId: this.annotatedImagePublicId,
+      annotationData: this.annotationData
+    });
+    this.originalImageUrl = undefined;
+    this.originalImagePublicId = undefined;
+    this.annotatedImageUrl = undefined;
+    this.annotatedImagePublicId = undefined;
+    this.annotationData = undefined;
+  }
+});
+
+submissionSchema.methods.getView = function(view) {
+  return this.views.find(entry => entry.view === view);
+};
+
+// Staff see every case; patients only their own
+submissionSchema.methods.isVisibleTo = function(user) {
+  return user.isStaff() || this.userId.toString() === user._id.toString();
+};
+
+// The retake request the patient hasn't answered yet, if any
+submissionSchema.methods.openRetakeRequest = function() {
+  return this.retakeRequests.find(request => !request.fulfilledAt);
+};
+
+// Replace a view's photo with a retake, keeping the old one and its markings.
+// Markings don't carry over: they were drawn on the previous photo.
+submissionSchema.methods.replaceViewImage = function(view, { originalImageUrl, originalImagePublicId }) {
+  const entry = this.getView(view);
+  if (!entry) {
+    this.views.push({ view, originalImageUrl, originalImagePublicId });
+    this.views.sort((a, b) => VIEW_TYPES.indexOf(a.view) - VIEW_TYPES.indexOf(b.view));
+    return;
+  }
+
+  entry.supersededImages.push({
+    imageVersion: entry.imageVersion || 1,
+    originalImageUrl: entry.originalImageUrl,
+    originalImagePublicId: entry.originalImagePublicId,
+    annotatedImageUrl: entry.annotatedImageUrl,
+    annotatedImagePublicId: entry.annotatedImagePublicId,
+    annotationData: entry.annotationData,
+    currentRevision: entry.currentRevision
+  });
+  entry.imageVersion = (entry.imageVersion || 1) + 1;
+  entry.originalImageUrl = originalImageUrl;
+  entry.originalImagePublicId = originalImagePublicId;
+  entry.annotatedImageUrl = undefined;
+  entry.annotatedImagePublicId = undefined;
+  entry.annotationData = undefined;
+  entry.currentRevision = undefined;
+};
+
+submissionSchema.statics.VIEW_TYPES = VIEW_TYPES;
+submissionSchema.statics.STATUSES = STATUSES;
+submissionSchema.statics.LEGACY_STATUSES = LEGACY_STATUSES;
+submissionSchema.statics.FILE_KEY_FIELDS = FILE_KEY_FIELDS;
+
+module.exports = mongoose.model('Submission', submissionSchema);
@@ -1,14 +1,54 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { getEmailEvent } = require('../config/emailTemplates');
+
+// Dentists review and annotate their assigned cases; admins also run the clinic
+const ROLES = ['patient', 'dentist', 'admin'];
+const STAFF_ROLES = ['dentist', 'admin'];
 
 const userSchema = new mongoose.Schema({
   name: { type: String, required: true },
   email: { type: String, required: true, unique: true },
   password: { type: String, required: true },
-  role: { type: String, enum: ['patient', 'admin'], default: 'patient' },
-  patientId: { type: String, unique: true, sparse: true }
+  role: { type: String, enum: ROLES, default: 'patient' },
+  patientId: { type: String, unique: true, sparse: true },
+  // When this dentist last received a round-robin case
+  lastAssignedAt: { type: Date },
+
+  emailVerified: { type: Boolean, default: false },
+  // Hashed single-use tokens for email verification and password reset
+  emailVerificationTokenHash: { type: String, select: false },
+  emailVerificationExpires: { type: Date, select: false },
+  passwordResetTokenHash: { type: String, select: false },
+  passwordResetExpires: { type: Date, select: false },
+
+  // Login throttling: consecutive failures, temporary lock and a short audit trail
+  failedLoginAttempts: { type: Number, default: 0 },
+  lockUntil: { type: Date },
+  recentFailedLogins: [{
+    _id: false,
+    at: { type: Date, default: Date.now },
+    ip: { type: String },
+    userAgent: { type: String }
+  }],
+
+  // TOTP two-factor authentication (staff)
+  twoFactorEnabled: { type: Boolean, default: false },
+  twoFactorSecret: { type: String, select: false },
+  twoFactorPendingSecret: { type: String, select: false },
+  twoFactorRecoveryCodes: { type: [String], select: false, default: undefined },
+  twoFactorLastStep: { type: Number, select: false },
+  // Set by a clinic admin: the account must enroll before it can sign in again
+  twoFactorRequired: { type: Boolean, default: false },
+
+  // Email event id → whether the user wants it; events not listed use their default
+  emailPreferences: { type: Map, of: Boolean, default: {} }
 }, { timestamps: true });
 
+const MAX_FAILED_LOGINS = Number(process.env.MAX_FAILED_LOGINS) || 5;
+const LOCK_DURATION_MS = (Number(process.env.LOGIN_LOCK_MINUTES) || 15) * 60 * 1000;
+const FAILED_LOGIN_HISTORY = 20;
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -21,4 +61,62 @@ userSchema.methods.comparePassword = async function(password) {
   return await bcrypt.compare(password, this.password);
 };
 
+userSchema.methods.isLocked = function() {
+  return !!this.lockUntil && this.lockUntil > new Date();
+};
+
+// Record a failed password attempt and lock the account once the limit is hit
+userSchema.methods.registerFailedLogin = async function({ ip, userAgent }) {
+  // An expired lock starts a fresh count
+  if (this.lockUntil && this.lockUntil <= new Date()) {
+    this.failedLoginAttempts = 0;
+    this.lockUntil = undefined;
+  }
+
+  this.failedLoginAttempts += 1;
+  this.recentFailedLogins.push({ at: new Date(), ip, userAgent });
+  if (this.recentFailedLogins.length > FAILED_LOGIN_HISTORY) {
+    this.recentFailedLogins = this.recentFailedLogins.slice(-FAILED_LOGIN_HISTORY);
+  }
+
+  if (this.failedLoginAttempts >= MAX_FAILED_LOGINS) {
+    this.lockUntil = new Date(Date.now() + LOCK_DURATION_MS);
+  }
+
+  await this.save();
+};
+
+userSchema.methods.resetFailedLogins = async function() {
+  if (this.failedLoginAttempts === 0 && !this.lockUntil) return;
+  this.failedLoginAttempts = 0;
+  this.lockUntil = undefined;
+  await this.save();
+};
+
+userSchema.methods.isStaff = function() {
+  return STAFF_ROLES.includes(this.role);
+};
+
+userSchema.methods.wantsEmail = function(eventId) {
+  const choice = this.emailPreferences?.get(eventId);
+  return choice ?? getEmailEvent(eventId)?.defaultEnabled ?? false;
+};
+
+// Fields safe to return to the client
+userSchema.methods.toProfile = function() {
+  return {
+    id: this._id,
+    name: this.name,
+    email: this.email,
+    role: this.role,
+    patientId: this.patientId,
+    emailVerified: this.emailVerified,
+    twoFactorEnabled: this.twoFactorEnabled,
+    twoFactorRequired: this.twoFactorRequired
+  };
+};
+
+userSchema.statics.ROLES = ROLES;
+userSchema.statics.STAFF_ROLES = STAFF_ROLES;
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
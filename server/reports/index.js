@@ -0,0 +1,79 @@
+const PDFDocument = require('pdfkit');
+const storage = require('../storage');
+const { summarizeFindings } = require('../services/annotations');
+const { createLayout } = require('./layout');
+const { getTemplate, listTemplates } = require('./templates');
+
+// PDFKit can't load remote URLs, so fetch each view's image through the storage
+// driver first. The annotated image is preferred over the original.
+const loadViewImages = async (submission) => {
+  const images = {};
+
+  await Promise.all(submission.views.map(async (viewEntry) => {
+    const sources = [
+      { url: viewEntry.annotatedImageUrl, key: viewEntry.annotatedImagePublicId },
+      { url: viewEntry.originalImageUrl, key: viewEntry.originalImagePublicId }
+    ].filter(source => source.url);
+
+    for (const source of sources) {
+      try {
+        images[viewEntry.view] = await storage.read(source);
+        return;
+      } catch (error) {
+        console.error(`Error loading ${viewEntry.view} image for report:`, error.message);
+      }
+    }
+  }));
+
+  return images;
+};
+
+// Render a submission with the named template (or REPORT_TEMPLATE) to a PDF buffer
+const renderReport = async (submission, { template: templateName } = {}) => {
+  const template = getTemplate(templateName);
+  const images = await loadViewImages(submission);
+
+  const doc = new PDFDocument({
+    size: template.page.size,
+    margins: template.page.margins,
+    // Keep pages in memory so headers and footers can show the final page count
+    bufferPages: true
+  });
+
+  const chunks = [];
+  doc.on('data', (chunk) => chunks.push(chunk));
+
+  const finished = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  const ctx = createLayout(doc, {
+    submission,
+    images,
+    findings: summarizeFindings(submission.views),
+    theme: template.theme
+  });
+
+  template.sections.forEach(section => section(ctx));
+
+  // Headers and footers go on last, once the page count is known. Zeroing the
+  // margins stops PDFKit from starting a new page when drawing near the edges.
+  const range = doc.bufferedPageRange();
+  for (let index = range.start; index < range.start + range.count; index++) {
+    doc.switchToPage(index);
+    const margins = { ...doc.page.margins };
+    doc.page.margins = { top: 0, bottom: 0, left: margins.left, right: margins.right };
+
+    const pageInfo = { pageNumber: index - range.start + 1, pageCount: range.count };
+    template.header(ctx, pageInfo);
+    template.footer(ctx, pageInfo);
+
+    doc.page.margins = margins;
+  }
+
+  doc.end();
+  return finished;
+};
+
+module.exports = { renderReport, listTemplates };
@@ -0,0 +1,65 @@
+// Flowing layout helpers shared by every report template. Sections draw at
+// doc.y and call ensureSpace() before blocks that must not split across pages;
+// plain text flows onto new pages on its own.
+const createLayout = (doc, { submission, images, findings = [], theme }) => {
+  const { left, right } = doc.page.margins;
+  const width = doc.page.width - left - right;
+
+  const bottomLimit = () => doc.page.height - doc.page.margins.bottom;
+
+  const ensureSpace = (height) => {
+    if (doc.y + height > bottomLimit()) {
+      doc.addPage();
+    }
+  };
+
+  const sectionTitle = (title, { fontSize = 12, gap = 8 } = {}) => {
+    ensureSpace(fontSize + gap + 30);
+    doc.fontSize(fontSize).font('Helvetica-Bold').fillColor(theme.headingColor);
+    doc.text(title, left, doc.y, { width });
+    doc.moveDown(gap / fontSize);
+  };
+
+  const body = (fontSize = 11) => {
+    doc.fontSize(fontSize).font('Helvetica').fillColor(theme.textColor);
+  };
+
+  // Coloured square followed by bold label and regular description on one line
+  const swatchLine = ({ color, label, description, indent = 0 }) => {
+    const x = left + indent;
+    const textX = x + 20;
+    const textWidth = width - indent - 20;
+
+    body(11);
+    const height = doc.heightOfString(`${label}: ${description || ''}`, { width: textWidth });
+    ensureSpace(Math.max(height, 14) + 6);
+
+    const y = doc.y;
+    doc.rect(x, y, 12, 12).fill(color);
+    doc.fillColor(theme.textColor).font('Helvetica-Bold').text(label, textX, y + 1, {
+      width: textWidth,
+      continued: !!description
+    });
+    if (description) {
+      doc.font('Helvetica').text(`: ${description}`);
+    }
+    doc.x = left;
+    doc.y = Math.max(doc.y, y + 14) + 6;
+  };
+
+  return {
+    doc,
+    submission,
+    images,
+    findings,
+    theme,
+    left,
+    width,
+    ensureSpace,
+    sectionTitle,
+    body,
+    swatchLine
+  };
+};
+
+module.exports = { createLayout };
@@ -0,0 +1,258 @@
+// Building blocks for report templates. Each factory takes options and returns
+// a section function that draws at the current position of the layout.
+const { VIEW_TYPES: VIEW_ORDER } = require('../models/Submission');
+const { getCondition } = require('../config/conditions');
+
+const VIEW_LABELS = {
+  upper: 'Upper Teeth',
+  front: 'Front Teeth',
+  lower: 'Lower Teeth'
+};
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-US', {
+  day: '2-digit',
+  month: '2-digit',
+  year: '2-digit'
+});
+
+const patientInfo = () => (ctx) => {
+  const { doc, submission, left, width } = ctx;
+  ctx.body(12);
+
+  const y = doc.y;
+  const column = width / 3;
+  doc.text(`Name: ${submission.patientName}`, left, y, { width: column - 10 });
+  doc.text(`Patient ID: ${submission.patientId}`, left + column, y, { width: column - 10 });
+  doc.text(`Date: ${formatDate(new Date())}`, left + column * 2, y, { width: column - 10, align: 'right' });
+
+  doc.x = left;
+  doc.moveDown(1.5);
+};
+
+// Image slots for each view, with a coloured label under each picture
+const screening = ({ title = 'SCREENING REPORT:', imageHeight = 120, labelColor } = {}) => (ctx) => {
+  const { doc, images, theme, left, width } = ctx;
+  const gap = 20;
+  const slotWidth = (width - 20 - gap * (VIEW_ORDER.length - 1)) / VIEW_ORDER.length;
+  const blockHeight = 30 + 20 + imageHeight + 45;
+
+  ctx.ensureSpace(blockHeight);
+  const top = doc.y;
+
+  // Title bar
+  doc.rect(left, top, width, blockHeight).stroke(theme.borderColor);
+  doc.rect(left, top, width, 30).fill(theme.panelColor);
+  doc.fillColor(theme.textColor).fontSize(14).font('Helvetica-Bold');
+  doc.text(title, left + 10, top + 9, { width: width - 20 });
+
+  const imageY = top + 50;
+  VIEW_ORDER.forEach((view, index) => {
+    const slotX = left + 10 + (slotWidth + gap) * index;
+    const image = images[view];
+
+    if (image) {
+      try {
+        doc.image(image, slotX, imageY, { fit: [slotWidth, imageHeight], align: 'center', valign: 'center' });
+      } catch (error) {
+        console.error(`Error adding ${view} image:`, error);
+        doc.rect(slotX, imageY, slotWidth, imageHeight).stroke(theme.borderColor);
+        doc.fillColor('gray').fontSize(10).font('Helvetica');
+        doc.text('Image unavailable', slotX, imageY + imageHeight / 2 - 5, { width: slotWidth, align: 'center' });
+      }
+    } else {
+      doc.rect(slotX, imageY, slotWidth, imageHeight).stroke(theme.borderColor);
+      doc.fillColor('gray').fontSize(10).font('Helvetica');
+      doc.text('Not provided', slotX, imageY + imageHeight / 2 - 5, { width: slotWidth, align: 'center' });
+    }
+
+    // View label
+    const labelWidth = Math.min(100, slotWidth);
+    const labelX = slotX + (slotWidth - labelWidth) / 2;
+    doc.rect(labelX, imageY + imageHeight + 10, labelWidth, 25).fill(labelColor || theme.accentColor);
+    doc.fillColor('white').fontSize(12).font('Helvetica-Bold');
+    doc.text(VIEW_LABELS[view], labelX, imageY + imageHeight + 17, { width: labelWidth, align: 'center' });
+  });
+
+  doc.x = left;
+  doc.y = top + blockHeight + 15;
+};
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+const formatLength = (shape) => (
+  Number.isFinite(shape.lengthMm) ? `${shape.lengthMm.toFixed(1)} mm` : `${Math.round(shape.length)} px (uncalibrated)`
+);
+
+const formatArea = (shape) => (
+  Number.isFinite(shape.areaMm2)
+    ? `${shape.areaMm2.toFixed(1)} mm² (${shape.areaPercent.toFixed(1)}% of image)`
+    : `${shape.areaPercent.toFixed(1)}% of image`
+);
+
+// Colour key laid out in a grid; defaults to the conditions marked on the images
+const legend = ({ items, columns = 3 } = {}) => (ctx) => {
+  const { doc, theme, left, width } = ctx;
+  items = items || ctx.findings;
+  if (items.length === 0) return;
+
+  const rows = Math.ceil(items.length / columns);
+  const columnWidth = width / columns;
+
+  ctx.ensureSpace(rows * 20 + 10);
+  const top = doc.y;
+
+  doc.fontSize(10).font('Helvetica');
+  items.forEach((item, index) => {
+    const x = left + (index % columns) * columnWidth;
+    const y = top + Math.floor(index / columns) * 20;
+    doc.rect(x, y, 12, 12).fill(item.color);
+    doc.fillColor(theme.textColor).text(item.label, x + 20, y + 2, { width: columnWidth - 25 });
+  });
+
+  doc.x = left;
+  doc.y = top + rows * 20 + 15;
+};
+
+// Recommendations for each marked condition, noting the worst severity seen
+const treatments = ({ title = 'TREATMENT RECOMMENDATIONS:', items, emptyText = 'No conditions were marked on the submitted images.' } = {}) => (ctx) => {
+  items = items || ctx.findings;
+
+  ctx.sectionTitle(title, { fontSize: 16, gap: 12 });
+  if (items.length === 0) {
+    ctx.body(11);
+    ctx.doc.text(emptyText, ctx.left, ctx.doc.y, { width: ctx.width });
+  }
+  items.forEach(item => {
+    const label = item.severity ? `${item.label} (${item.severity})` : item.label;
+    ctx.swatchLine({ color: item.color, label, description: item.treatment });
+  });
+  ctx.doc.moveDown(1);
+};
+
+// Free text; long notes flow across pages
+const notes = ({ title = 'PATIENT NOTES:' } = {}) => (ctx) => {
+  const { doc, submission, left, width } = ctx;
+  if (!submission.note) return;
+
+  ctx.sectionTitle(title);
+  ctx.body(11);
+  doc.text(submission.note, left, doc.y, { width });
+  doc.moveDown(1.5);
+};
+
+// One line per shape: finding, severity, measurement or label and comment, or just the colour for
+// shapes drawn before findings were recorded
+const describeShape = (shape) => {
+  const condition = getCondition(shape.finding);
+  if (!condition) {
+    return `${capitalize(shape.type)} marking highlighted in ${shape.color}`;
+  }
+
+  let text = condition.label;
+  if (shape.severity) text += ` (${shape.severity})`;
+  text += ` - ${shape.type}`;
+  if (shape.type === 'polygon' && Number.isFinite(shape.areaPercent)) {
+    text += `, area ${formatArea(shape)}`;
+  }
+  if (shape.type === 'ruler' && Number.isFinite(shape.length)) {
+    text += `, length ${formatLength(shape)}`;
+  }
+  if (shape.type === 'text') text += ` "${shape.text}"`;
+  if (shape.comment) text += `: ${shape.comment}`;
+  return text;
+};
+
+const annotations = ({ title = 'DOCTOR\'S ANNOTATIONS:' } = {}) => (ctx) => {
+  const { doc, submission, left, width } = ctx;
+  const annotatedViews = submission.views.filter(entry => entry.annotationData?.shapes?.length > 0);
+  if (annotatedViews.length === 0) return;
+
+  ctx.sectionTitle(title);
+
+  let totalAnnotations = 0;
+  annotatedViews.forEach((viewEntry) => {
+    const { shapes } = viewEntry.annotationData;
+    totalAnnotations += shapes.length;
+
+    ctx.ensureSpace(30);
+    doc.fontSize(10).font('Helvetica-Bold').fillColor(ctx.theme.textColor);
+    doc.text(`${VIEW_LABELS[viewEntry.view]}:`, left + 20, doc.y, { width: width - 20 });
+
+    doc.font('Helvetica');
+    shapes.forEach((shape, index) => {
+      doc.text(`${index + 1}. ${describeShape(shape)}`, left + 30, doc.y, { width: width - 30 });
+    });
+    doc.moveDown(0.5);
+  });
+
+  const lastExamined = annotatedViews
+    .map(entry => new Date(entry.annotationData.timestamp || submission.updatedAt))
+    .reduce((latest, date) => (date > latest ? date : latest));
+
+  ctx.ensureSpace(30);
+  doc.text(`Total annotations: ${totalAnnotations}`, left + 20, doc.y, { width: width - 20 });
+  doc.text(`Examined on: ${lastExamined.toLocaleDateString()}`, left + 20, doc.y, { width: width - 20 });
+  doc.x = left;
+  doc.moveDown(1);
+};
+
+// Ruler lengths and outline areas per view, with how each image was calibrated
+const measurements = ({ title = 'MEASUREMENTS:' } = {}) => (ctx) => {
+  const { doc, submission, left, width } = ctx;
+  const measuredViews = submission.views
+    .map(viewEntry => ({
+      viewEntry,
+      shapes: (viewEntry.annotationData?.shapes || []).filter(shape => (
+        (shape.type === 'ruler' && Number.isFinite(shape.length)) ||
+        (shape.type === 'polygon' && Number.isFinite(shape.areaPercent))
+      ))
+    }))
+    .filter(({ shapes }) => shapes.length > 0);
+  if (measuredViews.length === 0) return;
+
+  // Keep each view's measurements and calibration note together, and the title with the first view
+  const blockHeight = (shapes) => (shapes.length + 2) * 14;
+  ctx.ensureSpace(blockHeight(measuredViews[0].shapes) + 30);
+  ctx.sectionTitle(title);
+
+  measuredViews.forEach(({ viewEntry, shapes }) => {
+    const { calibration } = viewEntry.annotationData;
+
+    ctx.ensureSpace(blockHeight(shapes));
+    doc.fontSize(10).font('Helvetica-Bold').fillColor(ctx.theme.textColor);
+    doc.text(`${VIEW_LABELS[viewEntry.view]}:`, left + 20, doc.y, { width: width - 20 });
+
+    doc.font('Helvetica');
+    shapes.forEach(shape => {
+      const condition = getCondition(shape.finding);
+      const what = condition ? `${condition.label} ` : '';
+      const value = shape.type === 'ruler' ? `length ${formatLength(shape)}` : `area ${formatArea(shape)}`;
+      doc.text(`• ${what}${shape.type}: ${value}`, left + 30, doc.y, { width: width - 30 });
+    });
+
+    doc.fillColor('gray').text(
+      calibration?.mmPerPixel
+        ? `Calibrated against a ${calibration.lengthMm} mm reference.`
+        : 'Not calibrated; lengths are in image pixels.',
+      left + 30, doc.y, { width: width - 30 }
+    );
+    doc.fillColor(ctx.theme.textColor);
+    doc.moveDown(0.5);
+  });
+
+  doc.x = left;
+  doc.moveDown(1);
+};
+
+module.exports = {
+  VIEW_ORDER,
+  VIEW_LABELS,
+  formatDate,
+  patientInfo,
+  screening,
+  legend,
+  treatments,
+  notes,
+  annotations,
+  measurements
+};
@@ -0,0 +1,56 @@
+const {
+  formatDate,
+  screening,
+  notes,
+  annotations,
+  measurements
+} = require('../sections');
+
+// Plain black-and-white layout for clinics that print on office printers
+module.exports = {
+  name: 'compact',
+  description: 'Minimal monochrome report without legend or recommendations',
+
+  page: {
+    size: 'A4',
+    margins: { top: 80, bottom: 50, left: 40, right: 40 }
+  },
+
+  theme: {
+    primaryColor: '#111827',
+    accentColor: '#374151',
+    headingColor: '#111827',
+    textColor: '#111827',
+    panelColor: '#F9FAFB',
+    borderColor: '#D1D5DB'
+  },
+
+  header: ({ doc, submission, theme }) => {
+    const { left, right } = doc.page.margins;
+    doc.fillColor(theme.headingColor).font('Helvetica-Bold').fontSize(16);
+    doc.text('Dental Screening Report', left, 30, { lineBreak: false });
+    doc.font('Helvetica').fontSize(9);
+    doc.text(
+      `${submission.patientName} · ${submission.patientId} · ${formatDate(new Date())}`,
+      left, 52, { lineBreak: false }
+    );
+    doc.moveTo(left, 68).lineTo(doc.page.width - right, 68).stroke(theme.borderColor);
+  },
+
+  footer: ({ doc, submission, theme }, { pageNumber, pageCount }) => {
+    const { left, right } = doc.page.margins;
+    const y = doc.page.height - 35;
+    const width = doc.page.width - left - right;
+
+    doc.fillColor(theme.textColor).font('Helvetica').fontSize(8);
+    doc.text(`Report ID: ${submission._id}`, left, y, { width, lineBreak: false });
+    doc.text(`Page ${pageNumber} of ${pageCount}`, left, y, { width, align: 'right', lineBreak: false });
+  },
+
+  sections: [
+    screening({ title: 'IMAGES', imageHeight: 150 }),
+    annotations({ title: 'FINDINGS' }),
+    measurements({ title: 'MEASUREMENTS' }),
+    notes({ title: 'PATIENT NOTES' })
+  ]
+};
@@ -0,0 +1,64 @@
+const {
+  patientInfo,
+  screening,
+  legend,
+  treatments,
+  notes,
+  annotations,
+  measurements
+} = require('../sections');
+
+// Purple-banded screening report with images, legend and recommendations.
+// Legend and recommendations cover only the conditions marked on the images.
+module.exports = {
+  name: 'default',
+  description: 'Oral health screening report with coloured header band',
+
+  page: {
+    size: 'A4',
+    margins: { top: 120, bottom: 70, left: 30, right: 30 }
+  },
+
+  theme: {
+    primaryColor: '#8B5AD6',
+    accentColor: '#EF4444',
+    headingColor: '#1F2937',
+    textColor: 'black',
+    panelColor: '#F3F4F6',
+    borderColor: '#E5E7EB'
+  },
+
+  header: ({ doc, theme }, { pageNumber }) => {
+    doc.rect(0, 0, doc.page.width, 100).fill(theme.primaryColor);
+    doc.fillColor('white').font('Helvetica-Bold');
+    if (pageNumber === 1) {
+      doc.fontSize(28).text('Oral Health Screening', 50, 25, { lineBreak: false });
+      doc.fontSize(24).text('Report', 50, 55, { lineBreak: false });
+    } else {
+      doc.fontSize(20).text('Oral Health Screening Report (continued)', 50, 40, { lineBreak: false });
+    }
+  },
+
+  footer: ({ doc, submission }, { pageNumber, pageCount }) => {
+    const y = doc.page.height - 50;
+    const pillX = (doc.page.width - 95) / 2;
+
+    doc.rect(pillX, y, 95, 30).fill('#4A5568');
+    doc.fillColor('white').fontSize(12).font('Helvetica');
+    doc.text(`Page ${pageNumber} / ${pageCount}`, pillX, y + 10, { width: 95, align: 'center', lineBreak: false });
+
+    doc.fillColor('gray').fontSize(8);
+    doc.text(`Report ID: ${submission._id}`, 50, y + 20, { lineBreak: false });
+    doc.text('Generated by OralVis Healthcare System', 50, y + 30, { lineBreak: false });
+  },
+
+  sections: [
+    patientInfo(),
+    screening(),
+    legend(),
+    treatments(),
+    notes(),
+    annotations(),
+    measurements()
+  ]
+};
@@ -0,0 +1,19 @@
+// Report templates by name. To add a layout, drop a module next to these that
+// exports { name, page, theme, header, footer, sections } and register it here.
+const templates = {
+  default: require('./default'),
+  compact: require('./compact')
+};
+
+const getTemplate = (name) => {
+  const templateName = name || process.env.REPORT_TEMPLATE || 'default';
+  const template = templates[templateName];
+  if (!template) {
+    throw new Error(`Unknown report template "${templateName}". Use one of: ${Object.keys(templates).join(', ')}`);
+  }
+  return template;
+};
+
+const listTemplates = () => Object.values(templates).map(({ name, description }) => ({ name, description }));
+
+module.exports = { getTemplate, listTemplates };
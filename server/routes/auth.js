@@ -1,19 +1,67 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
-const { auth } = require('../middleware/auth');
+const { auth, lockedResponse } = require('../middleware/auth');
+const { createRateLimiter } = require('../middleware/rateLimit');
+const { generateToken, hashToken } = require('../services/tokens');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../services/accountEmails');
+const {
+  isTwoFactorRequired,
+  createChallengeToken,
+  verifyChallengeToken,
+  loadTwoFactorUser,
+  beginEnrollment,
+  completeEnrollment,
+  verifyUserCode
+} = require('../services/twoFactor');
+const {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  listActiveSessions
+} = require('../services/sessions');
 
 const router = express.Router();
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, { expiresIn: '7d' });
+// IP-level throttling for endpoints that can be used to guess credentials
+const loginLimiter = createRateLimiter({
+  windowMs: 15 * 60 * 1000,
+  max: Number(process.env.LOGIN_RATE_LIMIT) || 20,
+  message: 'Too many login attempts from this network. Please try again later.'
+});
+
+const passwordResetLimiter = createRateLimiter({
+  windowMs: 60 * 60 * 1000,
+  max: 5,
+  message: 'Too many password reset requests. Please try again later.'
+});
+
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000;
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000;
+
+// Store a fresh verification token on the user and email the link
+const startEmailVerification = async (user) => {
+  const token = generateToken();
+  user.emailVerificationTokenHash = hashToken(token);
+  user.emailVerificationExpires = new Date(Date.now() + EMAIL_VERIFICATION_TTL_MS);
+  await user.save();
+  await sendVerificationEmail(user, token);
+};
+
+// Store a fresh password reset token on the user and email the link
+const startPasswordReset = async (user) => {
+  const token = generateToken();
+  user.passwordResetTokenHash = hashToken(token);
+  user.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_TTL_MS);
+  await user.save();
+  await sendPasswordResetEmail(user, token);
 };
 
 // Register
 router.post('/register', async (req, res) => {
   try {
-    const { name, email, password, role, patientId } = req.body;
+    // Role is never taken from the request: staff accounts come from invites
+    const { name, email, password, patientId } = req.body;
 
     // Check if user exists
     const existingUser = await User.findOne({ email });
@@ -22,22 +70,24 @@ router.post('/register', async (req, res) => {
     }
 
     // Create user
-    const user = new User({ name, email, password, role, patientId });
+    const user = new User({ name, email, password, role: 'patient', patientId });
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // A mail failure shouldn't block signup; the user can resend later
+    try {
+      await startEmailVerification(user);
+    } catch (error) {
+      console.error('Verification email error:', error);
+    }
+
+    // Start a session
+    const { token, refreshToken } = await createSession(user, req);
 
     res.status(201).json({
       message: 'User created successfully',
       token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        patientId: user.patientId
-      }
+      refreshToken,
+      user: user.toProfile()
     });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
@@ -45,7 +95,7 @@ router.post('/register', async (req, res) => {
 });
 
 // Login
-router.post('/login', async (req, res) => {
+router.post('/login', loginLimiter, async (req, res) => {
   try {
     const { email, password } = req.body;
 
@@ -55,25 +105,176 @@ router.post('/login', async (req, res) => {
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
+    // Refuse while locked, even if the password is right
+    if (user.isLocked()) {
+      return lockedResponse(res, user);
+    }
+
     // Check password
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      await user.registerFailedLogin({ ip: req.ip, userAgent: req.get('User-Agent') });
+      if (user.isLocked()) {
+        return lockedResponse(res, user);
+      }
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Second step: the client exchanges the challenge token plus a code for a session
+    if (user.twoFactorEnabled) {
+      return res.json({
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken: createChallengeToken(user, '2fa_login')
+      });
+    }
+
+    if (isTwoFactorRequired(user)) {
+      return res.json({
+        message: 'Two-factor authentication must be set up before signing in',
+        twoFactorSetupRequired: true,
+        challengeToken: createChallengeToken(user, '2fa_enroll')
+      });
+    }
+
+    await user.resetFailedLogins();
+
+    // Start a session
+    const { token, refreshToken } = await createSession(user, req);
+
+    res.json({
+      message: 'Login successful',
+      token,
+      refreshToken,
+      user: user.toProfile()
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Login step two: verify TOTP or recovery code
+router.post('/login/2fa', loginLimiter, async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const challenge = verifyChallengeToken(challengeToken, '2fa_login');
+    if (!challenge) {
+      return res.status(401).json({ message: 'Login challenge expired. Please sign in again.' });
+    }
+
+    const user = await loadTwoFactorUser(challenge.userId);
+    if (!user) {
+      return res.status(401).json({ message: 'User not found' });
+    }
+
+    if (user.isLocked()) {
+      return lockedResponse(res, user);
+    }
+
+    const isValid = await verifyUserCode(user, { code, recoveryCode });
+    if (!isValid) {
+      // Wrong codes count towards the same lockout as wrong passwords
+      await user.registerFailedLogin({ ip: req.ip, userAgent: req.get('User-Agent') });
+      if (user.isLocked()) {
+        return lockedResponse(res, user);
+      }
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    await user.resetFailedLogins();
+
+    const { token, refreshToken } = await createSession(user, req, { twoFactorVerified: true });
 
     res.json({
       message: 'Login successful',
       token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        patientId: user.patientId
+      refreshToken,
+      user: user.toProfile(),
+      recoveryCodesRemaining: (user.twoFactorRecoveryCodes || []).length
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Enrollment challenges are only honoured while the account still needs to enroll;
+// returns why not, or null
+const enrollmentRefusal = (user) => {
+  if (user.twoFactorEnabled) return 'Two-factor authentication is already enabled. Please sign in again.';
+  if (!isTwoFactorRequired(user)) return 'Two-factor setup is not required for this account. Please sign in again.';
+  return null;
+};
+
+// Enforced enrollment during login: get a secret and QR code
+router.post('/login/2fa/setup', loginLimiter, async (req, res) => {
+  try {
+    const challenge = verifyChallengeToken(req.body.challengeToken, '2fa_enroll');
+    if (!challenge) {
+      return res.status(401).json({ message: 'Login challenge expired. Please sign in again.' });
+    }
+
+    const user = await loadTwoFactorUser(challenge.userId);
+    if (!user) {
+      return res.status(401).json({ message: 'User not found' });
+    }
+
+    const refusal = enrollmentRefusal(user);
+    if (refusal) {
+      return res.status(400).json({ message: refusal });
+    }
+
+    const enrollment = await beginEnrollment(user);
+    res.json(enrollment);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Enforced enrollment during login: confirm the first code and start the session
+router.post('/login/2fa/setup/confirm', loginLimiter, async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    const challenge = verifyChallengeToken(challengeToken, '2fa_enroll');
+    if (!challenge) {
+      return res.status(401).json({ message: 'Login challenge expired. Please sign in again.' });
+    }
+
+    const user = await loadTwoFactorUser(challenge.userId);
+    if (!user) {
+      return res.status(401).json({ message: 'User not found' });
+    }
+
+    const refusal = enrollmentRefusal(user);
+    if (refusal) {
+      return res.status(400).json({ message: refusal });
+    }
+
+    if (user.isLocked()) {
+      return lockedResponse(res, user);
+    }
+
+    const recoveryCodes = await completeEnrollment(user, code);
+    if (!recoveryCodes) {
+      // Wrong codes count towards the same lockout as wrong passwords
+      await user.registerFailedLogin({ ip: req.ip, userAgent: req.get('User-Agent') });
+      if (user.isLocked()) {
+        return lockedResponse(res, user);
       }
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    await user.resetFailedLogins();
+
+    const { token, refreshToken } = await createSession(user, req, { twoFactorVerified: true });
+
+    res.json({
+      message: 'Two-factor authentication enabled',
+      token,
+      refreshToken,
+      user: user.toProfile(),
+      recoveryCodes
     });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
@@ -83,19 +284,173 @@ router.post('/login', async (req, res) => {
 // Get current user
 router.get('/me', auth, async (req, res) => {
   res.json({
-    user: {
-      id: req.user._id,
-      name: req.user.name,
-      email: req.user.email,
-      role: req.user.role,
-      patientId: req.user.patientId
-    }
+    user: req.user.toProfile()
   });
 });
 
-// Logout (client-side will remove token)
-router.post('/logout', (req, res) => {
-  res.json({ message: 'Logout successful' });
+// Verify email address
+router.post('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.body;
+    if (!token) {
+      return res.status(400).json({ message: 'Token is required' });
+    }
+
+    const user = await User.findOne({
+      emailVerificationTokenHash: hashToken(token),
+      emailVerificationExpires: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({ message: 'Verification link is invalid or has expired' });
+    }
+
+    user.emailVerified = true;
+    user.emailVerificationTokenHash = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save();
+
+    res.json({ message: 'Email verified successfully', user: user.toProfile() });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Resend verification email
+router.post('/resend-verification', auth, async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+
+    await startEmailVerification(req.user);
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Request password reset
+router.post('/forgot-password', passwordResetLimiter, async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email) {
+      return res.status(400).json({ message: 'Email is required' });
+    }
+
+    const user = await User.findOne({ email });
+    if (user) {
+      // Not awaited, so neither the timing nor a mail failure gives away that the account exists
+      startPasswordReset(user).catch(error => console.error('Password reset email error:', error));
+    }
+
+    // Same answer either way so the endpoint can't be used to probe for accounts
+    res.json({ message: 'If an account exists for that email, a reset link has been sent' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Confirm password reset
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    if (!token || !password) {
+      return res.status(400).json({ message: 'Token and password are required' });
+    }
+
+    const user = await User.findOne({
+      passwordResetTokenHash: hashToken(token),
+      passwordResetExpires: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+    }
+
+    user.password = password;
+    user.passwordResetTokenHash = undefined;
+    user.passwordResetExpires = undefined;
+    // Receiving the reset link proves ownership of the address
+    user.emailVerified = true;
+    // A successful reset also lifts any login lock
+    user.failedLoginAttempts = 0;
+    user.lockUntil = undefined;
+    await user.save();
+
+    // Sign out everywhere in case the old password was compromised
+    await revokeAllSessions(user._id);
+
+    res.json({ message: 'Password reset successfully. Please log in with your new password.' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Refresh access token (rotates the refresh token)
+router.post('/refresh', async (req, res) => {
+  try {
+    const result = await rotateSession(req.body.refreshToken, req);
+    if (!result) {
+      return res.status(401).json({ message: 'Invalid refresh token' });
+    }
+
+    res.json({ token: result.token, refreshToken: result.refreshToken });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Logout (revokes the current session)
+router.post('/logout', auth, async (req, res) => {
+  try {
+    await revokeSession(req.user._id, req.authSession._id);
+    res.json({ message: 'Logout successful' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Logout of all devices
+router.post('/logout-all', auth, async (req, res) => {
+  try {
+    await revokeAllSessions(req.user._id);
+    res.json({ message: 'Logged out of all devices' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// List active sessions for the current user
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.user._id);
+    res.json({
+      sessions: sessions.map(session => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        current: session._id.equals(req.authSession._id)
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Revoke a single session
+router.delete('/sessions/:id', auth, async (req, res) => {
+  try {
+    const result = await revokeSession(req.user._id, req.params.id);
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
 });
 
 module.exports = router;
\ No newline at end of file
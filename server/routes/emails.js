@@ -0,0 +1,176 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const EmailTemplate = require('../models/EmailTemplate');
+const EmailDelivery = require('../models/EmailDelivery');
+const { auth, adminOnly } = require('../middleware/auth');
+const { EMAIL_EVENTS, getEmailEvent } = require('../config/emailTemplates');
+const { getTemplate, attemptDelivery } = require('../services/emailNotifications');
+
+const router = express.Router();
+
+// Deliveries shown in the log
+const LOG_LIMIT = 100;
+
+const placeholdersIn = (text) => [...text.matchAll(/\{\{\s*(\w+)\s*\}\}/g)].map(match => match[1]);
+
+// Which event emails the current user receives
+router.get('/preferences', auth, (req, res) => {
+  res.json({
+    events: EMAIL_EVENTS.map(event => ({
+      id: event.id,
+      label: event.label,
+      description: event.description,
+      enabled: req.user.wantsEmail(event.id)
+    }))
+  });
+});
+
+// Opt in or out of event emails, e.g. { preferences: { report_ready: false } }
+router.put('/preferences', auth, async (req, res) => {
+  try {
+    const preferences = req.body.preferences || {};
+    for (const [eventId, enabled] of Object.entries(preferences)) {
+      if (!getEmailEvent(eventId)) {
+        return res.status(400).json({ message: `Unknown email "${eventId}"` });
+      }
+      if (typeof enabled !== 'boolean') {
+        return res.status(400).json({ message: 'Preferences must be true or false' });
+      }
+      req.user.emailPreferences.set(eventId, enabled);
+    }
+    await req.user.save();
+
+    res.json({
+      message: 'Email preferences saved',
+      events: EMAIL_EVENTS.map(event => ({ id: event.id, enabled: req.user.wantsEmail(event.id) }))
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Email wording in use for every event, with the defaults (Admin only)
+router.get('/templates', auth, adminOnly, async (req, res) => {
+  try {
+    const overrides = await EmailTemplate.find();
+    const templates = await Promise.all(EMAIL_EVENTS.map(async (event) => {
+      const override = overrides.find(item => item.event === event.id);
+      return {
+        event: event.id,
+        label: event.label,
+        description: event.description,
+        placeholders: event.placeholders,
+        ...await getTemplate(event.id),
+        defaultSubject: event.subject,
+        defaultBody: event.body,
+        updatedByName: override?.updatedByName,
+        updatedAt: override?.updatedAt
+      };
+    }));
+
+    res.json({ templates });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Reword an event email (Admin only). Body { subject, body }.
+router.put('/templates/:event', auth, adminOnly, async (req, res) => {
+  try {
+    const event = getEmailEvent(req.params.event);
+    if (!event) {
+      return res.status(404).json({ message: 'Email template not found' });
+    }
+
+    const subject = req.body.subject?.trim();
+    const body = req.body.body?.trim();
+    if (!subject || !body) {
+      return res.status(400).json({ message: 'Subject and body are required' });
+    }
+
+    const unknown = placeholdersIn(`${subject}\n${body}`).filter(name => !event.placeholders.includes(name));
+    if (unknown.length > 0) {
+      return res.status(400).json({ message: `Unknown placeholder {{${unknown[0]}}}. Available: ${event.placeholders.join(', ')}` });
+    }
+
+    await EmailTemplate.findOneAndUpdate(
+      { event: event.id },
+      { subject, body, updatedBy: req.user._id, updatedByName: req.user.name },
+      { upsert: true, new: true, runValidators: true }
+    );
+
+    res.json({ message: `"${event.label}" email saved`, template: await getTemplate(event.id) });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Go back to the default wording (Admin only)
+router.delete('/templates/:event', auth, adminOnly, async (req, res) => {
+  try {
+    const event = getEmailEvent(req.params.event);
+    if (!event) {
+      return res.status(404).json({ message: 'Email template not found' });
+    }
+
+    await EmailTemplate.deleteOne({ event: event.id });
+    res.json({ message: `"${event.label}" email reset to the default`, template: await getTemplate(event.id) });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Latest event emails, newest first, optionally ?status=failed&event=report_ready (Admin only)
+router.get('/deliveries', auth, adminOnly, async (req, res) => {
+  try {
+    const { status, event } = req.query;
+    const filter = {};
+
+    if (status) {
+      if (!EmailDelivery.DELIVERY_STATUSES.includes(status)) {
+        return res.status(400).json({ message: `Unknown status "${status}"` });
+      }
+      filter.status = status;
+    }
+    if (event) {
+      if (!getEmailEvent(event)) {
+        return res.status(400).json({ message: `Unknown email "${event}"` });
+      }
+      filter.event = event;
+    }
+
+    const deliveries = await EmailDelivery.find(filter)
+      .select('-text -html')
+      .sort({ createdAt: -1 })
+      .limit(LOG_LIMIT);
+
+    res.json({ deliveries });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Send a failed email again now instead of waiting for the next retry (Admin only)
+router.post('/deliveries/:id/retry', auth, adminOnly, async (req, res) => {
+  try {
+    const delivery = mongoose.isValidObjectId(req.params.id) && await EmailDelivery.findById(req.params.id);
+    if (!delivery) {
+      return res.status(404).json({ message: 'Delivery not found' });
+    }
+    if (delivery.status !== 'failed') {
+      return res.status(409).json({ message: `Only failed emails can be retried; this one is ${delivery.status}` });
+    }
+
+    await attemptDelivery(delivery);
+    const { text, html, ...summary } = delivery.toObject();
+
+    res.json({
+      message: delivery.status === 'sent' ? 'Email sent' : `Sending failed again: ${delivery.lastError}`,
+      delivery: summary
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,181 @@
+const express = require('express');
+const Invite = require('../models/Invite');
+const User = require('../models/User');
+const { auth, adminOnly } = require('../middleware/auth');
+const { generateToken, hashToken } = require('../services/tokens');
+const { createSession } = require('../services/sessions');
+const { sendInviteEmail } = require('../services/accountEmails');
+
+const router = express.Router();
+
+const INVITE_TTL_HOURS = Number(process.env.INVITE_TTL_HOURS) || 72;
+
+const inviteStatus = (invite) => {
+  if (invite.acceptedAt) return 'accepted';
+  if (invite.revokedAt) return 'revoked';
+  if (invite.expiresAt <= new Date()) return 'expired';
+  return 'pending';
+};
+
+const serializeInvite = (invite) => ({
+  id: invite._id,
+  email: invite.email,
+  role: invite.role,
+  status: inviteStatus(invite),
+  expiresAt: invite.expiresAt,
+  createdAt: invite.createdAt
+});
+
+// Create invite (Admin only)
+router.post('/', auth, adminOnly, async (req, res) => {
+  try {
+    const { email, role } = req.body;
+
+    if (typeof email !== 'string' || !email.trim()) {
+      return res.status(400).json({ message: 'Email is required' });
+    }
+    if (!Invite.schema.path('role').enumValues.includes(role)) {
+      return res.status(400).json({ message: 'Role must be admin or dentist' });
+    }
+
+    const existingUser = await User.findOne({ email: email.trim().toLowerCase() });
+    if (existingUser) {
+      return res.status(400).json({ message: 'User already exists' });
+    }
+
+    const token = generateToken();
+    const invite = await Invite.create({
+      email,
+      role,
+      tokenHash: hashToken(token),
+      invitedBy: req.user._id,
+      expiresAt: new Date(Date.now() + INVITE_TTL_HOURS * 60 * 60 * 1000)
+    });
+
+    const inviteUrl = `${process.env.FRONTEND_URL || ''}/accept-invite?token=${token}`;
+
+    let emailSent = true;
+    try {
+      await sendInviteEmail(invite.email, invite.role, inviteUrl);
+    } catch (error) {
+      console.error('Invite email error:', error);
+      emailSent = false;
+    }
+
+    // The raw token is returned once so the admin can also share the link directly
+    res.status(201).json({
+      message: emailSent ? 'Invite created and emailed' : 'Invite created, but the email could not be sent',
+      invite: serializeInvite(invite),
+      inviteUrl
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// List invites (Admin only)
+router.get('/', auth, adminOnly, async (req, res) => {
+  try {
+    const invites = await Invite.find().sort({ createdAt: -1 });
+    res.json({ invites: invites.map(serializeInvite) });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Revoke invite (Admin only)
+router.delete('/:id', auth, adminOnly, async (req, res) => {
+  try {
+    const invite = await Invite.findOneAndUpdate(
+      { _id: req.params.id, acceptedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+
+    if (!invite) {
+      return res.status(404).json({ message: 'Invite not found' });
+    }
+
+    res.json({ message: 'Invite revoked', invite: serializeInvite(invite) });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Look up an invite by token (public, used by the accept-invite page)
+router.get('/token/:token', async (req, res) => {
+  try {
+    const invite = await Invite.findOne({ tokenHash: hashToken(req.params.token) });
+
+    if (!invite || !invite.isUsable()) {
+      return res.status(404).json({ message: 'Invite is invalid or has expired' });
+    }
+
+    res.json({ invite: { email: invite.email, role: invite.role, expiresAt: invite.expiresAt } });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Accept invite and create the staff account (public)
+router.post('/token/:token/accept', async (req, res) => {
+  try {
+    const { name, password } = req.body;
+
+    if (!name || !password) {
+      return res.status(400).json({ message: 'Name and password are required' });
+    }
+
+    const tokenHash = hashToken(req.params.token);
+    const pending = await Invite.findOne({ tokenHash });
+    if (!pending || !pending.isUsable()) {
+      return res.status(404).json({ message: 'Invite is invalid or has expired' });
+    }
+
+    const existingUser = await User.findOne({ email: pending.email });
+    if (existingUser) {
+      return res.status(400).json({ message: 'User already exists' });
+    }
+
+    // Claim the invite atomically so it can only be used once
+    const invite = await Invite.findOneAndUpdate(
+      { _id: pending._id, acceptedAt: null, revokedAt: null, expiresAt: { $gt: new Date() } },
+      { acceptedAt: new Date() },
+      { new: true }
+    );
+
+    if (!invite) {
+      return res.status(404).json({ message: 'Invite is invalid or has expired' });
+    }
+
+    let user;
+    try {
+      // The invite link was delivered to this address, so it counts as verified
+      user = new User({ name, email: invite.email, password, role: invite.role, emailVerified: true });
+      await user.save();
+    } catch (error) {
+      // Release the invite so it can be retried
+      await Invite.updateOne({ _id: invite._id }, { $unset: { acceptedAt: 1 } });
+      throw error;
+    }
+
+    invite.acceptedBy = user._id;
+    await invite.save();
+
+    const { token, refreshToken } = await createSession(user, req);
+
+    res.status(201).json({
+      message: 'Invite accepted successfully',
+      token,
+      refreshToken,
+      user: user.toProfile()
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,136 @@
+const express = require('express');
+const path = require('path');
+const Submission = require('../models/Submission');
+const Message = require('../models/Message');
+const { auth } = require('../middleware/auth');
+const { imageUpload, uniqueFilename } = require('../middleware/upload');
+const storage = require('../storage');
+const { messagePosted } = require('../services/notifications');
+
+// Message threads live under /api/submissions next to the submission routes
+const router = express.Router();
+
+const MAX_ATTACHMENTS = 4;
+
+// Load the submission of a thread, answering 404/403 the same way as GET /api/submissions/:id
+const loadSubmission = async (req, res) => {
+  const submission = await Submission.findById(req.params.id);
+  if (!submission) {
+    res.status(404).json({ message: 'Submission not found' });
+    return null;
+  }
+  if (!submission.isVisibleTo(req.user)) {
+    res.status(403).json({ message: 'Access denied' });
+    return null;
+  }
+  return submission;
+};
+
+// Message as sent to the client, with whether the caller has read it
+const toResponse = (message, user) => {
+  const { readBy, ...rest } = message.toObject();
+  return { ...rest, read: readBy.some(id => id.toString() === user._id.toString()) };
+};
+
+// Unread message counts per submission. Patients count their own cases,
+// dentists the cases assigned to them and clinic admins every case.
+router.get('/messages/unread', auth, async (req, res) => {
+  try {
+    const match = { readBy: { $ne: req.user._id } };
+
+    if (req.user.role !== 'admin') {
+      const scope = req.user.isStaff() ? { assignedTo: req.user._id } : { userId: req.user._id };
+      const submissions = await Submission.find(scope).select('_id');
+      match.submissionId = { $in: submissions.map(submission => submission._id) };
+    }
+
+    const counts = await Message.aggregate([
+      { $match: match },
+      { $group: { _id: '$submissionId', count: { $sum: 1 } } }
+    ]);
+
+    res.json({
+      total: counts.reduce((sum, entry) => sum + entry.count, 0),
+      submissions: Object.fromEntries(counts.map(entry => [entry._id.toString(), entry.count]))
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Messages of one submission, oldest first
+router.get('/:id/messages', auth, async (req, res) => {
+  try {
+    const submission = await loadSubmission(req, res);
+    if (!submission) return;
+
+    const messages = await Message.find({ submissionId: submission._id }).sort({ createdAt: 1 });
+
+    res.json({
+      messages: messages.map(message => toResponse(message, req.user)),
+      unread: messages.filter(message => !message.readBy.some(id => id.equals(req.user._id))).length
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Post a message: multipart with a `body` field and up to four image `attachments`
+router.post('/:id/messages', auth, imageUpload.array('attachments', MAX_ATTACHMENTS), async (req, res) => {
+  try {
+    const submission = await loadSubmission(req, res);
+    if (!submission) return;
+
+    const body = req.body.body?.trim();
+    const files = req.files || [];
+    if (!body && files.length === 0) {
+      return res.status(400).json({ message: 'Write a message or attach an image' });
+    }
+    if (body && body.length > Message.MAX_BODY_LENGTH) {
+      return res.status(400).json({ message: `Messages can be at most ${Message.MAX_BODY_LENGTH} characters` });
+    }
+
+    const attachments = await Promise.all(files.map(async (file) => {
+      const stored = await storage.save(file.buffer, {
+        folder: 'messages',
+        filename: uniqueFilename(),
+        extension: path.extname(file.originalname).slice(1).toLowerCase()
+      });
+      return { url: stored.url, key: stored.key, filename: file.originalname };
+    }));
+
+    const message = await Message.create({
+      submissionId: submission._id,
+      sender: req.user._id,
+      senderName: req.user.name,
+      senderRole: req.user.role,
+      body,
+      attachments,
+      readBy: [req.user._id]
+    });
+    messagePosted(submission, message, req.user);
+
+    res.status(201).json({ message: 'Message sent', sent: toResponse(message, req.user) });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Mark every message of the thread as read by the caller
+router.post('/:id/messages/read', auth, async (req, res) => {
+  try {
+    const submission = await loadSubmission(req, res);
+    if (!submission) return;
+
+    const result = await Message.updateMany(
+      { submissionId: submission._id, readBy: { $ne: req.user._id } },
+      { $addToSet: { readBy: req.user._id } }
+    );
+
+    res.json({ message: 'Messages marked as read', updated: result.modifiedCount });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,105 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { auth } = require('../middleware/auth');
+const { isTwoFactorRequired } = require('../services/twoFactor');
+const { createStreamTicket, verifyStreamTicket, openStream } = require('../services/events');
+
+const router = express.Router();
+
+// Notifications kept in the bell list
+const LIST_LIMIT = 50;
+
+// Latest notifications of the current user, newest first, with the unread count
+router.get('/', auth, async (req, res) => {
+  try {
+    const [notifications, unread] = await Promise.all([
+      Notification.find({ user: req.user._id }).sort({ createdAt: -1 }).limit(LIST_LIMIT),
+      Notification.countDocuments({ user: req.user._id, readAt: null })
+    ]);
+
+    res.json({ notifications, unread });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+router.post('/read-all', auth, async (req, res) => {
+  try {
+    await Notification.updateMany({ user: req.user._id, readAt: null }, { $set: { readAt: new Date() } });
+    res.json({ message: 'All notifications marked as read' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Mark one notification read, or unread again with body { read: false }
+router.post('/:id/read', auth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id },
+      { $set: { readAt: req.body?.read === false ? null : new Date() } },
+      { new: true }
+    );
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    res.json({ notification });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Short-lived ticket for opening the event stream
+router.post('/stream/ticket', auth, (req, res) => {
+  res.json({ ticket: createStreamTicket(req.user, req.authSession) });
+});
+
+// Why the ticket's session can't listen, as { status, message, code }, or the
+// user when it can. Same checks as the auth middleware, so revoked sessions can't listen in.
+const streamAccess = async ({ sessionId, userId }) => {
+  const session = await Session.findById(sessionId);
+  if (!session || !session.isActive()) {
+    return { error: { status: 401, message: 'Session has been revoked' } };
+  }
+  const user = await User.findById(userId).select('-password');
+  if (!user) {
+    return { error: { status: 401, message: 'User not found' } };
+  }
+  if ((user.twoFactorEnabled || isTwoFactorRequired(user)) && !session.twoFactorVerified) {
+    return { error: { status: 401, message: 'Two-factor authentication required', code: 'TWO_FACTOR_REQUIRED' } };
+  }
+  return { user, session };
+};
+
+// Server-sent events for the current user: "notification", "submission"
+// (a case in one of their lists changed) and "message" (new thread message).
+// Case events carry ids and status only; clients load the details through the API.
+// Authenticated with ?ticket= since EventSource can't send headers, and
+// checked again on every heartbeat.
+router.get('/stream', async (req, res) => {
+  try {
+    const decoded = verifyStreamTicket(req.query.ticket);
+    if (!decoded) {
+      return res.status(401).json({ message: 'Invalid or expired stream ticket' });
+    }
+
+    const { user, session, error } = await streamAccess(decoded);
+    if (error) {
+      return res.status(error.status).json({ message: error.message, code: error.code });
+    }
+
+    openStream(user, session, req, res, async () => !(await streamAccess(decoded)).error);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,87 +1,109 @@
 const express = require('express');
-const multer = require('multer');
+const mongoose = require('mongoose');
 const path = require('path');
-const PDFDocument = require('pdfkit');
-const cloudinary = require('cloudinary').v2;
-const { CloudinaryStorage } = require('multer-storage-cloudinary');
+const { once } = require('events');
+const archiver = require('archiver');
 const Submission = require('../models/Submission');
-const { auth, adminOnly } = require('../middleware/auth');
+const User = require('../models/User');
+const AnnotationRevision = require('../models/AnnotationRevision');
+const { auth, adminOnly, staffOnly } = require('../middleware/auth');
+const { imageUpload, uniqueFilename } = require('../middleware/upload');
+const storage = require('../storage');
+const { renderReport, listTemplates } = require('../reports');
+const { CONDITIONS, SEVERITIES } = require('../config/conditions');
+const {
+  COORDINATE_SPACE,
+  validateAnnotationData,
+  measureAnnotations,
+  withShapeIds,
+  diffShapes
+} = require('../services/annotations');
+const { recordRevision, onCurrentImage } = require('../services/revisions');
+const { renderAnnotatedImage, getImageSize } = require('../services/annotationRenderer');
+const { buildCocoDataset, withoutImages, parseCocoImport } = require('../services/coco');
+const { nextDentist, assignTo, autoAssign } = require('../services/assignment');
+const { dateRange, encodeCursor, buildListQuery } = require('../services/submissionQuery');
+const {
+  STATUS_LABELS,
+  TRANSITIONS,
+  ENTRY_ROLES,
+  ENTRY_ENDPOINTS,
+  REASON_REQUIRED,
+  checkTransition,
+  applyTransition,
+  startLifecycle
+} = require('../services/submissionStatus');
+const { statusChanged, submissionReceived, caseAssigned } = require('../services/notifications');
 
 const router = express.Router();
 
-// Configure Cloudinary
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET
-});
+// Burn the shapes into a full-resolution copy of the original and store it
+const renderAndStore = async (original, annotationData, { submissionId, view }) => {
+  const rendered = await renderAnnotatedImage(original, annotationData);
+  const uploadResult = await storage.save(rendered.buffer, {
+    folder: 'annotated',
+    filename: `annotated-${submissionId}-${view}-${uniqueFilename()}`,
+    extension: 'jpg'
+  });
+  return { rendered, uploadResult };
+};
 
-// Configure multer with Cloudinary storage
-const storage = new CloudinaryStorage({
-  cloudinary: cloudinary,
-  params: {
-    folder: 'oralvis/images',
-    allowed_formats: ['jpg', 'jpeg', 'png'],
+// One file field per view; the legacy "image" field is treated as the front view
+const uploadViews = imageUpload.fields([
+  ...Submission.VIEW_TYPES.map(view => ({ name: view, maxCount: 1 })),
+  { name: 'image', maxCount: 1 }
+]);
+
+// Uploaded files as [{ view, file }] in view order
+const uploadedViews = (files = {}) => Submission.VIEW_TYPES
+  .map(view => ({ view, file: files[view]?.[0] || (view === 'front' ? files.image?.[0] : null) }))
+  .filter(entry => entry.file);
+
+// Store each uploaded photo and return { view, originalImageUrl, originalImagePublicId }
+const storeViewImages = (uploads) => Promise.all(uploads.map(async ({ view, file }) => {
+  const extension = path.extname(file.originalname).slice(1).toLowerCase();
+  const stored = await storage.save(file.buffer, {
+    folder: 'images',
+    filename: uniqueFilename(),
+    extension,
     transformation: [{ width: 1000, height: 1000, crop: 'limit', quality: 'auto' }]
-  }
-});
+  });
 
-const upload = multer({
-  storage: storage,
-  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
-  fileFilter: (req, file, cb) => {
-    const allowedTypes = /jpeg|jpg|png/;
-    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-    const mimetype = allowedTypes.test(file.mimetype);
-    
-    if (mimetype && extname) {
-      return cb(null, true);
-    } else {
-      cb(new Error('Only image files are allowed'));
-    }
-  }
-});
+  console.log(`Original ${view} image stored:`, stored.url);
 
-// Helper function to upload buffer to Cloudinary
-const uploadBufferToCloudinary = (buffer, folder, filename) => {
-  return new Promise((resolve, reject) => {
-    const uploadStream = cloudinary.uploader.upload_stream(
-      {
-        folder: `oralvis/${folder}`,
-        public_id: filename,
-        resource_type: 'auto'
-      },
-      (error, result) => {
-        if (error) reject(error);
-        else resolve(result);
-      }
-    );
-    uploadStream.end(buffer);
-  });
-};
+  return {
+    view,
+    originalImageUrl: stored.url,
+    originalImagePublicId: stored.key
+  };
+}));
 
-// Create submission (Patient) - Upload to Cloudinary
-router.post('/', auth, upload.single('image'), async (req, res) => {
+// Create submission (Patient) - Upload each view to configured storage
+router.post('/', auth, uploadViews, async (req, res) => {
   try {
     const { patientName, patientId, email, note } = req.body;
-    
-    if (!req.file) {
-      return res.status(400).json({ message: 'Image is required' });
+
+    const uploads = uploadedViews(req.files);
+    if (uploads.length === 0) {
+      return res.status(400).json({ message: 'At least one image is required' });
     }
 
-    console.log('Cloudinary upload result:', req.file);
+    const views = await storeViewImages(uploads);
 
     const submission = new Submission({
       patientId,
       patientName,
       email,
       note,
-      originalImageUrl: req.file.path,
-      originalImagePublicId: req.file.public_id,
+      views,
       userId: req.user._id
     });
+    startLifecycle(submission, req.user);
+    await autoAssign(submission);
 
     await submission.save();
+    caseAssigned(submission, req.user);
+    submissionReceived(submission);
 
     res.status(201).json({
       message: 'Submission created successfully',
@@ -93,24 +115,129 @@ router.post('/', auth, upload.single('image'), async (req, res) => {
   }
 });
 
-// Get submissions (Role-based access)
+// Get submissions (Role-based access), one page at a time. Staff pick a queue
+// with ?assignee=me|unassigned|all|<dentistId>; dentists default to their own
+// cases, clinic admins to everything. Filters, search and sort are described
+// in services/submissionQuery.js. The first page also carries the total.
 router.get('/', auth, async (req, res) => {
   try {
-    let submissions;
-    
-    if (req.user.role === 'admin') {
-      submissions = await Submission.find().sort({ createdAt: -1 });
-    } else {
-      submissions = await Submission.find({ userId: req.user._id }).sort({ createdAt: -1 });
+    const query = buildListQuery(req.query, req.user);
+    if (query.error) {
+      return res.status(400).json({ message: query.error });
     }
 
-    res.json({ submissions });
+    // One extra document tells whether there is another page
+    const [found, total] = await Promise.all([
+      Submission.find(query.filter).sort(query.mongoSort).limit(query.limit + 1),
+      req.query.cursor ? undefined : Submission.countDocuments(query.filter)
+    ]);
+    const submissions = found.slice(0, query.limit);
+    const nextCursor = found.length > query.limit ? encodeCursor(submissions[submissions.length - 1], query.sort) : null;
+
+    res.json({ submissions, nextCursor, total });
   } catch (error) {
     console.error('Get submissions error:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
+// Dentists with their number of open (not yet reported or closed) cases (Admin only)
+router.get('/dentists', auth, adminOnly, async (req, res) => {
+  try {
+    const dentists = await User.find({ role: 'dentist' }).select('name email').sort({ name: 1 });
+    const counts = await Submission.aggregate([
+      { $match: { assignedTo: { $in: dentists.map(dentist => dentist._id) }, status: { $nin: ['reported', 'closed'] } } },
+      { $group: { _id: '$assignedTo', count: { $sum: 1 } } }
+    ]);
+
+    res.json({
+      dentists: dentists.map(dentist => ({
+        _id: dentist._id,
+        name: dentist.name,
+        email: dentist.email,
+        openCases: counts.find(entry => entry._id.equals(dentist._id))?.count || 0
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// List available report templates (Staff only)
+router.get('/report-templates', auth, staffOnly, (req, res) => {
+  res.json({ templates: listTemplates() });
+});
+
+// Case lifecycle: statuses, allowed moves and who may make them
+router.get('/statuses', auth, (req, res) => {
+  res.json({
+    statuses: Submission.STATUSES.map(id => ({ id, label: STATUS_LABELS[id] })),
+    transitions: TRANSITIONS,
+    entryRoles: ENTRY_ROLES,
+    entryEndpoints: ENTRY_ENDPOINTS,
+    reasonRequired: REASON_REQUIRED
+  });
+});
+
+// Clinical findings catalog used to tag annotations
+router.get('/conditions', auth, (req, res) => {
+  res.json({ conditions: CONDITIONS, severities: SEVERITIES });
+});
+
+// Export annotated views as a COCO-style dataset (Admin only), optionally
+// filtered by status and upload date, e.g. ?status=reported&from=2025-01-01&to=2025-06-30
+router.get('/export/coco', auth, adminOnly, async (req, res) => {
+  try {
+    const { status, from, to } = req.query;
+    const filter = {};
+
+    if (status) {
+      if (!Submission.STATUSES.includes(status)) {
+        return res.status(400).json({ message: `Unknown status "${status}"` });
+      }
+      filter.status = status;
+    }
+
+    const { range, error } = dateRange(from, to);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    if (range) filter.createdAt = range;
+
+    const submissions = await Submission.find(filter).sort({ createdAt: 1 });
+    const { dataset, files } = buildCocoDataset(submissions);
+
+    // Zip of images/<file_name> plus annotations.json, streamed one photo at a time
+    const archive = archiver('zip');
+    archive.on('error', (archiveError) => res.destroy(archiveError));
+    res.attachment(`oralvis-coco-${new Date().toISOString().slice(0, 10)}.zip`);
+    archive.pipe(res);
+
+    // Photos that can't be read are left out of the dataset rather than failing the export
+    const missing = [];
+    for (const file of files) {
+      let buffer;
+      try {
+        buffer = await storage.read({ url: file.url, key: file.key });
+      } catch (readError) {
+        console.error(`COCO export: skipping ${file.name}:`, readError.message);
+        missing.push(file.imageId);
+        continue;
+      }
+      const written = once(archive, 'entry');
+      archive.append(buffer, { name: `images/${file.name}` });
+      await written;
+    }
+
+    archive.append(JSON.stringify(withoutImages(dataset, missing), null, 2), { name: 'annotations.json' });
+    await archive.finalize();
+  } catch (error) {
+    // Once the zip has started there is no way left to report the error but to cut the download short
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
 // Get single submission
 router.get('/:id', auth, async (req, res) => {
   try {
@@ -121,7 +248,7 @@ router.get('/:id', auth, async (req, res) => {
     }
 
     // Check access rights
-    if (req.user.role !== 'admin' && submission.userId.toString() !== req.user._id.toString()) {
+    if (!submission.isVisibleTo(req.user)) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
@@ -131,65 +258,245 @@ router.get('/:id', auth, async (req, res) => {
   }
 });
 
-// Save annotation (Admin only) - Upload annotated image to Cloudinary
-router.put('/:id/annotate', auth, adminOnly, async (req, res) => {
+// Move a case through its lifecycle (Staff only). Body { status, reason };
+// moves the state machine doesn't allow get a 409.
+router.post('/:id/status', auth, staffOnly, async (req, res) => {
+  try {
+    const { status, reason } = req.body;
+    if (!status) {
+      return res.status(400).json({ message: 'Status is required' });
+    }
+
+    const submission = await Submission.findById(req.params.id);
+    if (!submission) {
+      return res.status(404).json({ message: 'Submission not found' });
+    }
+
+    // Retakes carry guidance and the views to redo, and reports need their PDF,
+    // so those moves have their own endpoints
+    if (Object.hasOwn(ENTRY_ENDPOINTS, status)) {
+      return res.status(400).json({ message: `Move a case to ${STATUS_LABELS[status].toLowerCase()} with ${ENTRY_ENDPOINTS[status]}` });
+    }
+
+    if (submission.status === status) {
+      return res.status(409).json({ message: `Case is already ${STATUS_LABELS[status].toLowerCase()}`, code: 'INVALID_TRANSITION' });
+    }
+
+    const denied = checkTransition(submission, status, req.user, reason);
+    if (denied) {
+      return res.status(denied.status).json({ message: denied.message, code: denied.code });
+    }
+
+    applyTransition(submission, status, req.user, reason);
+    await submission.save();
+    statusChanged(submission, req.user);
+
+    res.json({ message: `Case moved to ${STATUS_LABELS[status].toLowerCase()}`, submission });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Ask the patient to photograph some views again (Staff only).
+// Body { reason, guidance, views }; views defaults to every view of the case.
+router.post('/:id/retake-request', auth, staffOnly, async (req, res) => {
+  try {
+    const { reason, guidance } = req.body;
+
+    const submission = await Submission.findById(req.params.id);
+    if (!submission) {
+      return res.status(404).json({ message: 'Submission not found' });
+    }
+
+    const views = req.body.views?.length ? req.body.views : submission.views.map(entry => entry.view);
+    if (!Array.isArray(views) || views.some(view => !submission.getView(view))) {
+      return res.status(400).json({ message: `views must list views of this submission (${submission.views.map(entry => entry.view).join(', ')})` });
+    }
+
+    const denied = checkTransition(submission, 'needs_retake', req.user, reason);
+    if (denied) {
+      return res.status(denied.status).json({ message: denied.message, code: denied.code });
+    }
+
+    submission.retakeRequests.push({
+      reason: reason.trim(),
+      guidance: guidance?.trim() || undefined,
+      views,
+      requestedBy: req.user._id,
+      requestedByName: req.user.name
+    });
+    applyTransition(submission, 'needs_retake', req.user, reason);
+    await submission.save();
+    statusChanged(submission, req.user);
+
+    res.json({ message: 'Retake requested from the patient', submission });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Upload a requested retake (Patient who owns the case). Same file fields as
+// creating a submission; each photo supersedes the current one of its view.
+router.post('/:id/retake', auth, uploadViews, async (req, res) => {
+  try {
+    const submission = await Submission.findById(req.params.id);
+    if (!submission) {
+      return res.status(404).json({ message: 'Submission not found' });
+    }
+
+    if (submission.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const request = submission.openRetakeRequest();
+    const denied = checkTransition(submission, 'submitted', req.user);
+    if (!request || submission.status !== 'needs_retake' || denied) {
+      return res.status(409).json({ message: 'No retake has been requested for this submission', code: 'INVALID_TRANSITION' });
+    }
+
+    const uploads = uploadedViews(req.files);
+    if (uploads.length === 0) {
+      return res.status(400).json({ message: 'At least one image is required' });
+    }
+
+    // Requests made without views (before they defaulted to every view) ask for all of them
+    const requested = request.views.length > 0 ? request.views : submission.views.map(entry => entry.view);
+    const missing = requested.filter(view => !uploads.some(upload => upload.view === view));
+    if (missing.length > 0) {
+      return res.status(400).json({ message: `Please retake the ${missing.join(', ')} view${missing.length > 1 ? 's' : ''}` });
+    }
+
+    const stored = await storeViewImages(uploads);
+    stored.forEach(({ view, ...image }) => submission.replaceViewImage(view, image));
+
+    request.fulfilledAt = new Date();
+    applyTransition(submission, 'submitted', req.user, `Retake uploaded (${uploads.map(upload => upload.view).join(', ')})`);
+    await submission.save();
+    statusChanged(submission, req.user);
+
+    res.json({ message: 'Retake uploaded successfully', submission });
+  } catch (error) {
+    console.error('Retake upload error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Assign or reassign a case (Admin only). Body { dentistId }: a dentist's id,
+// "round-robin" for the next dentist in rotation, or null to unassign
+router.put('/:id/assign', auth, adminOnly, async (req, res) => {
+  try {
+    const { dentistId } = req.body;
+    if (dentistId === undefined) {
+      return res.status(400).json({ message: 'dentistId is required (null to unassign)' });
+    }
+
+    const submission = await Submission.findById(req.params.id);
+    if (!submission) {
+      return res.status(404).json({ message: 'Submission not found' });
+    }
+
+    let dentist = null;
+    if (dentistId === 'round-robin') {
+      dentist = await nextDentist();
+      if (!dentist) {
+        return res.status(400).json({ message: 'There are no dentists to assign to' });
+      }
+    } else if (dentistId !== null) {
+      dentist = mongoose.isValidObjectId(dentistId) && await User.findOne({ _id: dentistId, role: 'dentist' });
+      if (!dentist) {
+        return res.status(400).json({ message: 'Dentist not found' });
+      }
+    }
+
+    const previousAssignee = submission.assignedTo;
+    assignTo(submission, dentist);
+    await submission.save();
+    caseAssigned(submission, req.user, previousAssignee);
+
+    res.json({
+      message: dentist ? `Case assigned to ${dentist.name}` : 'Case unassigned',
+      submission
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Save annotation (Staff only) - vector data only; the annotated image is rendered here
+router.put('/:id/annotate', auth, staffOnly, async (req, res) => {
   try {
-    const { annotationData, annotatedImageDataUrl } = req.body;
+    const { annotationData, view = 'front' } = req.body;
     
     console.log('Received annotation request:', {
+      view,
       hasAnnotationData: !!annotationData,
-      hasImageData: !!annotatedImageDataUrl,
       shapesCount: annotationData?.shapes?.length || 0
     });
 
+    if (req.body.annotatedImageDataUrl) {
+      return res.status(400).json({ message: 'Annotated images are rendered on the server; send annotationData only' });
+    }
+
     if (!annotationData) {
       return res.status(400).json({ message: 'Annotation data is required' });
     }
 
-    let annotatedImageUrl = null;
-    let annotatedImagePublicId = null;
-    
-    // Upload annotated image to Cloudinary
-    if (annotatedImageDataUrl) {
-      try {
-        // Convert base64 to buffer
-        const base64Data = annotatedImageDataUrl.replace(/^data:image\/[a-z]+;base64,/, '');
-        const buffer = Buffer.from(base64Data, 'base64');
-        
-        // Upload to Cloudinary
-        const filename = `annotated-${req.params.id}-${Date.now()}`;
-        const uploadResult = await uploadBufferToCloudinary(buffer, 'annotated', filename);
-        
-        annotatedImageUrl = uploadResult.secure_url;
-        annotatedImagePublicId = uploadResult.public_id;
-        
-        console.log('Annotated image uploaded to Cloudinary:', uploadResult.secure_url);
-        
-      } catch (error) {
-        console.error('Error uploading annotated image:', error);
-        return res.status(500).json({ message: 'Failed to upload annotated image' });
-      }
+    const annotationError = validateAnnotationData(annotationData);
+    if (annotationError) {
+      return res.status(400).json({ message: annotationError });
     }
 
-    // Update submission
-    const submission = await Submission.findByIdAndUpdate(
-      req.params.id,
-      {
-        annotationData,
-        annotatedImageUrl,
-        annotatedImagePublicId,
-        status: 'annotated'
-      },
-      { new: true }
-    );
-
+    const submission = await Submission.findById(req.params.id);
     if (!submission) {
       return res.status(404).json({ message: 'Submission not found' });
     }
 
+    const viewEntry = submission.getView(view);
+    if (!viewEntry) {
+      return res.status(400).json({ message: `Submission has no ${view} view` });
+    }
+
+    const denied = checkTransition(submission, 'annotated', req.user);
+    if (denied) {
+      return res.status(denied.status).json({ message: denied.message, code: denied.code });
+    }
+
+    let rendered;
+    let uploadResult;
+    try {
+      const original = await storage.read({
+        url: viewEntry.originalImageUrl,
+        key: viewEntry.originalImagePublicId
+      });
+      ({ rendered, uploadResult } = await renderAndStore(original, annotationData, { submissionId: req.params.id, view }));
+
+      console.log('Annotated image stored:', uploadResult.url);
+    } catch (error) {
+      console.error('Error rendering annotated image:', error);
+      return res.status(500).json({ message: 'Failed to render annotated image' });
+    }
+
+    // The server's view of the image size wins over whatever the client reported
+    const measured = measureAnnotations({
+      ...annotationData,
+      imageSize: { width: rendered.width, height: rendered.height }
+    });
+
+    // Keep this save as a new revision and make it the view's current annotation
+    const revision = await recordRevision(submission, viewEntry, {
+      annotationData: { ...measured, shapes: withShapeIds(measured.shapes) },
+      annotatedImageUrl: uploadResult.url,
+      annotatedImagePublicId: uploadResult.key,
+      author: req.user
+    });
+    const moved = applyTransition(submission, 'annotated', req.user);
+    await submission.save();
+    if (moved) statusChanged(submission, req.user);
+
     res.json({ 
       message: 'Annotation saved successfully', 
-      submission
+      submission,
+      revision: { _id: revision._id, number: revision.number }
     });
   } catch (error) {
     console.error('Annotation save error:', error);
@@ -197,236 +504,233 @@ router.put('/:id/annotate', auth, adminOnly, async (req, res) => {
   }
 });
 
-// Generate PDF report (Admin only) - Upload PDF to Cloudinary
-// Generate PDF report (Admin only) - Professional Dental Report
-router.post('/:id/generate-pdf', auth, adminOnly, async (req, res) => {
+// Load externally produced COCO annotations onto one view for review (Staff only).
+// They become the view's newest revision; the status is left for the doctor to move on.
+router.post('/:id/annotations/import', auth, staffOnly, async (req, res) => {
   try {
+    const { dataset, view = 'front', imageId } = req.body;
+
     const submission = await Submission.findById(req.params.id);
-    
     if (!submission) {
       return res.status(404).json({ message: 'Submission not found' });
     }
 
-    console.log('Generating Professional Dental Report for:', submission._id);
+    const viewEntry = submission.getView(view);
+    if (!viewEntry) {
+      return res.status(400).json({ message: `Submission has no ${view} view` });
+    }
 
-    // Create PDF with professional layout
-    const doc = new PDFDocument({ 
-      margin: 30,
-      size: 'A4'
-    });
-    
-    const chunks = [];
-    doc.on('data', (chunk) => chunks.push(chunk));
-    
-    const pdfBuffer = await new Promise((resolve, reject) => {
-      doc.on('end', () => resolve(Buffer.concat(chunks)));
-      doc.on('error', reject);
-
-      // Header with purple background
-      doc.rect(0, 0, 595, 100).fill('#8B5AD6');
-      
-      // Header text
-      doc.fontSize(28).fillColor('white').font('Helvetica-Bold');
-      doc.text('Oral Health Screening', 50, 25);
-      doc.fontSize(24);
-      doc.text('Report', 50, 55);
-
-      // Patient information section
-      doc.fillColor('black').fontSize(12).font('Helvetica');
-      
-      const currentDate = new Date().toLocaleDateString('en-US', { 
-        day: '2-digit', 
-        month: '2-digit', 
-        year: '2-digit' 
+    let original;
+    let imageSize;
+    try {
+      original = await storage.read({
+        url: viewEntry.originalImageUrl,
+        key: viewEntry.originalImagePublicId
       });
-      
-      // Patient info row
-      doc.text(`Name: ${submission.patientName}`, 50, 120);
-      doc.text(`Phone: ${submission.patientId}`, 200, 120);
-      doc.text(`Date: ${currentDate}`, 450, 120);
-
-      // Screening Report Section
-      doc.rect(30, 160, 535, 300).stroke('#E5E7EB');
-      doc.rect(30, 160, 535, 30).fill('#F3F4F6');
-      
-      doc.fillColor('black').fontSize(14).font('Helvetica-Bold');
-      doc.text('SCREENING REPORT:', 40, 172);
-
-      let imageY = 210;
-      let imageX = 50;
-      const imageWidth = 150;
-      const imageHeight = 120;
-
-      // Add original image (Upper Teeth)
-      if (submission.originalImageUrl) {
-        try {
-          doc.image(submission.originalImageUrl, imageX, imageY, { 
-            width: imageWidth, 
-            height: imageHeight,
-            fit: [imageWidth, imageHeight]
-          });
-          
-          // Upper Teeth label with red background
-          doc.rect(imageX + 25, imageY + imageHeight + 10, 100, 25).fill('#EF4444');
-          doc.fillColor('white').fontSize(12).font('Helvetica-Bold');
-          doc.text('Upper Teeth', imageX + 45, imageY + imageHeight + 18);
-          
-        } catch (error) {
-          console.error('Error adding original image:', error);
-          doc.rect(imageX, imageY, imageWidth, imageHeight).stroke();
-          doc.fillColor('gray').fontSize(10);
-          doc.text('Original Image', imageX + 50, imageY + 60);
-        }
-      }
+      imageSize = await getImageSize(original);
+    } catch (error) {
+      console.error('Error reading original image:', error);
+      return res.status(500).json({ message: 'Failed to read the original image' });
+    }
 
-      // Add annotated image (Front Teeth)
-      if (submission.annotatedImageUrl) {
-        try {
-          const frontImageX = imageX + imageWidth + 30;
-          doc.image(submission.annotatedImageUrl, frontImageX, imageY, { 
-            width: imageWidth, 
-            height: imageHeight,
-            fit: [imageWidth, imageHeight]
-          });
-          
-          // Front Teeth label with red background
-          doc.rect(frontImageX + 25, imageY + imageHeight + 10, 100, 25).fill('#EF4444');
-          doc.fillColor('white').fontSize(12).font('Helvetica-Bold');
-          doc.text('Front Teeth', frontImageX + 45, imageY + imageHeight + 18);
-          
-        } catch (error) {
-          console.error('Error adding annotated image:', error);
-          const frontImageX = imageX + imageWidth + 30;
-          doc.rect(frontImageX, imageY, imageWidth, imageHeight).stroke();
-          doc.fillColor('gray').fontSize(10);
-          doc.text('Annotated Image', frontImageX + 50, imageY + 60);
-        }
-      }
+    const { shapes, image, error: importError } = parseCocoImport(dataset, {
+      imageId,
+      submissionId: submission._id.toString(),
+      view,
+      imageSize
+    });
+    if (importError) {
+      return res.status(400).json({ message: importError });
+    }
 
-      // Add third image placeholder (Lower Teeth)
-      const lowerImageX = imageX + (imageWidth + 30) * 2;
-      if (lowerImageX + imageWidth <= 545) {
-        doc.rect(lowerImageX, imageY, imageWidth, imageHeight).stroke('#E5E7EB');
-        doc.fillColor('gray').fontSize(10);
-        doc.text('Lower Teeth', lowerImageX + 50, imageY + 60);
-        
-        // Lower Teeth label with red background
-        doc.rect(lowerImageX + 25, imageY + imageHeight + 10, 100, 25).fill('#EF4444');
-        doc.fillColor('white').fontSize(12).font('Helvetica-Bold');
-        doc.text('Lower Teeth', lowerImageX + 45, imageY + imageHeight + 18);
-      }
+    const annotationData = {
+      shapes,
+      coordinateSpace: COORDINATE_SPACE,
+      imageSize,
+      timestamp: new Date().toISOString(),
+      totalAnnotations: shapes.length
+    };
+    const annotationError = validateAnnotationData(annotationData);
+    if (annotationError) {
+      return res.status(400).json({ message: annotationError });
+    }
 
-      // Legend section
-      const legendY = imageY + imageHeight + 50;
-      doc.fillColor('black').fontSize(10).font('Helvetica');
-      
-      const legendItems = [
-        { color: '#8B4513', text: 'Inflamed / Red gums' },
-        { color: '#FFD700', text: 'Misaligned' },
-        { color: '#808080', text: 'Receded gums' },
-        { color: '#FF0000', text: 'Stains' },
-        { color: '#00FFFF', text: 'Attrition' },
-        { color: '#FF1493', text: 'Crowns' }
-      ];
-
-      legendItems.forEach((item, index) => {
-        const x = 50 + (index % 3) * 170;
-        const y = legendY + Math.floor(index / 3) * 20;
-        
-        // Color square
-        doc.rect(x, y, 12, 12).fill(item.color);
-        
-        // Text
-        doc.fillColor('black').text(item.text, x + 20, y + 2);
-      });
+    let rendered;
+    let uploadResult;
+    try {
+      ({ rendered, uploadResult } = await renderAndStore(original, annotationData, { submissionId: req.params.id, view }));
+    } catch (error) {
+      console.error('Error rendering annotated image:', error);
+      return res.status(500).json({ message: 'Failed to render annotated image' });
+    }
 
-      // Treatment Recommendations Section
-      const treatmentY = legendY + 80;
-      doc.fontSize(16).font('Helvetica-Bold').fillColor('#1F2937');
-      doc.text('TREATMENT RECOMMENDATIONS:', 50, treatmentY);
-
-      // Treatment list
-      const treatments = [
-        { color: '#8B4513', condition: 'Inflamed or Red gums', treatment: 'Scaling.' },
-        { color: '#FFD700', condition: 'Misaligned', treatment: 'Braces or Clear Aligner' },
-        { color: '#808080', condition: 'Receded gums', treatment: 'Gum Surgery.' },
-        { color: '#FF0000', condition: 'Stains', treatment: 'Teeth cleaning and polishing.' },
-        { color: '#00FFFF', condition: 'Attrition', treatment: 'Filling/ Night Guard.' },
-        { color: '#FF1493', condition: 'Crowns', treatment: 'If the crown is loose or broken, better get it checked. Teeth coloured caps are the best ones.' }
-      ];
-
-      let treatmentItemY = treatmentY + 30;
-      treatments.forEach((item, index) => {
-        // Color square
-        doc.rect(50, treatmentItemY, 12, 12).fill(item.color);
-        
-        // Condition name
-        doc.fillColor('black').fontSize(11).font('Helvetica-Bold');
-        doc.text(item.condition, 70, treatmentItemY + 1);
-        
-        // Treatment description
-        doc.fontSize(11).font('Helvetica');
-        doc.text(`: ${item.treatment}`, 70 + doc.widthOfString(item.condition), treatmentItemY + 1);
-        
-        treatmentItemY += 20;
-      });
+    const measured = measureAnnotations({
+      ...annotationData,
+      imageSize: { width: rendered.width, height: rendered.height }
+    });
+    const revision = await recordRevision(submission, viewEntry, {
+      annotationData: { ...measured, shapes: withShapeIds(measured.shapes) },
+      annotatedImageUrl: uploadResult.url,
+      annotatedImagePublicId: uploadResult.key,
+      author: req.user,
+      importedFrom: image.file_name || `image ${image.id}`
+    });
+    await submission.save();
 
-      // Add patient notes if available
-      if (submission.note) {
-        treatmentItemY += 20;
-        doc.fontSize(12).font('Helvetica-Bold').fillColor('#1F2937');
-        doc.text('PATIENT NOTES:', 50, treatmentItemY);
-        
-        doc.fontSize(11).font('Helvetica').fillColor('black');
-        doc.text(submission.note, 50, treatmentItemY + 20, { width: 500 });
-      }
+    res.json({
+      message: `Imported ${shapes.length} marking(s) as revision ${revision.number} for review`,
+      submission,
+      revision: { _id: revision._id, number: revision.number }
+    });
+  } catch (error) {
+    console.error('Annotation import error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
 
-      // Add annotation details if available
-      if (submission.annotationData && submission.annotationData.shapes && submission.annotationData.shapes.length > 0) {
-        treatmentItemY += (submission.note ? 60 : 40);
-        doc.fontSize(12).font('Helvetica-Bold').fillColor('#1F2937');
-        doc.text('DOCTOR\'S ANNOTATIONS:', 50, treatmentItemY);
-        
-        doc.fontSize(10).font('Helvetica').fillColor('black');
-        submission.annotationData.shapes.forEach((shape, index) => {
-          const annotationText = `${index + 1}. ${shape.type.charAt(0).toUpperCase() + shape.type.slice(1)} marking highlighted in ${shape.color}`;
-          doc.text(annotationText, 70, treatmentItemY + 20 + (index * 15));
-        });
-        
-        treatmentItemY += 20 + (submission.annotationData.shapes.length * 15) + 10;
-        doc.text(`Total annotations: ${submission.annotationData.shapes.length}`, 70, treatmentItemY);
-        doc.text(`Examined on: ${new Date(submission.annotationData.timestamp || submission.updatedAt).toLocaleDateString()}`, 70, treatmentItemY + 15);
-      }
+// List annotation revisions of one view, newest first (Staff only)
+router.get('/:id/revisions', auth, staffOnly, async (req, res) => {
+  try {
+    const { view = 'front' } = req.query;
+
+    const submission = await Submission.findById(req.params.id);
+    if (!submission) {
+      return res.status(404).json({ message: 'Submission not found' });
+    }
+
+    const revisions = await AnnotationRevision.find({ submissionId: submission._id, view })
+      .sort({ number: -1 });
+
+    // Shape lists can be long; the history only needs their size
+    res.json({
+      currentRevision: submission.getView(view)?.currentRevision || null,
+      imageVersion: submission.getView(view)?.imageVersion || 1,
+      revisions: revisions.map(revision => {
+        const { annotationData, ...summary } = revision.toObject();
+        return { ...summary, shapeCount: annotationData.shapes?.length || 0 };
+      })
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Shapes added, removed and changed between two revisions (Staff only)
+router.get('/:id/revisions/compare', auth, staffOnly, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    if (!from || !to) {
+      return res.status(400).json({ message: 'Both from and to revisions are required' });
+    }
+
+    const [fromRevision, toRevision] = await Promise.all([
+      AnnotationRevision.findOne({ _id: from, submissionId: req.params.id }),
+      AnnotationRevision.findOne({ _id: to, submissionId: req.params.id })
+    ]);
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({ message: 'Revision not found' });
+    }
+    if (fromRevision.view !== toRevision.view) {
+      return res.status(400).json({ message: 'Revisions belong to different views' });
+    }
+
+    res.json({
+      from: fromRevision.number,
+      to: toRevision.number,
+      ...diffShapes(fromRevision.annotationData.shapes || [], toRevision.annotationData.shapes || [])
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Restore an older revision by saving it again as the newest one (Staff only)
+router.post('/:id/revisions/:revisionId/restore', auth, staffOnly, async (req, res) => {
+  try {
+    const submission = await Submission.findById(req.params.id);
+    if (!submission) {
+      return res.status(404).json({ message: 'Submission not found' });
+    }
 
-      // Footer - Page number
-      const pageHeight = 842; // A4 height in points
-      doc.rect(250, pageHeight - 50, 95, 30).fill('#4A5568');
-      doc.fillColor('white').fontSize(12).font('Helvetica');
-      doc.text('Page   1   /   1', 268, pageHeight - 40);
-      
-      // Add small icons (simplified)
-      doc.fillColor('white').fontSize(10);
-      doc.text('—', 350, pageHeight - 40);
-      doc.text('🔍', 365, pageHeight - 42);
-      doc.text('+', 380, pageHeight - 40);
-
-      // Footer info
-      doc.fillColor('gray').fontSize(8);
-      doc.text(`Report ID: ${submission._id}`, 50, pageHeight - 30);
-      doc.text('Generated by OralVis Healthcare System', 50, pageHeight - 20);
-
-      doc.end();
+    const original = await AnnotationRevision.findOne({ _id: req.params.revisionId, submissionId: submission._id });
+    if (!original) {
+      return res.status(404).json({ message: 'Revision not found' });
+    }
+
+    const viewEntry = submission.getView(original.view);
+    if (!viewEntry) {
+      return res.status(400).json({ message: `Submission has no ${original.view} view` });
+    }
+
+    if (!onCurrentImage(original, viewEntry)) {
+      return res.status(409).json({ message: `Revision ${original.number} was drawn on an earlier photo of this view` });
+    }
+
+    const denied = checkTransition(submission, 'annotated', req.user);
+    if (denied) {
+      return res.status(denied.status).json({ message: denied.message, code: denied.code });
+    }
+
+    // The annotated image of that revision is still in storage, so it is reused as is
+    const revision = await recordRevision(submission, viewEntry, {
+      annotationData: { ...original.annotationData, timestamp: new Date().toISOString() },
+      annotatedImageUrl: original.annotatedImageUrl,
+      annotatedImagePublicId: original.annotatedImagePublicId,
+      author: req.user,
+      restoredFrom: original.number
     });
+    const moved = applyTransition(submission, 'annotated', req.user, `Restored revision ${original.number}`);
+    await submission.save();
+    if (moved) statusChanged(submission, req.user);
+
+    res.json({
+      message: `Revision ${original.number} restored as revision ${revision.number}`,
+      submission,
+      revision: { _id: revision._id, number: revision.number }
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
 
-    // Upload PDF to Cloudinary
-    const pdfFilename = `dental-report-${submission._id}-${Date.now()}`;
-    const pdfUploadResult = await uploadBufferToCloudinary(pdfBuffer, 'reports', pdfFilename);
+// Generate PDF report (Staff only) - Professional Dental Report
+router.post('/:id/generate-pdf', auth, staffOnly, async (req, res) => {
+  try {
+    const submission = await Submission.findById(req.params.id);
+    
+    if (!submission) {
+      return res.status(404).json({ message: 'Submission not found' });
+    }
+
+    const template = req.body?.template;
+    if (template && !listTemplates().some(entry => entry.name === template)) {
+      return res.status(400).json({ message: `Unknown report template "${template}"` });
+    }
+
+    // Regenerating keeps the case reported; otherwise this is the approval step
+    const denied = checkTransition(submission, 'reported', req.user);
+    if (denied) {
+      return res.status(denied.status).json({ message: denied.message, code: denied.code });
+    }
+
+    console.log('Generating Professional Dental Report for:', submission._id);
+
+    const pdfBuffer = await renderReport(submission, { template });
+
+    // Upload PDF to storage
+    const pdfFilename = `dental-report-${submission._id}-${uniqueFilename()}`;
+    const pdfUploadResult = await storage.save(pdfBuffer, {
+      folder: 'reports',
+      filename: pdfFilename,
+      extension: 'pdf'
+    });
 
     // Update submission
-    submission.reportPdfUrl = pdfUploadResult.secure_url;
-    submission.reportPdfPublicId = pdfUploadResult.public_id;
-    submission.status = 'reported';
+    submission.reportPdfUrl = pdfUploadResult.url;
+    submission.reportPdfPublicId = pdfUploadResult.key;
+    const moved = applyTransition(submission, 'reported', req.user, 'Report generated');
     await submission.save();
+    if (moved) statusChanged(submission, req.user);
 
     console.log('Professional Dental Report generated successfully');
 
@@ -450,7 +754,7 @@ router.get('/:id/download-pdf', auth, async (req, res) => {
     }
 
     // Check access rights
-    if (req.user.role !== 'admin' && submission.userId.toString() !== req.user._id.toString()) {
+    if (!submission.isVisibleTo(req.user)) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
@@ -458,7 +762,7 @@ router.get('/:id/download-pdf', auth, async (req, res) => {
       return res.status(404).json({ message: 'PDF not found' });
     }
 
-    // Redirect to Cloudinary URL for download
+    // Redirect to the stored file for download
     res.redirect(submission.reportPdfUrl);
   } catch (error) {
     console.error('PDF download error:', error);
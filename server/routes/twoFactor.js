@@ -0,0 +1,191 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { auth, adminOnly, lockedResponse } = require('../middleware/auth');
+const {
+  canUseTwoFactor,
+  isEnforcedByServer,
+  isTwoFactorRequired,
+  loadTwoFactorUser,
+  beginEnrollment,
+  completeEnrollment,
+  verifyUserCode,
+  setRecoveryCodes,
+  disableTwoFactor
+} = require('../services/twoFactor');
+
+const router = express.Router();
+
+const twoFactorEligible = (req, res, next) => {
+  if (!canUseTwoFactor(req.user)) {
+    return res.status(403).json({ message: 'Two-factor authentication is only available for staff accounts' });
+  }
+  next();
+};
+
+// Wrong codes count towards the same lockout as wrong passwords and login codes
+const rejectCode = async (req, res, user, message) => {
+  await user.registerFailedLogin({ ip: req.ip, userAgent: req.get('User-Agent') });
+  if (user.isLocked()) {
+    return lockedResponse(res, user);
+  }
+  return res.status(400).json({ message });
+};
+
+// Start enrollment: returns a QR code for the authenticator app
+router.post('/setup', auth, twoFactorEligible, async (req, res) => {
+  try {
+    const user = await loadTwoFactorUser(req.user._id);
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const enrollment = await beginEnrollment(user);
+    res.json(enrollment);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Confirm enrollment with a code from the app
+router.post('/enable', auth, twoFactorEligible, async (req, res) => {
+  try {
+    const user = await loadTwoFactorUser(req.user._id);
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    if (user.isLocked()) {
+      return lockedResponse(res, user);
+    }
+
+    const recoveryCodes = await completeEnrollment(user, req.body.code);
+    if (!recoveryCodes) {
+      return rejectCode(req, res, user, 'Invalid authentication code');
+    }
+    await user.resetFailedLogins();
+
+    // The code just proved possession, so this session stays valid
+    req.authSession.twoFactorVerified = true;
+    await req.authSession.save();
+
+    res.json({
+      message: 'Two-factor authentication enabled',
+      user: user.toProfile(),
+      recoveryCodes
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Turn off two-factor (requires password and a current code)
+router.post('/disable', auth, twoFactorEligible, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (isTwoFactorRequired(req.user)) {
+      return res.status(400).json({ message: 'Two-factor authentication is required for your account' });
+    }
+
+    const user = await loadTwoFactorUser(req.user._id).select('+password');
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (user.isLocked()) {
+      return lockedResponse(res, user);
+    }
+
+    const isMatch = typeof password === 'string' && await user.comparePassword(password);
+    if (!isMatch || !(await verifyUserCode(user, { code, recoveryCode }))) {
+      return rejectCode(req, res, user, 'Invalid password or authentication code');
+    }
+    await user.resetFailedLogins();
+
+    await disableTwoFactor(user);
+
+    res.json({ message: 'Two-factor authentication disabled', user: user.toProfile() });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Replace recovery codes (invalidates the old set)
+router.post('/recovery-codes', auth, twoFactorEligible, async (req, res) => {
+  try {
+    const user = await loadTwoFactorUser(req.user._id);
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (user.isLocked()) {
+      return lockedResponse(res, user);
+    }
+
+    if (!(await verifyUserCode(user, { code: req.body.code }))) {
+      return rejectCode(req, res, user, 'Invalid authentication code');
+    }
+    await user.resetFailedLogins();
+
+    const recoveryCodes = setRecoveryCodes(user);
+    await user.save();
+
+    res.json({ message: 'Recovery codes regenerated', recoveryCodes });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+const serializeStaff = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  twoFactorEnabled: user.twoFactorEnabled,
+  twoFactorRequired: user.twoFactorRequired,
+  // ENFORCE_ADMIN_2FA=true requires it whatever the admin chooses
+  enforcedByServer: isEnforcedByServer(user)
+});
+
+// Staff accounts and their two-factor state (Admin only)
+router.get('/staff', auth, adminOnly, async (req, res) => {
+  try {
+    const staff = await User.find({ role: { $in: User.STAFF_ROLES } }).sort({ role: 1, name: 1 });
+    res.json({ staff: staff.map(serializeStaff) });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Require two-factor for a staff account, or stop requiring it (Admin only).
+// Body { required }. Sessions that skipped two-factor stop working at once,
+// so the account enrolls at its next sign-in.
+router.put('/staff/:id/required', auth, adminOnly, async (req, res) => {
+  try {
+    const { required } = req.body;
+    if (typeof required !== 'boolean') {
+      return res.status(400).json({ message: 'required must be true or false' });
+    }
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Staff member not found' });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user || !canUseTwoFactor(user)) {
+      return res.status(404).json({ message: 'Staff member not found' });
+    }
+
+    user.twoFactorRequired = required;
+    await user.save();
+
+    res.json({
+      message: required ? `Two-factor is now required for ${user.name}` : `Two-factor is no longer required for ${user.name}`,
+      staff: serializeStaff(user)
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,30 @@
+const express = require('express');
+const storage = require('../storage');
+const { auth } = require('../middleware/auth');
+const { findFileSubmission } = require('../services/fileAccess');
+
+const router = express.Router();
+
+// Files of the local storage driver, for users who may see the submission
+// they belong to. Unknown and forbidden files look the same.
+router.get('/*key', auth, async (req, res) => {
+  try {
+    const key = req.params.key.join('/');
+
+    const submission = await findFileSubmission(key);
+    if (!submission || !submission.isVisibleTo(req.user)) {
+      return res.status(404).json({ message: 'File not found' });
+    }
+
+    res.set('Cache-Control', 'private, max-age=300');
+    res.sendFile(key, { root: storage.uploadsDir, dotfiles: 'deny' }, (error) => {
+      if (error && !res.headersSent) {
+        res.status(error.status || 500).json({ message: error.status === 404 ? 'File not found' : 'Server error' });
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,31 @@
+// Bootstrap the first administrator, since public registration only creates patients.
+// Usage: npm run create-admin -- <email> <password> [name]
+const mongoose = require('mongoose');
+require('dotenv').config();
+const User = require('../models/User');
+
+const run = async () => {
+  const [email, password, name = 'Administrator'] = process.argv.slice(2);
+
+  if (!email || !password) {
+    console.log('Usage: npm run create-admin -- <email> <password> [name]');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const existingUser = await User.findOne({ email });
+  if (existingUser) {
+    console.log(`User ${email} already exists`);
+  } else {
+    await new User({ name, email, password, role: 'admin', emailVerified: true }).save();
+    console.log(`Admin ${email} created`);
+  }
+
+  await mongoose.disconnect();
+};
+
+run().catch((error) => {
+  console.error('Failed to create admin:', error);
+  process.exit(1);
+});
@@ -0,0 +1,103 @@
+// Local SMTP stand-in for development and testing: accepts every message,
+// logs who it was for and saves it as an .eml file instead of delivering it.
+// Point the server at it with SMTP_HOST=localhost SMTP_PORT=1025.
+// Usage: npm run mail-sink [-- --fail]   (--fail rejects every message, to exercise retries)
+const net = require('net');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+require('dotenv').config();
+
+const PORT = Number(process.env.MAIL_SINK_PORT) || 1025;
+const OUTPUT_DIR = process.env.MAIL_SINK_DIR || path.join(os.tmpdir(), 'oralvis-mail');
+const FAIL = process.argv.includes('--fail') || process.env.MAIL_SINK_FAIL === 'true';
+
+fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+
+const headerValue = (message, name) => {
+  const match = message.match(new RegExp(`^${name}:\\s*(.*)$`, 'im'));
+  return match ? match[1].trim() : '';
+};
+
+const saveMessage = (envelope, message) => {
+  const file = path.join(OUTPUT_DIR, `${Date.now()}-${Math.round(Math.random() * 1e6)}.eml`);
+  fs.writeFileSync(file, message);
+  console.log(`Mail to ${envelope.to.join(', ')}: ${headerValue(message, 'Subject')} (${file})`);
+};
+
+const server = net.createServer((socket) => {
+  let buffer = '';
+  let inData = false;
+  let dataLines = [];
+  let envelope = { from: '', to: [] };
+
+  const reply = (line) => socket.write(`${line}\r\n`);
+
+  const handleCommand = (line) => {
+    const command = line.slice(0, 4).toUpperCase();
+    if (command === 'EHLO') {
+      reply('250-oralvis-mail-sink');
+      reply('250 8BITMIME');
+    } else if (command === 'HELO') {
+      reply('250 oralvis-mail-sink');
+    } else if (command === 'MAIL') {
+      envelope = { from: line.slice(10).trim(), to: [] };
+      reply('250 OK');
+    } else if (command === 'RCPT') {
+      envelope.to.push(line.slice(8).trim().replace(/^<|>$/g, ''));
+      reply('250 OK');
+    } else if (command === 'DATA') {
+      inData = true;
+      dataLines = [];
+      reply('354 End data with <CR><LF>.<CR><LF>');
+    } else if (command === 'RSET') {
+      envelope = { from: '', to: [] };
+      reply('250 OK');
+    } else if (command === 'NOOP') {
+      reply('250 OK');
+    } else if (command === 'QUIT') {
+      reply('221 Bye');
+      socket.end();
+    } else {
+      reply('502 Command not implemented');
+    }
+  };
+
+  const handleDataLine = (line) => {
+    if (line !== '.') {
+      // Undo dot-stuffing
+      dataLines.push(line.startsWith('..') ? line.slice(1) : line);
+      return;
+    }
+
+    inData = false;
+    if (FAIL) {
+      console.log(`Rejected mail to ${envelope.to.join(', ')} (--fail)`);
+      reply('451 Mail sink is set to fail');
+      return;
+    }
+    saveMessage(envelope, dataLines.join('\r\n'));
+    reply('250 OK: message saved');
+  };
+
+  reply('220 oralvis-mail-sink ESMTP');
+
+  socket.on('data', (chunk) => {
+    buffer += chunk.toString('utf8');
+    let index;
+    while ((index = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, index);
+      buffer = buffer.slice(index + 2);
+      if (inData) {
+        handleDataLine(line);
+      } else {
+        handleCommand(line);
+      }
+    }
+  });
+  socket.on('error', () => socket.destroy());
+});
+
+server.listen(PORT, () => {
+  console.log(`Mail sink listening on port ${PORT}${FAIL ? ', rejecting every message' : ''}; saving to ${OUTPUT_DIR}`);
+});
@@ -0,0 +1,22 @@
+// Rename statuses saved before the case lifecycle was introduced (e.g. "uploaded"),
+// so that status filters and counts see those cases. Safe to run more than once.
+// Usage: npm run migrate-statuses
+const mongoose = require('mongoose');
+require('dotenv').config();
+const Submission = require('../models/Submission');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  for (const [legacy, status] of Object.entries(Submission.LEGACY_STATUSES)) {
+    const result = await Submission.collection.updateMany({ status: legacy }, { $set: { status } });
+    console.log(`${legacy} → ${status}: ${result.modifiedCount} submission(s) updated`);
+  }
+
+  await mongoose.disconnect();
+};
+
+run().catch((error) => {
+  console.error('Failed to migrate statuses:', error);
+  process.exit(1);
+});
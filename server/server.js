@@ -6,6 +6,12 @@ require('dotenv').config();
 
 const app = express();
 
+// Behind a reverse proxy (Render, nginx) req.ip must come from X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', trustProxy === 'true' ? true : Number(trustProxy) || trustProxy);
+}
+
 // CORS Configuration for Production
 const corsOptions = {
   origin: function (origin, callback) {
@@ -31,8 +37,12 @@ app.use(cors(corsOptions));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Serve uploaded files
-// app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+// Serve uploaded files when using the local storage driver, only to users
+// who may see the submission they belong to
+const storage = require('./storage');
+if (storage.name === 'local') {
+  app.use('/uploads', require('./routes/uploads'));
+}
 
 // Health check endpoint for deployment platforms
 app.get('/health', (req, res) => {
@@ -49,8 +59,14 @@ mongoose.connect(process.env.MONGODB_URI)
   .catch(err => console.log('MongoDB error:', err));
 
 // Routes
+app.use('/api/auth/2fa', require('./routes/twoFactor'));
 app.use('/api/auth', require('./routes/auth'));
+// Message routes first: /messages/unread must not be taken for a submission id
+app.use('/api/submissions', require('./routes/messages'));
 app.use('/api/submissions', require('./routes/submissions'));
+app.use('/api/invites', require('./routes/invites'));
+app.use('/api/notifications', require('./routes/notifications'));
+app.use('/api/emails', require('./routes/emails'));
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -60,6 +76,12 @@ app.use((err, req, res, next) => {
 
 
 
+// Fail at startup rather than on the first email when mail isn't set up
+require('./services/mail').getTransporter();
+
+// Resend event emails that failed
+require('./services/emailNotifications').startRetryWorker();
+
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, '0.0.0.0', () => {
   console.log(`Server running on port ${PORT}`);
@@ -0,0 +1,34 @@
+const { sendMail, escapeHtml } = require('./mail');
+
+const frontendUrl = () => (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/$/, '');
+
+const sendVerificationEmail = (user, token) => {
+  const link = `${frontendUrl()}/verify-email?token=${token}`;
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your OralVis email address',
+    text: `Hi ${user.name},\n\nPlease confirm your email address by opening the link below:\n\n${link}\n\nThe link expires in 24 hours.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>Please confirm your email address:</p><p><a href="${link}">Verify email</a></p><p>The link expires in 24 hours.</p>`
+  });
+};
+
+const sendPasswordResetEmail = (user, token) => {
+  const link = `${frontendUrl()}/reset-password?token=${token}`;
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your OralVis password',
+    text: `Hi ${user.name},\n\nSomeone asked to reset your password. If it was you, open the link below:\n\n${link}\n\nThe link expires in 1 hour. If you didn't ask for this, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>Someone asked to reset your password. If it was you, use the link below:</p><p><a href="${link}">Reset password</a></p><p>The link expires in 1 hour. If you didn't ask for this, you can ignore this email.</p>`
+  });
+};
+
+const sendInviteEmail = (email, role, inviteUrl) => {
+  return sendMail({
+    to: email,
+    subject: 'You have been invited to OralVis Healthcare',
+    text: `You've been invited to join OralVis Healthcare as ${role}.\n\nCreate your account here:\n\n${inviteUrl}\n\nThe link can only be used once.`,
+    html: `<p>You've been invited to join OralVis Healthcare as <strong>${role}</strong>.</p><p><a href="${inviteUrl}">Create your account</a></p><p>The link can only be used once.</p>`
+  });
+};
+
+module.exports = { sendVerificationEmail, sendPasswordResetEmail, sendInviteEmail };
@@ -0,0 +1,132 @@
+const sharp = require('sharp');
+const { getMmPerPixel } = require('./annotations');
+
+// Stroke widths are tuned for the 800px-wide annotator and scaled up with the image
+const REFERENCE_WIDTH = 800;
+
+const escapeXml = (value) => String(value).replace(/[<>&"']/g, (char) => ({
+  '<': '&lt;',
+  '>': '&gt;',
+  '&': '&amp;',
+  '"': '&quot;',
+  '\'': '&apos;'
+}[char]));
+
+const pointList = (points) => points.map(point => `${point.x},${point.y}`).join(' ');
+
+// Matches the annotator: 0.5 (or no) pressure draws the normal width
+const pressureWidth = (baseWidth, pressure = 0.5) => baseWidth * (0.4 + 1.2 * pressure);
+
+// Pen strokes become one segment per point pair so the width can vary
+const pressureStrokeToSvg = (points, scale, color) => points.slice(1).map((point, index) => {
+  const previous = points[index];
+  const width = pressureWidth(3 * scale, ((previous.pressure ?? 0.5) + (point.pressure ?? 0.5)) / 2);
+  return `<line x1="${previous.x}" y1="${previous.y}" x2="${point.x}" y2="${point.y}" ` +
+    `stroke="${color}" stroke-width="${width}" stroke-linecap="round"/>`;
+}).join('');
+
+const arrowHead = (shape, headLength) => {
+  const angle = Math.atan2(shape.endY - shape.startY, shape.endX - shape.startX);
+  const wing = (offset) => ({
+    x: shape.endX - headLength * Math.cos(angle + offset),
+    y: shape.endY - headLength * Math.sin(angle + offset)
+  });
+  const left = wing(-Math.PI / 6);
+  const right = wing(Math.PI / 6);
+  return `M ${left.x} ${left.y} L ${shape.endX} ${shape.endY} L ${right.x} ${right.y}`;
+};
+
+// Text with a white outline so it reads on any background
+const haloText = (text, x, y, { size, color, anchor = 'middle' }) => (
+  `<text x="${x}" y="${y}" font-family="sans-serif" font-weight="bold" font-size="${size}" text-anchor="${anchor}" ` +
+  `fill="${color}" stroke="white" stroke-width="${size / 5}" paint-order="stroke">${escapeXml(text)}</text>`
+);
+
+const rulerToSvg = (shape, scale, stroke, color, mmPerPixel) => {
+  const length = Math.hypot(shape.endX - shape.startX, shape.endY - shape.startY);
+  const angle = Math.atan2(shape.endY - shape.startY, shape.endX - shape.startX);
+  const tickX = Math.sin(angle) * 6 * scale;
+  const tickY = -Math.cos(angle) * 6 * scale;
+  const label = mmPerPixel ? `${(length * mmPerPixel).toFixed(1)} mm` : `${Math.round(length)} px`;
+
+  return `<path d="M ${shape.startX} ${shape.startY} L ${shape.endX} ${shape.endY} ` +
+    `M ${shape.startX - tickX} ${shape.startY - tickY} L ${shape.startX + tickX} ${shape.startY + tickY} ` +
+    `M ${shape.endX - tickX} ${shape.endY - tickY} L ${shape.endX + tickX} ${shape.endY + tickY}" fill="none" ${stroke}/>` +
+    haloText(label, (shape.startX + shape.endX) / 2, (shape.startY + shape.endY) / 2 - 4 * scale, { size: 13 * scale, color });
+};
+
+// Callout: leader line from the anchor to a boxed label. Text width is
+// estimated, matching the browser closely enough for a background box.
+const calloutToSvg = (shape, color) => {
+  const { fontSize } = shape;
+  const padding = fontSize * 0.3;
+  const lineWidth = Math.max(1, fontSize / 8);
+  const width = shape.text.length * fontSize * 0.6 + padding * 2;
+  const height = fontSize + padding * 2;
+  const hasLeader = Math.hypot(shape.labelX - shape.x, shape.labelY - shape.y) > 1;
+
+  return (hasLeader
+    ? `<line x1="${shape.x}" y1="${shape.y}" x2="${shape.labelX}" y2="${shape.labelY}" stroke="${color}" stroke-width="${lineWidth}"/>` +
+      `<circle cx="${shape.x}" cy="${shape.y}" r="${lineWidth * 1.5}" fill="${color}"/>`
+    : '') +
+    `<rect x="${shape.labelX}" y="${shape.labelY - height / 2}" width="${width}" height="${height}" ` +
+    `fill="white" fill-opacity="0.85" stroke="${color}" stroke-width="${lineWidth}"/>` +
+    `<text x="${shape.labelX + padding}" y="${shape.labelY}" dominant-baseline="central" font-family="sans-serif" ` +
+    `font-weight="bold" font-size="${fontSize}" fill="#111827">${escapeXml(shape.text)}</text>`;
+};
+
+// SVG element for one shape; coordinates are source-image pixels
+const shapeToSvg = (shape, scale, mmPerPixel) => {
+  const color = escapeXml(shape.color || '#FF0000');
+  const stroke = `stroke="${color}" stroke-width="${3 * scale}" stroke-linecap="round" stroke-linejoin="round"`;
+
+  switch (shape.type) {
+    case 'rectangle':
+      return `<rect x="${shape.x}" y="${shape.y}" width="${shape.width}" height="${shape.height}" fill="none" ${stroke}/>`;
+    case 'circle':
+      return `<circle cx="${shape.x}" cy="${shape.y}" r="${shape.radius}" fill="none" ${stroke}/>`;
+    case 'arrow':
+      return `<path d="M ${shape.startX} ${shape.startY} L ${shape.endX} ${shape.endY} ${arrowHead(shape, 15 * scale)}" fill="none" ${stroke}/>`;
+    case 'freehand':
+      if (shape.points.some(point => point.pressure !== undefined)) {
+        return pressureStrokeToSvg(shape.points, scale, color);
+      }
+      return `<polyline points="${pointList(shape.points)}" fill="none" ${stroke}/>`;
+    case 'polygon':
+      return `<polygon points="${pointList(shape.points)}" fill="${color}" fill-opacity="0.2" ${stroke}/>`;
+    case 'ruler':
+      return rulerToSvg(shape, scale, stroke, color, mmPerPixel);
+    case 'text':
+      return calloutToSvg(shape, color);
+    default:
+      return '';
+  }
+};
+
+// Burn the vector annotations into a full-resolution JPEG copy of the original
+const renderAnnotatedImage = async (originalBuffer, annotationData) => {
+  // Apply EXIF orientation first so coordinates match what the browser displayed
+  const { data, info } = await sharp(originalBuffer).rotate().toBuffer({ resolveWithObject: true });
+  const scale = Math.max(1, info.width / REFERENCE_WIDTH);
+  const mmPerPixel = getMmPerPixel(annotationData.calibration);
+
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${info.width}" height="${info.height}">` +
+    annotationData.shapes.map(shape => shapeToSvg(shape, scale, mmPerPixel)).join('') +
+    '</svg>';
+
+  const buffer = await sharp(data)
+    .flatten({ background: '#ffffff' })
+    .composite([{ input: Buffer.from(svg), top: 0, left: 0 }])
+    .jpeg({ quality: 92 })
+    .toBuffer();
+
+  return { buffer, width: info.width, height: info.height };
+};
+
+// Displayed size of a photo: EXIF orientations 5-8 turn it on its side
+const getImageSize = async (buffer) => {
+  const { width, height, orientation } = await sharp(buffer).metadata();
+  return orientation >= 5 ? { width: height, height: width } : { width, height };
+};
+
+module.exports = { renderAnnotatedImage, getImageSize };
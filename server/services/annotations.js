@@ -0,0 +1,221 @@
+const crypto = require('crypto');
+const { SEVERITIES, getCondition } = require('../config/conditions');
+
+// Shapes are stored in pixels of the original (EXIF-rotated) image, so they
+// line up at any display size and can be burned into the full-resolution copy
+const COORDINATE_SPACE = 'image';
+
+const SHAPE_TYPES = ['rectangle', 'circle', 'arrow', 'freehand', 'polygon', 'text', 'ruler'];
+
+// Numeric fields each shape type needs, besides point lists
+const SHAPE_FIELDS = {
+  rectangle: ['x', 'y', 'width', 'height'],
+  circle: ['x', 'y', 'radius'],
+  arrow: ['startX', 'startY', 'endX', 'endY'],
+  ruler: ['startX', 'startY', 'endX', 'endY'],
+  text: ['x', 'y', 'labelX', 'labelY', 'fontSize']
+};
+
+// Sizes that can't be negative
+const SIZE_FIELDS = ['width', 'height', 'radius'];
+
+const MAX_LABEL_LENGTH = 200;
+
+// Fewest points that make a usable shape
+const MIN_POINTS = { freehand: 2, polygon: 3 };
+
+const isPoint = (point) => Number.isFinite(point?.x) && Number.isFinite(point?.y);
+
+const lineLength = ({ startX, startY, endX, endY }) => Math.hypot(endX - startX, endY - startY);
+
+// Millimetres per image pixel from the calibration line, or null when uncalibrated
+const getMmPerPixel = (calibration) => {
+  if (!calibration?.lengthMm) return null;
+  const pixels = lineLength(calibration);
+  return pixels > 0 ? calibration.lengthMm / pixels : null;
+};
+
+// Shoelace formula; points are [{ x, y }] in drawing order
+const polygonArea = (points) => {
+  let sum = 0;
+  points.forEach((point, index) => {
+    const next = points[(index + 1) % points.length];
+    sum += point.x * next.y - next.x * point.y;
+  });
+  return Math.abs(sum) / 2;
+};
+
+// Check an annotationData payload; returns an error message or null
+const validateAnnotationData = (annotationData) => {
+  if (!annotationData || !Array.isArray(annotationData.shapes)) {
+    return 'Annotation data must include a shapes array';
+  }
+  if (annotationData.coordinateSpace !== COORDINATE_SPACE) {
+    return `Annotation coordinates must be in source image pixels (coordinateSpace: "${COORDINATE_SPACE}")`;
+  }
+
+  const { calibration } = annotationData;
+  if (calibration !== undefined && calibration !== null) {
+    const coordinatesValid = SHAPE_FIELDS.ruler.every(field => Number.isFinite(calibration[field]));
+    if (!coordinatesValid || !(calibration.lengthMm > 0) || lineLength(calibration) === 0) {
+      return 'Calibration needs a reference line and a positive length in millimetres';
+    }
+  }
+
+  for (const [index, shape] of annotationData.shapes.entries()) {
+    const label = `Shape ${index + 1}`;
+
+    if (!SHAPE_TYPES.includes(shape.type)) {
+      return `${label} has unknown type "${shape.type}"`;
+    }
+    const missing = (SHAPE_FIELDS[shape.type] || []).find(field => !Number.isFinite(shape[field]));
+    if (missing) {
+      return `${label} is missing ${missing}`;
+    }
+    const negative = SIZE_FIELDS.find(field => shape[field] < 0);
+    if (negative) {
+      return `${label} ${negative} can't be negative`;
+    }
+    if (shape.type === 'text' && (typeof shape.text !== 'string' || !shape.text.trim() || shape.text.length > MAX_LABEL_LENGTH)) {
+      return `${label} needs label text of at most ${MAX_LABEL_LENGTH} characters`;
+    }
+    if (MIN_POINTS[shape.type]) {
+      if (!Array.isArray(shape.points) || shape.points.length < MIN_POINTS[shape.type]) {
+        return `${label} needs at least ${MIN_POINTS[shape.type]} points`;
+      }
+      if (!shape.points.every(isPoint)) {
+        return `${label} has an invalid point`;
+      }
+      // Pen strokes carry 0-1 pressure per point
+      if (shape.points.some(point => point.pressure !== undefined && !(point.pressure >= 0 && point.pressure <= 1))) {
+        return `${label} has an invalid pen pressure`;
+      }
+    }
+    // Shapes saved before findings existed have no finding; new ones must name a known one
+    if (shape.finding !== undefined && !getCondition(shape.finding)) {
+      return `${label} has unknown finding "${shape.finding}"`;
+    }
+    if (shape.severity !== undefined && !SEVERITIES.includes(shape.severity)) {
+      return `${label} has invalid severity "${shape.severity}"`;
+    }
+    if (shape.comment !== undefined && typeof shape.comment !== 'string') {
+      return `${label} comment must be text`;
+    }
+  }
+
+  return null;
+};
+
+// Recompute measurements rather than trusting the client. Lengths and areas
+// are in image pixels, plus millimetres when the image is calibrated;
+// areaPercent is the share of the whole image.
+const measureAnnotations = (annotationData) => {
+  const { width, height } = annotationData.imageSize || {};
+  const imageArea = width > 0 && height > 0 ? width * height : null;
+  const mmPerPixel = getMmPerPixel(annotationData.calibration);
+
+  const shapes = annotationData.shapes.map(shape => {
+    if (shape.type === 'ruler') {
+      const length = lineLength(shape);
+      return { ...shape, length, lengthMm: mmPerPixel ? length * mmPerPixel : undefined };
+    }
+    if (shape.type !== 'polygon') return shape;
+
+    const area = polygonArea(shape.points);
+    return {
+      ...shape,
+      area,
+      areaPercent: imageArea ? (area / imageArea) * 100 : undefined,
+      areaMm2: mmPerPixel ? area * mmPerPixel * mmPerPixel : undefined
+    };
+  });
+
+  return {
+    ...annotationData,
+    calibration: mmPerPixel ? { ...annotationData.calibration, mmPerPixel } : undefined,
+    shapes
+  };
+};
+
+// Shapes drawn by the annotator carry an id; give one to any that don't so
+// revisions can be compared shape by shape
+const withShapeIds = (shapes) => shapes.map(shape => (
+  shape.id ? shape : { ...shape, id: crypto.randomUUID() }
+));
+
+const sortKeys = (value) => {
+  if (Array.isArray(value)) return value.map(sortKeys);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).sort().map(key => [key, sortKeys(value[key])]));
+  }
+  return value;
+};
+
+// Geometry and tags only, with keys sorted, so equal shapes compare equal
+const shapeContent = ({ id, area, areaPercent, areaMm2, length, lengthMm, ...content }) => (
+  JSON.stringify(sortKeys(content))
+);
+
+// Added, removed and changed shapes between two revisions. Shapes are matched
+// by id, falling back to identical content for shapes saved without ids.
+const diffShapes = (before, after) => {
+  const remaining = [...before];
+  const added = [];
+  const changed = [];
+
+  after.forEach(shape => {
+    let index = shape.id ? remaining.findIndex(candidate => candidate.id === shape.id) : -1;
+    if (index === -1) {
+      index = remaining.findIndex(candidate => shapeContent(candidate) === shapeContent(shape));
+    }
+    if (index === -1) {
+      added.push(shape);
+      return;
+    }
+
+    const [previous] = remaining.splice(index, 1);
+    if (shapeContent(previous) !== shapeContent(shape)) {
+      changed.push({ before: previous, after: shape });
+    }
+  });
+
+  return {
+    added,
+    removed: remaining,
+    changed,
+    unchanged: after.length - added.length - changed.length
+  };
+};
+
+// Conditions marked across all views, in catalog order, with how often and how badly
+const summarizeFindings = (views) => {
+  const byId = new Map();
+
+  views.forEach(viewEntry => {
+    (viewEntry.annotationData?.shapes || []).forEach(shape => {
+      const condition = getCondition(shape.finding);
+      if (!condition) return;
+
+      const summary = byId.get(condition.id) || { ...condition, count: 0, severity: null };
+      summary.count += 1;
+      if (shape.severity && SEVERITIES.indexOf(shape.severity) > SEVERITIES.indexOf(summary.severity)) {
+        summary.severity = shape.severity;
+      }
+      byId.set(condition.id, summary);
+    });
+  });
+
+  return [...byId.values()];
+};
+
+module.exports = {
+  COORDINATE_SPACE,
+  SHAPE_TYPES,
+  polygonArea,
+  getMmPerPixel,
+  validateAnnotationData,
+  measureAnnotations,
+  withShapeIds,
+  diffShapes,
+  summarizeFindings
+};
@@ -0,0 +1,31 @@
+const User = require('../models/User');
+
+// "round-robin" hands each new case to the next dentist; "manual" leaves it for an admin
+const ASSIGNMENT_MODE = process.env.CASE_ASSIGNMENT || 'round-robin';
+
+// Dentist who has gone longest without a round-robin case, never-assigned first.
+// Claimed in one update so concurrent uploads go to different dentists.
+const nextDentist = () => User.findOneAndUpdate(
+  { role: 'dentist' },
+  { $set: { lastAssignedAt: new Date() } },
+  { sort: { lastAssignedAt: 1, createdAt: 1 }, new: true }
+);
+
+// Point a submission at a dentist, or clear the assignment with null
+const assignTo = (submission, dentist) => {
+  submission.assignedTo = dentist?._id;
+  submission.assignedToName = dentist?.name;
+  submission.assignedAt = dentist ? new Date() : undefined;
+};
+
+// Assign a new submission per CASE_ASSIGNMENT; it stays unassigned when there are no dentists
+const autoAssign = async (submission) => {
+  if (ASSIGNMENT_MODE !== 'round-robin') return;
+
+  const dentist = await nextDentist();
+  if (dentist) {
+    assignTo(submission, dentist);
+  }
+};
+
+module.exports = { nextDentist, assignTo, autoAssign };
@@ -0,0 +1,208 @@
+const path = require('path');
+const { CONDITIONS, SEVERITIES, getCondition } = require('../config/conditions');
+const { COORDINATE_SPACE, polygonArea } = require('./annotations');
+
+// Shapes that outline a region. Arrows, rulers and text callouts point at or
+// measure something and have no meaningful box, so datasets leave them out.
+const REGION_TYPES = ['rectangle', 'circle', 'polygon', 'freehand'];
+
+// Circles are exported as a polygon with this many vertices
+const CIRCLE_SEGMENTS = 32;
+
+// COCO category ids start at 1, in findings-catalog order
+const CATEGORIES = CONDITIONS.map((condition, index) => ({
+  id: index + 1,
+  name: condition.id,
+  supercategory: 'finding',
+  label: condition.label
+}));
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Outline of a region shape as image-pixel points
+const shapeOutline = (shape) => {
+  if (shape.type === 'rectangle') {
+    return [
+      { x: shape.x, y: shape.y },
+      { x: shape.x + shape.width, y: shape.y },
+      { x: shape.x + shape.width, y: shape.y + shape.height },
+      { x: shape.x, y: shape.y + shape.height }
+    ];
+  }
+  if (shape.type === 'circle') {
+    return Array.from({ length: CIRCLE_SEGMENTS }, (_, index) => {
+      const angle = (index / CIRCLE_SEGMENTS) * 2 * Math.PI;
+      return { x: shape.x + shape.radius * Math.cos(angle), y: shape.y + shape.radius * Math.sin(angle) };
+    });
+  }
+  return shape.points;
+};
+
+const toCocoAnnotation = (shape, id, imageId) => {
+  const outline = shapeOutline(shape);
+  const xs = outline.map(point => point.x);
+  const ys = outline.map(point => point.y);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+
+  return {
+    id,
+    image_id: imageId,
+    category_id: CATEGORIES.find(category => category.name === shape.finding).id,
+    segmentation: [outline.flatMap(point => [round(point.x), round(point.y)])],
+    area: round(polygonArea(outline)),
+    bbox: [minX, minY, Math.max(...xs) - minX, Math.max(...ys) - minY].map(round),
+    iscrowd: 0,
+    attributes: {
+      shape_id: shape.id,
+      shape_type: shape.type,
+      severity: shape.severity,
+      comment: shape.comment || undefined
+    }
+  };
+};
+
+// COCO-style dataset of the given submissions: one image per annotated view,
+// one annotation per tagged region. Returns { dataset, files }, where files
+// lists the stored photo behind each image for packing next to the dataset.
+const buildCocoDataset = (submissions) => {
+  const images = [];
+  const annotations = [];
+  const files = [];
+
+  submissions.forEach(submission => submission.views.forEach(entry => {
+    const data = entry.annotationData;
+    // Markings saved in canvas pixels can't be placed on the full-size image
+    if (data?.coordinateSpace !== COORDINATE_SPACE || !data.imageSize) return;
+
+    const imageId = images.length + 1;
+    const fileName = `${submission._id}-${entry.view}${path.extname(entry.originalImageUrl.split('?')[0]) || '.jpg'}`;
+    images.push({
+      id: imageId,
+      file_name: fileName,
+      width: data.imageSize.width,
+      height: data.imageSize.height,
+      date_captured: submission.createdAt.toISOString(),
+      submission_id: submission._id.toString(),
+      view: entry.view,
+      revision: entry.currentRevision
+    });
+    files.push({ imageId, name: fileName, url: entry.originalImageUrl, key: entry.originalImagePublicId });
+
+    data.shapes
+      .filter(shape => REGION_TYPES.includes(shape.type) && getCondition(shape.finding))
+      .forEach(shape => annotations.push(toCocoAnnotation(shape, annotations.length + 1, imageId)));
+  }));
+
+  const dataset = {
+    info: {
+      description: 'OralVis Healthcare dental findings',
+      version: '1.0',
+      year: new Date().getFullYear(),
+      date_created: new Date().toISOString()
+    },
+    licenses: [],
+    categories: CATEGORIES,
+    images,
+    annotations
+  };
+  return { dataset, files };
+};
+
+// The dataset without the given images and their annotations
+const withoutImages = (dataset, imageIds) => ({
+  ...dataset,
+  images: dataset.images.filter(image => !imageIds.includes(image.id)),
+  annotations: dataset.annotations.filter(annotation => !imageIds.includes(annotation.image_id))
+});
+
+// Match a dataset category to a finding by id or label, e.g. "stains" or "Stains"
+const findingForCategory = (category) => {
+  const name = String(category?.name || '').trim().toLowerCase();
+  return CONDITIONS.find(condition => condition.id === name || condition.label.toLowerCase() === name);
+};
+
+// The dataset image meant for this submission view: the one named by imageId,
+// the one this app exported for it, or the only image in the dataset
+const pickImage = (dataset, { imageId, submissionId, view }) => {
+  if (imageId !== undefined) {
+    return dataset.images.find(image => String(image.id) === String(imageId));
+  }
+  return dataset.images.find(image => image.submission_id === submissionId && image.view === view) ||
+    (dataset.images.length === 1 ? dataset.images[0] : undefined);
+};
+
+const toPoints = (coordinates, factorX, factorY) => {
+  const points = [];
+  for (let index = 0; index + 1 < coordinates.length; index += 2) {
+    points.push({ x: coordinates[index] * factorX, y: coordinates[index + 1] * factorY });
+  }
+  return points;
+};
+
+// Convert externally produced COCO annotations for one submission view into
+// annotator shapes, scaled to the stored image. Returns { shapes, image } or { error }.
+const parseCocoImport = (dataset, { imageId, submissionId, view, imageSize }) => {
+  if (!dataset || !Array.isArray(dataset.images) || !Array.isArray(dataset.annotations) || !Array.isArray(dataset.categories)) {
+    return { error: 'Dataset must be COCO JSON with images, annotations and categories arrays' };
+  }
+
+  const image = pickImage(dataset, { imageId, submissionId, view });
+  if (!image) {
+    if (imageId !== undefined) return { error: `Dataset has no image with id ${imageId}` };
+    return { error: dataset.images.length ? 'Dataset has several images; choose one with imageId' : 'Dataset has no images' };
+  }
+
+  // Datasets may have been made from a resized copy of the photo
+  const factorX = image.width > 0 ? imageSize.width / image.width : 1;
+  const factorY = image.height > 0 ? imageSize.height / image.height : 1;
+
+  const shapes = [];
+  for (const annotation of dataset.annotations.filter(item => item.image_id === image.id)) {
+    const category = dataset.categories.find(item => item.id === annotation.category_id);
+    const condition = findingForCategory(category);
+    if (!condition) {
+      return { error: `Category "${category?.name ?? annotation.category_id}" doesn't match a finding in the catalog` };
+    }
+
+    const attributes = annotation.attributes || {};
+    const score = Number.isFinite(annotation.score) ? `Model score ${annotation.score.toFixed(2)}` : '';
+    const tags = {
+      color: condition.color,
+      finding: condition.id,
+      ...(SEVERITIES.includes(attributes.severity) && { severity: attributes.severity }),
+      comment: [attributes.comment, score].filter(Boolean).join(' – ')
+    };
+
+    if (annotation.segmentation && !Array.isArray(annotation.segmentation)) {
+      return { error: `Annotation ${annotation.id} uses an RLE mask; only polygon segmentations and boxes can be imported` };
+    }
+
+    // Boxes this app exported come back as rectangles rather than four-point polygons
+    const outlines = attributes.shape_type === 'rectangle'
+      ? []
+      : (annotation.segmentation || []).filter(polygon => Array.isArray(polygon) && polygon.length >= 6);
+    if (outlines.length > 0) {
+      outlines.forEach(polygon => {
+        const points = toPoints(polygon, factorX, factorY);
+        shapes.push({ type: 'polygon', points, area: polygonArea(points), ...tags });
+      });
+    } else if (Array.isArray(annotation.bbox) && annotation.bbox.length === 4) {
+      const [x, y, width, height] = annotation.bbox;
+      if (!annotation.bbox.every(Number.isFinite) || !(width > 0 && height > 0)) {
+        return { error: `Annotation ${annotation.id} has an invalid bbox; it must be [x, y, width, height] numbers with a positive width and height` };
+      }
+      shapes.push({ type: 'rectangle', x: x * factorX, y: y * factorY, width: width * factorX, height: height * factorY, ...tags });
+    } else {
+      return { error: `Annotation ${annotation.id} has neither a segmentation nor a bbox` };
+    }
+  }
+
+  if (shapes.length === 0) {
+    return { error: 'The dataset has no annotations for this image' };
+  }
+
+  return { shapes, image };
+};
+
+module.exports = { CATEGORIES, buildCocoDataset, withoutImages, parseCocoImport };
@@ -0,0 +1,133 @@
+const EmailTemplate = require('../models/EmailTemplate');
+const EmailDelivery = require('../models/EmailDelivery');
+const User = require('../models/User');
+const { getEmailEvent } = require('../config/emailTemplates');
+const { sendMail, escapeHtml } = require('./mail');
+
+// Attempts per email before giving up, and the wait before each retry
+const MAX_ATTEMPTS = Number(process.env.EMAIL_MAX_ATTEMPTS) || 4;
+const RETRY_DELAYS_MS = [60 * 1000, 5 * 60 * 1000, 30 * 60 * 1000];
+const RETRY_INTERVAL_MS = (Number(process.env.EMAIL_RETRY_INTERVAL_SECONDS) || 60) * 1000;
+const RETRY_BATCH = 20;
+
+const frontendUrl = () => (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/$/, '');
+
+const fill = (template, values, escape = (value) => value) => template.replace(
+  /\{\{\s*(\w+)\s*\}\}/g,
+  (match, key) => (values[key] === undefined || values[key] === null ? '' : escape(values[key]))
+);
+
+// Plain-text body as HTML paragraphs, with links made clickable
+const toHtml = (text) => text
+  .split(/\n{2,}/)
+  .map(paragraph => `<p>${escapeHtml(paragraph)
+    .replace(/https?:\/\/[^\s<]+/g, url => `<a href="${url}">${url}</a>`)
+    .replace(/\n/g, '<br>')}</p>`)
+  .join('');
+
+// The wording in use for an event: the admin's edit, or the default
+const getTemplate = async (eventId) => {
+  const event = getEmailEvent(eventId);
+  const override = await EmailTemplate.findOne({ event: eventId });
+  return {
+    subject: override?.subject || event.subject,
+    body: override?.body || event.body,
+    customized: Boolean(override)
+  };
+};
+
+// Fill a template with values as { subject, text, html }
+const renderEmail = ({ subject, body }, values) => {
+  const text = fill(body, values).replace(/\n{3,}/g, '\n\n').trim();
+  return { subject: fill(subject, values), text, html: toHtml(text) };
+};
+
+// Try to send a logged delivery once and record the outcome
+const attemptDelivery = async (delivery) => {
+  delivery.attempts += 1;
+  try {
+    await sendMail({ to: delivery.to, subject: delivery.subject, text: delivery.text, html: delivery.html });
+    delivery.status = 'sent';
+    delivery.sentAt = new Date();
+    delivery.lastError = undefined;
+    delivery.nextAttemptAt = undefined;
+  } catch (error) {
+    delivery.status = 'failed';
+    delivery.lastError = error.message;
+    delivery.nextAttemptAt = delivery.attempts < MAX_ATTEMPTS
+      ? new Date(Date.now() + RETRY_DELAYS_MS[Math.min(delivery.attempts, RETRY_DELAYS_MS.length) - 1])
+      : undefined;
+  }
+  await delivery.save();
+  return delivery;
+};
+
+// Email a user about an event unless they opted out. Every email is logged,
+// opt-outs included, and failures are retried by the retry worker.
+const sendEventEmail = async (eventId, userId, { submission, values = {} } = {}) => {
+  try {
+    const user = await User.findById(userId);
+    if (!user) return null;
+
+    const template = await getTemplate(eventId);
+    const email = renderEmail(template, {
+      name: user.name,
+      patientName: submission?.patientName,
+      patientId: submission?.patientId,
+      link: `${frontendUrl()}/patient`,
+      ...values
+    });
+
+    const delivery = new EmailDelivery({
+      event: eventId,
+      user: user._id,
+      submissionId: submission?._id,
+      to: user.email,
+      ...email
+    });
+
+    if (!user.wantsEmail(eventId)) {
+      delivery.status = 'skipped';
+      delivery.lastError = 'User opted out of this email';
+      return await delivery.save();
+    }
+
+    return await attemptDelivery(delivery);
+  } catch (error) {
+    console.error(`Failed to queue ${eventId} email:`, error);
+    return null;
+  }
+};
+
+// Retry failed deliveries whose wait is over
+const retryDueDeliveries = async () => {
+  const due = await EmailDelivery.find({ status: 'failed', nextAttemptAt: { $lte: new Date() } })
+    .sort({ nextAttemptAt: 1 })
+    .limit(RETRY_BATCH);
+
+  for (const delivery of due) {
+    await attemptDelivery(delivery);
+  }
+  return due.length;
+};
+
+let retryTimer = null;
+
+// Check for due retries every EMAIL_RETRY_INTERVAL_SECONDS while the server runs
+const startRetryWorker = () => {
+  if (retryTimer) return;
+  retryTimer = setInterval(() => {
+    retryDueDeliveries().catch(error => console.error('Email retry failed:', error));
+  }, RETRY_INTERVAL_MS);
+  retryTimer.unref();
+};
+
+module.exports = {
+  MAX_ATTEMPTS,
+  getTemplate,
+  renderEmail,
+  attemptDelivery,
+  sendEventEmail,
+  retryDueDeliveries,
+  startRetryWorker
+};
@@ -0,0 +1,107 @@
+const jwt = require('jsonwebtoken');
+
+// Server-sent event streams of the users connected to this process, by user id.
+// Streams are kept in memory, so with several server instances each user only
+// hears about changes made through the instance they are connected to.
+const streams = new Map();
+
+// Comment line sent periodically so proxies don't close idle streams
+const HEARTBEAT_MS = 25 * 1000;
+
+// EventSource can't send an Authorization header, so the stream URL carries
+// this short-lived ticket instead of the access token itself
+const STREAM_TICKET_TTL = '1m';
+
+const createStreamTicket = (user, session) => {
+  return jwt.sign({ userId: user._id, sessionId: session._id, purpose: 'events' }, process.env.JWT_SECRET, { expiresIn: STREAM_TICKET_TTL });
+};
+
+const verifyStreamTicket = (ticket) => {
+  try {
+    const decoded = jwt.verify(ticket, process.env.JWT_SECRET);
+    return decoded.purpose === 'events' ? decoded : null;
+  } catch {
+    return null;
+  }
+};
+
+const write = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// Keep res open as an event stream for the user's session until the client
+// goes away. Each heartbeat first asks stillAllowed() whether the session may
+// still listen, since it can be revoked or lose its two-factor standing.
+const openStream = (user, session, req, res, stillAllowed) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Stop nginx buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const key = user._id.toString();
+  const stream = { res, role: user.role, sessionId: session._id.toString() };
+  if (!streams.has(key)) streams.set(key, new Set());
+  streams.get(key).add(stream);
+
+  const heartbeat = setInterval(async () => {
+    const allowed = await stillAllowed().catch(() => false);
+    if (allowed) res.write(': ping\n\n');
+    else stream.end();
+  }, HEARTBEAT_MS);
+
+  const forget = () => {
+    clearInterval(heartbeat);
+    const userStreams = streams.get(key);
+    userStreams?.delete(stream);
+    if (userStreams?.size === 0) streams.delete(key);
+  };
+  stream.end = () => {
+    forget();
+    res.end();
+  };
+
+  req.on('close', forget);
+};
+
+// End this process's open streams of a revoked session at once
+const closeSessionStreams = (sessionId) => {
+  streams.forEach(userStreams => userStreams.forEach(stream => {
+    if (stream.sessionId === sessionId.toString()) stream.end();
+  }));
+};
+
+// End every open stream of a user, except those of one session
+const closeUserStreams = (userId, exceptSessionId) => {
+  streams.get(userId.toString())?.forEach(stream => {
+    if (stream.sessionId !== exceptSessionId?.toString()) stream.end();
+  });
+};
+
+// Send an event to every open stream of the given users
+const sendToUsers = (userIds, event, data) => {
+  new Set(userIds.filter(Boolean).map(String)).forEach(key => {
+    streams.get(key)?.forEach(stream => write(stream.res, event, data));
+  });
+};
+
+// Send an event to everyone connected with the given role
+const sendToRole = (role, event, data) => {
+  streams.forEach(userStreams => userStreams.forEach(stream => {
+    if (stream.role === role) write(stream.res, event, data);
+  }));
+};
+
+module.exports = {
+  createStreamTicket,
+  verifyStreamTicket,
+  openStream,
+  closeSessionStreams,
+  closeUserStreams,
+  sendToUsers,
+  sendToRole
+};
@@ -0,0 +1,17 @@
+const Submission = require('../models/Submission');
+const Message = require('../models/Message');
+const AnnotationRevision = require('../models/AnnotationRevision');
+
+// The submission a stored file belongs to, found by its storage key: a photo,
+// annotated copy or report of the case, an earlier revision's annotated copy,
+// or an attachment in its message thread. Resolves to null for unknown files.
+const findFileSubmission = async (key) => {
+  const submission = await Submission.findOne({ $or: Submission.FILE_KEY_FIELDS.map(field => ({ [field]: key })) });
+  if (submission) return submission;
+
+  const owner = await Message.findOne({ 'attachments.key': key }) ||
+    await AnnotationRevision.findOne({ annotatedImagePublicId: key });
+  return owner ? Submission.findById(owner.submissionId) : null;
+};
+
+module.exports = { findFileSubmission };
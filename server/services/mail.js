@@ -0,0 +1,76 @@
+const nodemailer = require('nodemailer');
+
+// Transports are picked by MAIL_TRANSPORT. "smtp" works with any SMTP server,
+// including local catchers such as MailHog or Mailpit (SMTP_HOST=localhost, SMTP_PORT=1025).
+// "console" logs whole messages, reset and verification links included, so it
+// must be asked for and is refused in production.
+const transports = {
+  smtp: () => nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  }),
+  // Prints messages to the server log instead of sending them
+  console: () => nodemailer.createTransport({ jsonTransport: true })
+};
+
+const resolveTransportName = () => {
+  const name = process.env.MAIL_TRANSPORT
+    ? process.env.MAIL_TRANSPORT.toLowerCase()
+    : process.env.SMTP_HOST && 'smtp';
+
+  if (!name) {
+    throw new Error('Mail is not configured. Set SMTP_HOST, or MAIL_TRANSPORT=console for local development.');
+  }
+  if (name === 'smtp' && !process.env.SMTP_HOST) {
+    throw new Error('MAIL_TRANSPORT=smtp needs SMTP_HOST');
+  }
+  if (name === 'console' && process.env.NODE_ENV === 'production') {
+    throw new Error('MAIL_TRANSPORT=console logs account links and is not allowed in production');
+  }
+  return name;
+};
+
+let transporter = null;
+
+const getTransporter = () => {
+  if (!transporter) {
+    const name = resolveTransportName();
+    if (!transports[name]) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}". Use one of: ${Object.keys(transports).join(', ')}`);
+    }
+    transporter = transports[name]();
+    transporter.transportName = name;
+  }
+  return transporter;
+};
+
+// For values pasted into HTML bodies
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const sendMail = async ({ to, subject, text, html }) => {
+  const mailer = getTransporter();
+  const info = await mailer.sendMail({
+    from: process.env.MAIL_FROM || 'OralVis Healthcare <no-reply@oralvis.local>',
+    to,
+    subject,
+    text,
+    html
+  });
+
+  if (mailer.transportName === 'console') {
+    const { to: recipient, subject: title, text: body } = JSON.parse(info.message);
+    console.log(`Mail to ${recipient.map(r => r.address).join(', ')}: ${title}\n${body}`);
+  }
+
+  return info;
+};
+
+module.exports = { getTransporter, sendMail, escapeHtml };
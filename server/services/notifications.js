@@ -0,0 +1,125 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { STATUS_LABELS } = require('./submissionStatus');
+const { sendToUsers, sendToRole } = require('./events');
+const { sendEventEmail } = require('./emailNotifications');
+
+// What patients are told when their case moves; the other moves are internal
+const PATIENT_STATUS_TEXTS = {
+  in_review: 'Your dentist has started reviewing your submission',
+  needs_retake: 'Your dentist asked for a new photo',
+  reported: 'Your report is ready to download',
+  closed: 'Your case has been closed'
+};
+
+const isSameUser = (a, b) => Boolean(a && b) && a.toString() === b.toString();
+
+// Store a notification for each user (the actor excluded) and push it to their open streams
+const notify = async (userIds, actor, { type, submission, text }) => {
+  const recipients = [...new Set(userIds.filter(Boolean).map(String))]
+    .filter(userId => !isSameUser(userId, actor?._id));
+  if (recipients.length === 0) return;
+
+  const notifications = await Notification.insertMany(recipients.map(user => ({
+    user,
+    type,
+    submissionId: submission._id,
+    text
+  })));
+  notifications.forEach(notification => {
+    sendToUsers([notification.user], 'notification', { notification });
+  });
+};
+
+const adminIds = async () => (await User.find({ role: 'admin' }).select('_id')).map(user => user._id);
+
+// What streams are told about a changed case: enough to place it in a list,
+// never the patient's details, which clients load through the API
+const submissionEvent = (submission) => ({
+  submissionId: submission._id,
+  status: submission.status,
+  assignedTo: submission.assignedTo || null,
+  updatedAt: submission.updatedAt
+});
+
+// Tell everyone whose lists show the submission that it changed
+const announceSubmission = (submission) => {
+  sendToUsers([submission.userId, submission.assignedTo], 'submission', submissionEvent(submission));
+  sendToRole('admin', 'submission', submissionEvent(submission));
+};
+
+// Failures here are logged rather than failing the request that caused them
+const safely = (label, work) => work().catch(error => console.error(`${label} notification failed:`, error));
+
+// The submission just moved (see applyTransition); tell the patient and the clinic
+const statusChanged = (submission, actor) => safely('Status', async () => {
+  announceSubmission(submission);
+
+  const change = submission.statusHistory[submission.statusHistory.length - 1];
+  if (!change) return;
+
+  const patientText = PATIENT_STATUS_TEXTS[change.to];
+  if (patientText) {
+    await notify([submission.userId], actor, { type: 'status', submission, text: patientText });
+  }
+
+  if (change.to === 'needs_retake') {
+    const request = submission.openRetakeRequest();
+    await sendEventEmail('retake_requested', submission.userId, {
+      submission,
+      values: { reason: request?.reason || change.reason, guidance: request?.guidance }
+    });
+  } else if (change.to === 'reported') {
+    await sendEventEmail('report_ready', submission.userId, { submission });
+  }
+
+  const staffText = change.to === 'submitted' && change.from
+    ? `${submission.patientName} uploaded the requested retake`
+    : `${submission.patientName}'s case is now ${STATUS_LABELS[change.to].toLowerCase()}`;
+  const staff = change.to === 'awaiting_approval' ? [submission.assignedTo, ...await adminIds()] : [submission.assignedTo];
+  await notify(staff, actor, { type: 'status', submission, text: staffText });
+});
+
+// A patient uploaded a new submission; confirm it by email
+const submissionReceived = (submission) => safely('Submission', async () => {
+  await sendEventEmail('submission_received', submission.userId, { submission });
+});
+
+// A new or reassigned case; tell the dentist who now has it. The previous
+// dentist's queue gets the update too, so the case leaves it.
+const caseAssigned = (submission, actor, previousAssignee) => safely('Assignment', async () => {
+  announceSubmission(submission);
+  if (previousAssignee && !isSameUser(previousAssignee, submission.assignedTo)) {
+    sendToUsers([previousAssignee], 'submission', submissionEvent(submission));
+  }
+  if (submission.assignedTo) {
+    await notify([submission.assignedTo], actor, {
+      type: 'assignment',
+      submission,
+      text: `${submission.patientName}'s case was assigned to you`
+    });
+  }
+});
+
+// A new thread message: the patient hears from the clinic, the assigned dentist
+// (or the admins, while the case is unassigned) hears from the patient
+const messagePosted = (submission, message, sender) => safely('Message', async () => {
+  const fromPatient = isSameUser(sender._id, submission.userId);
+  const staff = submission.assignedTo ? [submission.assignedTo] : fromPatient ? await adminIds() : [];
+  const recipients = fromPatient ? staff : [submission.userId, ...staff];
+
+  sendToUsers(recipients.filter(userId => !message.readBy.some(id => isSameUser(id, userId))), 'message', {
+    submissionId: submission._id,
+    messageId: message._id,
+    sender: message.sender
+  });
+
+  if (fromPatient) {
+    await notify(staff, sender, { type: 'message', submission, text: `New message from ${submission.patientName}` });
+  } else {
+    await notify([submission.userId], sender, { type: 'message', submission, text: `New message from ${sender.name} about your submission` });
+    await notify(staff, sender, { type: 'message', submission, text: `${sender.name} wrote to ${submission.patientName}` });
+  }
+});
+
+module.exports = { statusChanged, submissionReceived, caseAssigned, messagePosted };
@@ -0,0 +1,77 @@
+const AnnotationRevision = require('../models/AnnotationRevision');
+
+// Markings only make sense on the photo they were drawn on
+const onCurrentImage = (revision, viewEntry) => (revision.imageVersion || 1) === (viewEntry.imageVersion || 1);
+
+// Concurrent saves can pick the same next number; the unique index rejects all but one
+const MAX_NUMBER_ATTEMPTS = 5;
+const isDuplicateKey = (error) => error?.code === 11000;
+
+const nextRevisionNumber = async (submissionId, view) => {
+  const latest = await AnnotationRevision.findOne({ submissionId, view }).sort({ number: -1 });
+  return latest ? latest.number + 1 : 1;
+};
+
+// Markings saved before revisions were kept become revision 1, so the first
+// tracked save doesn't lose them
+const backfillRevision = async (submission, viewEntry) => {
+  const exists = await AnnotationRevision.exists({ submissionId: submission._id, view: viewEntry.view });
+  if (exists || !viewEntry.annotationData?.shapes) return;
+
+  try {
+    const revision = await AnnotationRevision.create({
+      submissionId: submission._id,
+      view: viewEntry.view,
+      number: 1,
+      annotationData: viewEntry.annotationData,
+      annotatedImageUrl: viewEntry.annotatedImageUrl,
+      annotatedImagePublicId: viewEntry.annotatedImagePublicId,
+      imageVersion: viewEntry.imageVersion
+    });
+    viewEntry.currentRevision = revision.number;
+  } catch (error) {
+    // A concurrent save already backfilled it
+    if (!isDuplicateKey(error)) throw error;
+  }
+};
+
+// Create the revision under the next free number, retrying when another save takes it first
+const createNumberedRevision = async (fields) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await AnnotationRevision.create({
+        ...fields,
+        number: await nextRevisionNumber(fields.submissionId, fields.view)
+      });
+    } catch (error) {
+      if (!isDuplicateKey(error) || attempt >= MAX_NUMBER_ATTEMPTS) throw error;
+    }
+  }
+};
+
+// Record a new revision and make it the view's current annotation
+const recordRevision = async (submission, viewEntry, { annotationData, annotatedImageUrl, annotatedImagePublicId, author, restoredFrom, importedFrom }) => {
+  await backfillRevision(submission, viewEntry);
+
+  const revision = await createNumberedRevision({
+    submissionId: submission._id,
+    view: viewEntry.view,
+    annotationData,
+    annotatedImageUrl,
+    annotatedImagePublicId,
+    author: author._id,
+    authorName: author.name,
+    restoredFrom,
+    importedFrom,
+    imageVersion: viewEntry.imageVersion
+  });
+
+  viewEntry.annotationData = annotationData;
+  viewEntry.annotatedImageUrl = annotatedImageUrl;
+  viewEntry.annotatedImagePublicId = annotatedImagePublicId;
+  viewEntry.currentRevision = revision.number;
+
+  return revision;
+};
+
+module.exports = { recordRevision, onCurrentImage };
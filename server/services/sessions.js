@@ -0,0 +1,127 @@
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const { generateToken, hashToken } = require('./tokens');
+const { closeSessionStreams, closeUserStreams } = require('./events');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+// How long a just-rotated refresh token keeps working, so tabs refreshing at once don't trip reuse detection
+const REFRESH_GRACE_SECONDS = Number(process.env.REFRESH_GRACE_SECONDS) || 30;
+
+const generateAccessToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sessionId }, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+};
+
+// Refresh tokens look like "<sessionId>.<secret>" so the session can be found without a scan
+const buildRefreshToken = (sessionId, secret) => `${sessionId}.${secret}`;
+
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = (refreshToken || '').split('.');
+  if (!sessionId || !secret || !/^[a-f0-9]{24}$/.test(sessionId)) return null;
+  return { sessionId, secret };
+};
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Start a new session for a user and return its token pair
+const createSession = async (user, req, { twoFactorVerified = false } = {}) => {
+  const secret = generateToken();
+  const session = await Session.create({
+    userId: user._id,
+    refreshTokenHash: hashToken(secret),
+    userAgent: req.get('User-Agent'),
+    ip: req.ip,
+    expiresAt: refreshExpiry(),
+    twoFactorVerified
+  });
+
+  return {
+    session,
+    token: generateAccessToken(user._id, session._id),
+    refreshToken: buildRefreshToken(session._id, secret)
+  };
+};
+
+const isWithinGrace = (session, hash) => {
+  return session.previousRefreshTokenHash === hash &&
+    session.rotatedAt > new Date(Date.now() - REFRESH_GRACE_SECONDS * 1000);
+};
+
+// Exchange a refresh token for a new token pair. Presenting an already-rotated
+// token after the grace period means it was copied, so the whole session is revoked.
+const rotateSession = async (refreshToken, req) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return null;
+
+  const hash = hashToken(parsed.secret);
+
+  // Retry when another refresh rotated the session between the read and the write
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const session = await Session.findById(parsed.sessionId);
+    if (!session || !session.isActive()) return null;
+
+    if (session.refreshTokenHash !== hash && !isWithinGrace(session, hash)) {
+      session.revokedAt = new Date();
+      await session.save();
+      closeSessionStreams(session._id);
+      return null;
+    }
+
+    const secret = generateToken();
+    const now = new Date();
+    const rotated = await Session.findOneAndUpdate(
+      { _id: session._id, revokedAt: null, refreshTokenHash: session.refreshTokenHash },
+      {
+        refreshTokenHash: hashToken(secret),
+        previousRefreshTokenHash: session.refreshTokenHash,
+        rotatedAt: now,
+        lastUsedAt: now,
+        expiresAt: refreshExpiry(),
+        userAgent: req.get('User-Agent'),
+        ip: req.ip
+      },
+      { new: true }
+    );
+    if (!rotated) continue;
+
+    return {
+      session: rotated,
+      token: generateAccessToken(rotated.userId, rotated._id),
+      refreshToken: buildRefreshToken(rotated._id, secret)
+    };
+  }
+
+  return null;
+};
+
+// Revoking also ends the session's live event streams
+const revokeSession = async (userId, sessionId) => {
+  const result = await Session.updateOne(
+    { _id: sessionId, userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+  if (result.modifiedCount > 0) closeSessionStreams(sessionId);
+  return result;
+};
+
+const revokeAllSessions = async (userId, exceptSessionId) => {
+  const filter = { userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+  const result = await Session.updateMany(filter, { revokedAt: new Date() });
+  closeUserStreams(userId, exceptSessionId);
+  return result;
+};
+
+const listActiveSessions = (userId) => {
+  return Session.find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .select('-refreshTokenHash -previousRefreshTokenHash')
+    .sort({ lastUsedAt: -1 });
+};
+
+module.exports = {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  listActiveSessions
+};
@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+const Submission = require('../models/Submission');
+
+// Page sizes for GET /api/submissions
+const DEFAULT_LIMIT = 24;
+const MAX_LIMIT = 100;
+
+// ?sort= options; ties are broken by _id so every page boundary is exact
+const SORTS = {
+  newest: { field: 'createdAt', direction: -1 },
+  oldest: { field: 'createdAt', direction: 1 },
+  updated: { field: 'updatedAt', direction: -1 },
+  patient: { field: 'patientName', direction: 1 }
+};
+
+const DATE_FIELDS = ['createdAt', 'updatedAt'];
+
+// createdAt condition for ?from=&to=, as { range } or { error }. A bare `to`
+// date includes the whole of that day.
+const dateRange = (from, to) => {
+  const fromDate = from && new Date(from);
+  const toDate = to && new Date(to);
+  if ((from && isNaN(fromDate)) || (to && isNaN(toDate))) {
+    return { error: 'from and to must be dates, e.g. 2025-06-30' };
+  }
+  if (!fromDate && !toDate) return {};
+
+  const range = {};
+  if (fromDate) range.$gte = fromDate;
+  if (toDate) {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(to)) toDate.setUTCDate(toDate.getUTCDate() + 1);
+    range.$lt = toDate;
+  }
+  return { range };
+};
+
+// Escape user input for use inside a RegExp
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Cursors are the sort value and id of the last submission on the page
+const encodeCursor = (submission, sort) => Buffer
+  .from(JSON.stringify([submission[sort.field], submission._id]))
+  .toString('base64url');
+
+const decodeCursor = (cursor, sort) => {
+  try {
+    const [value, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!mongoose.isValidObjectId(id)) return null;
+    return {
+      value: DATE_FIELDS.includes(sort.field) ? new Date(value) : value,
+      id: new mongoose.Types.ObjectId(String(id))
+    };
+  } catch {
+    return null;
+  }
+};
+
+// Mongo filter, sort and limit for a submissions list request, or { error }.
+// Patients only ever see their own cases; staff filter by ?assignee=
+// (me|unassigned|all|<dentistId>), and everyone may use ?status= (comma
+// separated), ?from=&to=, ?patient=<patientId>, ?q= (patient name words, or a name, ID or email prefix),
+// ?sort= and ?limit=, continuing with ?cursor= from the previous page.
+const buildListQuery = (query, user) => {
+  const conditions = [];
+
+  if (!user.isStaff()) {
+    conditions.push({ userId: user._id });
+  } else {
+    const assignee = query.assignee || (user.role === 'admin' ? 'all' : 'me');
+    if (assignee === 'me') {
+      conditions.push({ assignedTo: user._id });
+    } else if (assignee === 'unassigned') {
+      conditions.push({ assignedTo: null });
+    } else if (assignee !== 'all') {
+      if (!mongoose.isValidObjectId(assignee)) {
+        return { error: 'assignee must be me, unassigned, all or a dentist id' };
+      }
+      conditions.push({ assignedTo: assignee });
+    }
+  }
+
+  if (query.status) {
+    const statuses = String(query.status).split(',').map(status => status.trim()).filter(Boolean);
+    const unknown = statuses.find(status => !Submission.STATUSES.includes(status));
+    if (unknown) {
+      return { error: `Unknown status "${unknown}"` };
+    }
+    conditions.push({ status: { $in: statuses } });
+  }
+
+  const { range, error } = dateRange(query.from, query.to);
+  if (error) return { error };
+  if (range) conditions.push({ createdAt: range });
+
+  if (query.patient) {
+    conditions.push({ patientId: String(query.patient).trim() });
+  }
+
+  // Whole words of the name (via the text index), or the start of the name,
+  // patient ID or email in any case. Every field here is indexed, which $text
+  // inside $or requires.
+  const search = query.q && String(query.q).trim();
+  if (search) {
+    const prefix = new RegExp(`^${escapeRegex(search)}`, 'i');
+    conditions.push({
+      $or: [
+        { $text: { $search: search } },
+        { patientName: prefix },
+        { patientId: prefix },
+        { email: prefix }
+      ]
+    });
+  }
+
+  const sortName = query.sort || 'newest';
+  const sort = SORTS[sortName];
+  if (!sort) {
+    return { error: `sort must be one of ${Object.keys(SORTS).join(', ')}` };
+  }
+
+  if (query.cursor) {
+    const cursor = decodeCursor(query.cursor, sort);
+    if (!cursor) {
+      return { error: 'Invalid cursor' };
+    }
+    const op = sort.direction === -1 ? '$lt' : '$gt';
+    conditions.push({
+      $or: [
+        { [sort.field]: { [op]: cursor.value } },
+        { [sort.field]: cursor.value, _id: { [op]: cursor.id } }
+      ]
+    });
+  }
+
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return { error: `limit must be a whole number from 1 to ${MAX_LIMIT}` };
+  }
+
+  return {
+    filter: conditions.length > 0 ? { $and: conditions } : {},
+    sort,
+    mongoSort: { [sort.field]: sort.direction, _id: sort.direction },
+    limit
+  };
+};
+
+module.exports = { SORTS, dateRange, encodeCursor, buildListQuery };
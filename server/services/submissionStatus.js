@@ -0,0 +1,114 @@
+const Submission = require('../models/Submission');
+const User = require('../models/User');
+
+const STATUS_LABELS = {
+  submitted: 'Submitted',
+  in_review: 'In review',
+  needs_retake: 'Needs retake',
+  annotated: 'Annotated',
+  awaiting_approval: 'Awaiting approval',
+  reported: 'Reported',
+  closed: 'Closed'
+};
+
+// Statuses each status may move to
+const TRANSITIONS = {
+  submitted: ['in_review', 'annotated', 'needs_retake', 'closed'],
+  in_review: ['annotated', 'needs_retake', 'closed'],
+  needs_retake: ['submitted', 'closed'],
+  annotated: ['in_review', 'needs_retake', 'awaiting_approval', 'reported', 'closed'],
+  awaiting_approval: ['annotated', 'reported', 'closed'],
+  reported: ['in_review', 'annotated', 'closed'],
+  closed: ['in_review']
+};
+
+// Who may move a case into a status; anything not listed is for staff.
+// Patients resubmit by uploading a retake. Issuing the report is the approval
+// step, a clinic-admin call: dentists submit cases for approval instead.
+const ENTRY_ROLES = {
+  submitted: ['patient'],
+  reported: ['admin']
+};
+
+// Statuses only entered through their own endpoint, which does the work that
+// goes with them, never through POST /:id/status
+const ENTRY_ENDPOINTS = {
+  needs_retake: 'POST /api/submissions/:id/retake-request',
+  reported: 'POST /api/submissions/:id/generate-pdf'
+};
+
+// Why a role that may not enter a status is turned away, where a reason helps
+const ENTRY_DENIED_MESSAGES = {
+  reported: 'Only a clinic admin can approve and issue a report. Submit the case for approval instead.'
+};
+
+// Moves that must say why
+const REASON_REQUIRED = ['needs_retake'];
+
+// Why `user` can't move the submission to `to` as { status, message, code },
+// or null when they can. Staying in the same status is always allowed.
+const checkTransition = (submission, to, user, reason) => {
+  const from = submission.status;
+
+  if (!Submission.STATUSES.includes(to)) {
+    return { status: 400, message: `Unknown status "${to}"` };
+  }
+  if (from === to) return null;
+
+  if (!TRANSITIONS[from]?.includes(to)) {
+    return {
+      status: 409,
+      code: 'INVALID_TRANSITION',
+      message: `A case that is ${STATUS_LABELS[from].toLowerCase()} can't move to ${STATUS_LABELS[to].toLowerCase()}`
+    };
+  }
+  if (!(ENTRY_ROLES[to] || User.STAFF_ROLES).includes(user.role)) {
+    return { status: 403, message: ENTRY_DENIED_MESSAGES[to] || `You can't move a case to ${STATUS_LABELS[to].toLowerCase()}` };
+  }
+  if (REASON_REQUIRED.includes(to) && !reason?.trim()) {
+    return { status: 400, message: `A reason is required to move a case to ${STATUS_LABELS[to].toLowerCase()}` };
+  }
+
+  return null;
+};
+
+// Move the submission and record who did it and why; the caller saves it.
+// Call checkTransition first. Returns whether the status changed.
+const applyTransition = (submission, to, user, reason) => {
+  if (submission.status === to) return false;
+
+  submission.statusHistory.push({
+    from: submission.status,
+    to,
+    actor: user._id,
+    actorName: user.name,
+    actorRole: user.role,
+    reason: reason?.trim() || undefined,
+    at: new Date()
+  });
+  submission.status = to;
+  return true;
+};
+
+// First history entry of a new submission
+const startLifecycle = (submission, user) => {
+  submission.status = 'submitted';
+  submission.statusHistory = [{
+    to: 'submitted',
+    actor: user._id,
+    actorName: user.name,
+    actorRole: user.role,
+    at: new Date()
+  }];
+};
+
+module.exports = {
+  STATUS_LABELS,
+  TRANSITIONS,
+  ENTRY_ROLES,
+  ENTRY_ENDPOINTS,
+  REASON_REQUIRED,
+  checkTransition,
+  applyTransition,
+  startLifecycle
+};
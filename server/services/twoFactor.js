@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const { generateSecret, verifyCode, otpauthUrl } = require('./totp');
+const { hashToken } = require('./tokens');
+
+const User = require('../models/User');
+
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TTL = '5m';
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'OralVis Healthcare';
+
+// Secrets and recovery codes are excluded from normal queries
+const TWO_FACTOR_FIELDS = '+twoFactorSecret +twoFactorPendingSecret +twoFactorRecoveryCodes +twoFactorLastStep';
+
+const loadTwoFactorUser = (userId) => User.findById(userId).select(TWO_FACTOR_FIELDS);
+
+// Whether ENFORCE_ADMIN_2FA=true makes the account enroll
+const isEnforcedByServer = (user) => user.role === 'admin' && process.env.ENFORCE_ADMIN_2FA === 'true';
+
+// Accounts that must enroll before they can sign in: those a clinic admin
+// required it for, and every admin when the server enforces it
+const isTwoFactorRequired = (user) => Boolean(user.twoFactorRequired) || isEnforcedByServer(user);
+
+const canUseTwoFactor = (user) => user.isStaff();
+
+// Short-lived token proving the password step passed; never accepted by the auth middleware
+const createChallengeToken = (user, purpose) => {
+  return jwt.sign({ userId: user._id, purpose }, process.env.JWT_SECRET, { expiresIn: CHALLENGE_TTL });
+};
+
+const verifyChallengeToken = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === purpose ? decoded : null;
+  } catch {
+    return null;
+  }
+};
+
+// Start enrollment: store a pending secret and return what the authenticator app needs
+const beginEnrollment = async (user) => {
+  const secret = generateSecret();
+  user.twoFactorPendingSecret = secret;
+  await user.save();
+
+  const url = otpauthUrl({ secret, account: user.email, issuer: ISSUER });
+  return { secret, otpauthUrl: url, qrCode: await QRCode.toDataURL(url) };
+};
+
+const generateRecoveryCodes = () => {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+};
+
+const setRecoveryCodes = (user) => {
+  const codes = generateRecoveryCodes();
+  user.twoFactorRecoveryCodes = codes.map(code => hashToken(code));
+  return codes;
+};
+
+// Finish enrollment with a code from the app; returns the recovery codes or null
+const completeEnrollment = async (user, code) => {
+  if (!user.twoFactorPendingSecret) return null;
+
+  const step = verifyCode(user.twoFactorPendingSecret, code);
+  if (step === null) return null;
+
+  user.twoFactorSecret = user.twoFactorPendingSecret;
+  user.twoFactorPendingSecret = undefined;
+  user.twoFactorEnabled = true;
+  user.twoFactorLastStep = step;
+  const recoveryCodes = setRecoveryCodes(user);
+  await user.save();
+
+  return recoveryCodes;
+};
+
+// Check a TOTP or recovery code for an enrolled user. Each TOTP step and each
+// recovery code can only be used once.
+const verifyUserCode = async (user, { code, recoveryCode }) => {
+  if (!user.twoFactorEnabled) return false;
+  // Anything but text is simply a wrong code
+  if ((code != null && typeof code !== 'string') || (recoveryCode != null && typeof recoveryCode !== 'string')) {
+    return false;
+  }
+
+  if (recoveryCode) {
+    const hash = hashToken(recoveryCode.trim().toLowerCase());
+    const index = (user.twoFactorRecoveryCodes || []).indexOf(hash);
+    if (index === -1) return false;
+
+    user.twoFactorRecoveryCodes.splice(index, 1);
+    await user.save();
+    return true;
+  }
+
+  const step = verifyCode(user.twoFactorSecret, code);
+  if (step === null || (user.twoFactorLastStep && step <= user.twoFactorLastStep)) return false;
+
+  user.twoFactorLastStep = step;
+  await user.save();
+  return true;
+};
+
+const disableTwoFactor = async (user) => {
+  user.twoFactorEnabled = false;
+  user.twoFactorSecret = undefined;
+  user.twoFactorPendingSecret = undefined;
+  user.twoFactorRecoveryCodes = [];
+  user.twoFactorLastStep = undefined;
+  await user.save();
+};
+
+module.exports = {
+  loadTwoFactorUser,
+  isEnforcedByServer,
+  isTwoFactorRequired,
+  canUseTwoFactor,
+  createChallengeToken,
+  verifyChallengeToken,
+  beginEnrollment,
+  completeEnrollment,
+  verifyUserCode,
+  setRecoveryCodes,
+  disableTwoFactor
+};
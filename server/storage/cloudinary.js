@@ -0,0 +1,51 @@
+const cloudinary = require('cloudinary').v2;
+
+// Stores files in Cloudinary under the oralvis/ folder
+const createCloudinaryStorage = () => {
+  cloudinary.config({
+    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+    api_key: process.env.CLOUDINARY_API_KEY,
+    api_secret: process.env.CLOUDINARY_API_SECRET
+  });
+
+  const save = (buffer, { folder, filename, transformation }) => {
+    return new Promise((resolve, reject) => {
+      const uploadStream = cloudinary.uploader.upload_stream(
+        {
+          folder: `oralvis/${folder}`,
+          public_id: filename,
+          resource_type: 'auto',
+          ...(transformation && { transformation })
+        },
+        (error, result) => {
+          if (error) reject(error);
+          else resolve({ url: result.secure_url, key: result.public_id });
+        }
+      );
+      uploadStream.end(buffer);
+    });
+  };
+
+  // Download a stored file by its delivery URL
+  const read = async ({ url }) => {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch ${url}: ${response.status}`);
+    }
+    return Buffer.from(await response.arrayBuffer());
+  };
+
+  const remove = async (key) => {
+    if (!key) return;
+    await cloudinary.uploader.destroy(key);
+  };
+
+  return {
+    name: 'cloudinary',
+    save,
+    read,
+    remove
+  };
+};
+
+module.exports = createCloudinaryStorage;
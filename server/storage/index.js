@@ -0,0 +1,24 @@
+// Drivers are required lazily so the Cloudinary SDK is only loaded when used
+const drivers = {
+  local: () => require('./local')(),
+  cloudinary: () => require('./cloudinary')()
+};
+
+// Pick the driver from STORAGE_DRIVER, falling back to Cloudinary only when
+// credentials are configured so offline setups work out of the box
+const resolveDriverName = () => {
+  if (process.env.STORAGE_DRIVER) return process.env.STORAGE_DRIVER.toLowerCase();
+  return process.env.CLOUDINARY_CLOUD_NAME ? 'cloudinary' : 'local';
+};
+
+const driverName = resolveDriverName();
+
+if (!drivers[driverName]) {
+  throw new Error(`Unknown STORAGE_DRIVER "${driverName}". Use one of: ${Object.keys(drivers).join(', ')}`);
+}
+
+const storage = drivers[driverName]();
+
+console.log(`Storage driver: ${storage.name}`);
+
+module.exports = storage;
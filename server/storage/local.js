@@ -0,0 +1,49 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+const UPLOADS_DIR = path.join(__dirname, '..', 'uploads');
+
+// Stores files under server/uploads and serves them through the /uploads static mount
+const createLocalStorage = () => {
+  const publicUrl = (process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, '');
+
+  const save = async (buffer, { folder, filename, extension }) => {
+    const dir = path.join(UPLOADS_DIR, folder);
+    await fs.mkdir(dir, { recursive: true });
+
+    const name = extension ? `${filename}.${extension}` : filename;
+    await fs.writeFile(path.join(dir, name), buffer);
+
+    const key = `${folder}/${name}`;
+    return { url: `${publicUrl}/uploads/${key}`, key };
+  };
+
+  // Resolve by key, falling back to the path part of a local /uploads URL
+  const read = async ({ key, url }) => {
+    const relative = key || decodeURIComponent(new URL(url).pathname.replace(/^\/uploads\//, ''));
+    const filePath = path.resolve(UPLOADS_DIR, relative);
+    if (!filePath.startsWith(UPLOADS_DIR + path.sep)) {
+      throw new Error('Refusing to read outside the uploads directory');
+    }
+    return fs.readFile(filePath);
+  };
+
+  const remove = async (key) => {
+    if (!key) return;
+    try {
+      await fs.unlink(path.join(UPLOADS_DIR, key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  };
+
+  return {
+    name: 'local',
+    uploadsDir: UPLOADS_DIR,
+    save,
+    read,
+    remove
+  };
+};
+
+module.exports = createLocalStorage;